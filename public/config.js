@@ -0,0 +1,11 @@
+// Runtime configuration, loaded before the app (see src/appConfig.js).
+// Edit on the server to re-point a deployment without rebuilding, e.g.:
+// window.MOODPLAYLIST_CONFIG = {
+//   apiBaseUrl: 'https://my-proxy.example/spotify/v1',
+//   accountsUrl: 'https://accounts.spotify.com',
+//   clientId: 'your-client-id',
+//   redirectUri: 'https://my-app.example/',
+//   demo: false,
+//   tokenStorage: 'session', // 'local' (default), 'session' or 'memory'
+// };
+window.MOODPLAYLIST_CONFIG = window.MOODPLAYLIST_CONFIG || {};
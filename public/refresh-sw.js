@@ -0,0 +1,11 @@
+/* eslint-env serviceworker, es2020 */
+// Service worker for scheduled playlist refreshes (see src/refreshScheduler.js).
+// Periodic background sync wakes it now and then. It cannot refresh playlists itself (the Spotify
+// session lives in the page), so it tells the open app tabs to run whatever is due.
+globalThis.addEventListener('periodicsync', (event) => {
+  if (event.tag !== 'moodplaylist-refresh') return;
+  event.waitUntil(
+    globalThis.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then(clients => clients.forEach(client => client.postMessage({ type: 'moodplaylist-refresh-due' })))
+  );
+});
@@ -1,28 +1,38 @@
 // src/App.js
 
 import React, { useState, useEffect } from 'react';
-import {
-  handleSpotifyLogin,
-  exchangeCodeForToken,
-  getStoredAccessToken,
-  clearAllTokens
-} from './spotifyAuth';
+import { handleSpotifyLogin, exchangeCodeForToken } from './spotifyAuth';
+import { getAccessToken, clearSession, logout, subscribeSession } from './tokenManager';
+import { AuthExpiredError } from './spotifyErrors';
+import { isDemoMode, startDemoMode, stopDemoMode } from './demoMode';
 
 import MoodSelector from './MoodSelector';
 import PlaylistDisplay from './PlaylistDisplay';
-import DebugPanel from './DebugPanel'; // OPTIONAL: Only if you added DebugPanel.js
+import PlaylistHistory from './PlaylistHistory';
+import GroupSession from './GroupSession';
+import RefreshSchedules from './RefreshSchedules';
+import { startRefreshScheduler } from './refreshScheduler';
+import DebugPanel from './DebugPanel';
+import { isDebugEnabled, setDebugEnabled, recordDebug } from './debugLog';
 import './App.css';
 
+const VIEW_LABELS = { generate: 'Generate', group: 'Group', history: 'History', schedules: 'Schedules' };
+
 function App() {
-  const [accessToken, setAccessToken] = useState(getStoredAccessToken());
-  const [loading, setLoading] = useState(false);
+  const [accessToken, setAccessToken] = useState(() => (isDemoMode() ? null : getAccessToken()));
+  const [demo, setDemo] = useState(isDemoMode);
+  const [loading, setLoading] = useState(isDemoMode);
   const [error, setError] = useState(null);
+  const [preview, setPreview] = useState(null);
   const [playlistResult, setPlaylistResult] = useState(null);
+  const [view, setView] = useState('generate'); // key of VIEW_LABELS
 
-  // Debug logs (optional)
-  const [debugLogs, setDebugLogs] = useState([]);
-  const pushDebug = (logEntry) => {
-    setDebugLogs(prev => [...prev.slice(-19), logEntry]); // keep last 20
+  // Debug console setting; requests are only logged while it is on
+  const [debugEnabled, setDebugEnabledState] = useState(isDebugEnabled);
+  const debugCallback = debugEnabled ? recordDebug : undefined;
+  const toggleDebug = (enabled) => {
+    setDebugEnabled(enabled);
+    setDebugEnabledState(enabled);
   };
 
   // Handle redirect from Spotify OAuth (PKCE code)
@@ -39,12 +49,12 @@ function App() {
 
       try {
         const token = await exchangeCodeForToken(code, state);
-        setAccessToken(token || getStoredAccessToken());
+        setAccessToken(token || getAccessToken());
         setError(null);
       } catch (err) {
         console.error('Login failed:', err);
         setError(err?.message || 'Login failed.');
-        clearAllTokens();
+        clearSession();
         setAccessToken(null);
       } finally {
         setLoading(false);
@@ -60,18 +70,79 @@ function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // demo mode from the config, ?demo or an earlier start in this tab (see demoMode.js)
+  useEffect(() => {
+    if (!isDemoMode()) return;
+    startDemoMode()
+      .then(setAccessToken)
+      .catch(err => {
+        console.error('Could not start the demo:', err);
+        setError(err?.message || 'Could not start the demo.');
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const resetSession = () => {
+    setAccessToken(null);
+    setPreview(null);
+    setPlaylistResult(null);
+    setView('generate');
+  };
+
+  // scheduled playlist refreshes run while the app is open (see refreshScheduler.js)
+  useEffect(() => {
+    if (!accessToken) return undefined;
+    return startRefreshScheduler({ getToken: getAccessToken, debugCallback });
+  }, [accessToken, debugCallback]);
+
+  // another tab logged out: the shared session is gone here too
+  useEffect(() => subscribeSession(event => {
+    if (event.type !== 'logout') return;
+    if (isDemoMode()) { stopDemoMode(); setDemo(false); }
+    resetSession();
+  }), []);
+
   // User pressed "Try Login Again"
   const handleTryLoginAgain = () => {
-    clearAllTokens();
+    clearSession();
     setError(null);
     setAccessToken(null);
     handleSpotifyLogin(true); // force Spotify consent popup
   };
 
-  const handleLogout = () => {
-    clearAllTokens();
-    setAccessToken(null);
-    setPlaylistResult(null);
+  // Errors reported by MoodSelector / PlaylistDisplay (they show them locally).
+  // An expired session ends the login here so the re-login screen appears.
+  const handleServiceError = (err) => {
+    if (err instanceof AuthExpiredError) {
+      clearSession();
+      setAccessToken(null);
+      setPreview(null);
+      setPlaylistResult(null);
+    }
+    setError(err ? (err.message || String(err)) : null);
+  };
+
+  const handleStartDemo = async () => {
+    setError(null);
+    try {
+      setAccessToken(await startDemoMode());
+      setDemo(true);
+    } catch (err) {
+      console.error('Could not start the demo:', err);
+      setError(err?.message || 'Could not start the demo.');
+    }
+  };
+
+  // leaving the demo only drops its own session; a real logout signs out every tab
+  const handleLogout = async () => {
+    if (demo) {
+      setDemo(false);
+      window.history.replaceState({}, document.title, window.location.pathname);
+      await stopDemoMode();
+    } else {
+      await logout();
+    }
+    resetSession();
     setError(null);
   };
 
@@ -81,18 +152,27 @@ function App() {
         <h1>MoodPlaylist Generator</h1>
 
         {accessToken && (
-          <button
-            className="generate-button outline"
-            onClick={handleLogout}
-          >Logout</button>
+          <>
+            {Object.keys(VIEW_LABELS).filter(v => v !== view).map(v => (
+              <button key={v} className="generate-button outline" onClick={() => setView(v)}>{VIEW_LABELS[v]}</button>
+            ))}
+            <button
+              className="generate-button outline"
+              onClick={handleLogout}
+            >Logout</button>
+          </>
         )}
       </header>
 
+      {demo && accessToken && (
+        <p className="demo-banner">Demo mode: made-up music and an offline copy of the Spotify API. Nothing is saved to your Spotify account.</p>
+      )}
+
       {/* Loading screen */}
       {loading && (
         <div className="center">
           <h2>Loading…</h2>
-          <p>Completing Spotify login…</p>
+          <p>{demo ? 'Starting the demo…' : 'Completing Spotify login…'}</p>
         </div>
       )}
 
@@ -117,25 +197,69 @@ function App() {
           >
             Login with Spotify
           </button>
+          <button className="generate-button outline" onClick={handleStartDemo}>
+            Try the demo
+          </button>
         </div>
       )}
 
       {/* Main Screen */}
-      {!loading && accessToken && (
+      {!loading && accessToken && view === 'history' && (
+        <PlaylistHistory
+          accessToken={accessToken}
+          setPreview={setPreview}
+          setPlaylistResult={setPlaylistResult}
+          onError={handleServiceError}
+          onOpenPreview={() => setView('generate')}
+          debugCallback={debugCallback}
+        />
+      )}
+
+      {!loading && accessToken && view === 'group' && (
+        <GroupSession
+          accessToken={accessToken}
+          setPreview={setPreview}
+          setPlaylistResult={setPlaylistResult}
+          onError={handleServiceError}
+          onOpenPreview={() => setView('generate')}
+          debugCallback={debugCallback}
+        />
+      )}
+
+      {!loading && accessToken && view === 'schedules' && (
+        <RefreshSchedules accessToken={accessToken} onError={handleServiceError} debugCallback={debugCallback} />
+      )}
+
+      {!loading && accessToken && view === 'generate' && (
         <>
           <MoodSelector
             accessToken={accessToken}
+            setPreview={setPreview}
             setPlaylistResult={setPlaylistResult}
-            setError={setError}
-            debugCallback={pushDebug}  // OPTIONAL
+            onError={handleServiceError}
+            debugCallback={debugCallback}
           />
 
-          <PlaylistDisplay data={playlistResult} />
-
-          {/* Debug panel (optional) */}
-          <DebugPanel logs={debugLogs} />
+          <PlaylistDisplay
+            accessToken={accessToken}
+            preview={preview}
+            setPreview={setPreview}
+            data={playlistResult}
+            setPlaylistResult={setPlaylistResult}
+            onError={handleServiceError}
+            debugCallback={debugCallback}
+          />
         </>
       )}
+
+      {debugEnabled && <DebugPanel />}
+
+      <footer className="app-footer">
+        <label>
+          <input type="checkbox" checked={debugEnabled} onChange={e => toggleDebug(e.target.checked)} />
+          Debug console
+        </label>
+      </footer>
     </div>
   );
 }
@@ -1,8 +1,101 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import App from './App';
+import { createFakeSpotifyApi } from './fakeSpotifyApi';
+import { stopDemoMode } from './demoMode';
+
+let restore = () => {};
+
+// BroadcastChannel stand-in that records what the app tells other tabs
+const broadcasts = [];
+class FakeChannel {
+  postMessage(data) { broadcasts.push(data); }
+}
+
+beforeAll(() => { window.BroadcastChannel = FakeChannel; });
+afterAll(() => { delete window.BroadcastChannel; });
+
+beforeEach(() => {
+  localStorage.clear();
+  window.history.replaceState({}, '', '/');
+  jest.spyOn(console, 'debug').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  // jsdom has no canvas; the cover preview just stays blank
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+});
+
+afterEach(async () => {
+  await stopDemoMode();
+  restore();
+  jest.restoreAllMocks();
+});
+
+test('shows the login screen when signed out', () => {
+  render(<App />);
+  expect(screen.getByRole('button', { name: /login with spotify/i })).toBeInTheDocument();
+});
+
+test('login callback exchanges the code and opens the mood selector', async () => {
+  const api = createFakeSpotifyApi({ authCode: 'good-code' });
+  restore = api.install();
+  localStorage.setItem('code_verifier', 'verifier');
+  localStorage.setItem('pkce_state', 'state-1');
+  window.history.replaceState({}, '', '/?code=good-code&state=state-1');
+
+  render(<App />);
+
+  expect(await screen.findByText(/select your mood/i)).toBeInTheDocument();
+  expect(localStorage.getItem('access_token')).toMatch(/^fake-access-/);
+  expect(localStorage.getItem('code_verifier')).toBeNull();
+  expect(window.location.search).toBe('');
+  const [exchange] = api.requests.filter(r => r.path === '/api/token');
+  expect(new URLSearchParams(exchange.body).get('code_verifier')).toBe('verifier');
+});
+
+test('a state mismatch on the callback shows the re-login screen', async () => {
+  const api = createFakeSpotifyApi({ authCode: 'good-code' });
+  restore = api.install();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  localStorage.setItem('code_verifier', 'verifier');
+  localStorage.setItem('pkce_state', 'state-1');
+  window.history.replaceState({}, '', '/?code=good-code&state=forged');
+
+  render(<App />);
+
+  expect(await screen.findByText(/state mismatch/i)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /re-login/i })).toBeInTheDocument();
+  expect(api.requests).toHaveLength(0);
+});
+
+test('demo mode runs the app on fixture data without a Spotify login', async () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: /try the demo/i }));
+
+  expect(await screen.findByText(/select your mood/i)).toBeInTheDocument();
+  expect(screen.getByText(/demo mode/i)).toBeInTheDocument();
+  // the demo session stays in this tab's memory
+  expect(localStorage.getItem('access_token')).toBeNull();
+
+  fireEvent.click(screen.getByRole('button', { name: /^chill$/i }));
+  fireEvent.click(screen.getByRole('button', { name: /preview tracks/i }));
+  expect(await screen.findByText(/^preview$/i)).toBeInTheDocument();
+  expect(screen.getAllByText(/velvet harbor|lantern choir|neon tide|mara quill|static bloom/i).length).toBeGreaterThan(0);
+
+  fireEvent.click(screen.getByRole('button', { name: /logout/i }));
+  expect(await screen.findByRole('button', { name: /login with spotify/i })).toBeInTheDocument();
+});
+
+test('a demo next to a real session leaves that session alone, also when it ends', async () => {
+  localStorage.setItem('access_token', 'real-token');
+  localStorage.setItem('token_expiry', String(Date.now() + 3600000));
+  broadcasts.length = 0;
+  window.history.replaceState({}, '', '/?demo');
 
-test('renders learn react link', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByText(/select your mood/i)).toBeInTheDocument();
+  expect(localStorage.getItem('access_token')).toBe('real-token');
+
+  fireEvent.click(screen.getByRole('button', { name: /logout/i }));
+  await waitFor(() => expect(screen.queryByText(/demo mode/i)).not.toBeInTheDocument());
+  expect(localStorage.getItem('access_token')).toBe('real-token');
+  expect(broadcasts).toEqual([]);
 });
@@ -0,0 +1,45 @@
+// src/ArcChart.js
+
+import React from 'react';
+import { sampleArc, ARC_SHAPES } from './moodArc';
+
+const WIDTH = 300;
+const HEIGHT = 80;
+const PAD = 4;
+const TEMPO_RANGE = [40, 220];
+
+const toPath = (points, valueOf) => points
+  .filter(p => typeof valueOf(p) === 'number')
+  .map(p => {
+    const x = PAD + p.position * (WIDTH - 2 * PAD);
+    const y = HEIGHT - PAD - Math.min(1, Math.max(0, valueOf(p))) * (HEIGHT - 2 * PAD);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  })
+  .join(' ');
+
+// Small energy / tempo chart for an energy-arc preview (arc from previewPlaylist).
+const ArcChart = ({ arc }) => {
+  if (!arc) return null;
+  const points = sampleArc(arc, 32);
+  const tempo = (p) => (p.tempo === null ? null : (p.tempo - TEMPO_RANGE[0]) / (TEMPO_RANGE[1] - TEMPO_RANGE[0]));
+
+  return (
+    <figure className="arc-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={`Energy arc from ${arc.start} to ${arc.end}`}>
+        {(arc.segments || []).slice(1).map(s => {
+          const x = PAD + s.from * (WIDTH - 2 * PAD);
+          return <line key={s.index} x1={x} x2={x} y1={PAD} y2={HEIGHT - PAD} className="arc-chart-divider" />;
+        })}
+        <polyline points={toPath(points, tempo)} className="arc-chart-tempo" fill="none" />
+        <polyline points={toPath(points, p => p.energy)} className="arc-chart-energy" fill="none" />
+      </svg>
+      <figcaption>
+        {ARC_SHAPES[arc.shape]?.label || arc.shape}: {arc.start} → {arc.end}
+        <span className="arc-chart-legend energy">energy</span>
+        <span className="arc-chart-legend tempo">tempo</span>
+      </figcaption>
+    </figure>
+  );
+};
+
+export default ArcChart;
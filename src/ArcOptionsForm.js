@@ -0,0 +1,40 @@
+// src/ArcOptionsForm.js
+
+import React from 'react';
+import { ARC_SHAPES } from './moodArc';
+
+// Collapsible form for energy-arc playlists: the selected mood is the start, value.end the end.
+// value: { enabled, end, shape }
+const ArcOptionsForm = ({ value, onChange, moods, startMood, disabled }) => {
+  const set = (key, v) => onChange({ ...value, [key]: v });
+
+  return (
+    <details className="generation-options">
+      <summary>Energy arc</summary>
+      <label className="mood-editor-row">
+        <span>Move between moods</span>
+        <input type="checkbox" checked={value.enabled} onChange={e => set('enabled', e.target.checked)} disabled={disabled} />
+      </label>
+      <label className="mood-editor-row">
+        <span>End mood</span>
+        <select value={value.end} onChange={e => set('end', e.target.value)} disabled={disabled || !value.enabled}>
+          <option value="">Choose…</option>
+          {moods.map(m => <option key={m} value={m}>{m}</option>)}
+        </select>
+      </label>
+      <label className="mood-editor-row">
+        <span>Shape</span>
+        <select value={value.shape} onChange={e => set('shape', e.target.value)} disabled={disabled || !value.enabled}>
+          {Object.entries(ARC_SHAPES).map(([key, s]) => <option key={key} value={key}>{s.label}</option>)}
+        </select>
+      </label>
+      <p className="note">
+        {value.enabled && startMood && value.end
+          ? `Starts ${startMood}, ends ${value.end}. Playlist length / minutes set how long the arc takes.`
+          : 'The selected mood is where the playlist starts.'}
+      </p>
+    </details>
+  );
+};
+
+export default ArcOptionsForm;
@@ -0,0 +1,19 @@
+// src/CoverPreview.js
+
+import React, { useEffect, useRef } from 'react';
+import { drawCover } from './coverArt';
+
+// Canvas preview of a generated cover design (see coverArt.js).
+const CoverPreview = ({ design, size = 120 }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext('2d');
+    if (ctx && design) drawCover(ctx, design, size);
+  }, [design, size]);
+
+  if (!design) return null;
+  return <canvas ref={canvasRef} width={size} height={size} className="cover-preview" aria-label="Generated cover image" />;
+};
+
+export default CoverPreview;
@@ -1,26 +1,79 @@
 // src/DebugPanel.js
 
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import {
+  getDebugEntries, subscribeDebug, clearDebugLog, filterDebugEntries, entryEndpoint, toHar, toJsonExport,
+} from './debugLog';
+
+const STAGES = ['request', 'response:received', 'response:error', 'retry', 'request:skipped-scope', 'cache'];
+
+const download = (text, filename, type) => {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
 
 const formatObj = (o) => {
   try { return JSON.stringify(o, null, 2); } catch { return String(o); }
 };
 
-export default function DebugPanel({ logs = [] }) {
-  if (!Array.isArray(logs) || logs.length === 0) return null;
+// Debug console: the persisted, redacted request log from debugLog.js with filters and export.
+// Only mounted when the "debug console" setting is on.
+export default function DebugPanel() {
+  const [entries, setEntries] = useState(getDebugEntries);
+  const [filters, setFilters] = useState({ stage: '', status: '', endpoint: '' });
+  const [openId, setOpenId] = useState(null);
+
+  useEffect(() => subscribeDebug(list => setEntries(list.slice())), []);
+
+  const visible = filterDebugEntries(entries, filters).slice().reverse();
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+  const stamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+
   return (
-    <div style={{ border: '2px dashed #f0a', padding: 12, marginTop: 12, background: '#111', color: '#fff', fontFamily: 'monospace', fontSize: 12 }}>
-      <h4 style={{ marginTop: 0 }}>🪲 Debug Panel (latest requests)</h4>
-      {logs.slice().reverse().map((entry, idx) => (
-        <div key={idx} style={{ marginBottom: 10 }}>
-          <div style={{ color: '#7fffd4' }}>{entry.stage}</div>
-          <pre style={{ whiteSpace: 'pre-wrap', maxHeight: 200, overflow: 'auto' }}>
-            <strong>Request:</strong>{"\n"}{formatObj(entry.request)}{"\n\n"}
-            <strong>Response:</strong>{"\n"}{formatObj(entry.response)}
-          </pre>
-          <hr style={{ borderColor: '#333' }} />
-        </div>
-      ))}
+    <div className="debug-panel">
+      <h4>Debug console ({visible.length}/{entries.length})</h4>
+      <div className="debug-filters">
+        <select value={filters.stage} onChange={e => setFilter('stage', e.target.value)}>
+          <option value="">All stages</option>
+          {STAGES.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <select value={filters.status} onChange={e => setFilter('status', e.target.value)}>
+          <option value="">Any status</option>
+          <option value="error">Errors</option>
+          <option value="2xx">2xx</option>
+          <option value="4xx">4xx</option>
+          <option value="429">429</option>
+          <option value="5xx">5xx</option>
+        </select>
+        <input type="text" placeholder="Endpoint, e.g. /recommendations" value={filters.endpoint} onChange={e => setFilter('endpoint', e.target.value)} />
+        <button onClick={() => download(toHar(entries), `moodplaylist-${stamp()}.har`, 'application/json')} disabled={!entries.length}>Export HAR</button>
+        <button onClick={() => download(toJsonExport(entries), `moodplaylist-${stamp()}.json`, 'application/json')} disabled={!entries.length}>Export JSON</button>
+        <button onClick={clearDebugLog} disabled={!entries.length}>Clear</button>
+      </div>
+      <ul className="debug-entries">
+        {visible.map(entry => (
+          <li key={entry.id}>
+            <div className="debug-entry-summary" onClick={() => setOpenId(openId === entry.id ? null : entry.id)}>
+              <span className="debug-stage">{entry.stage}</span>
+              <span>{entry.request?.method} {entryEndpoint(entry)}</span>
+              {entry.response?.status !== undefined && <span>{entry.response.status ?? 'network error'}</span>}
+              {typeof entry.response?.durationMs === 'number' && <span>{entry.response.durationMs} ms</span>}
+            </div>
+            {openId === entry.id && (
+              <pre>
+                <strong>Request:</strong>{"\n"}{formatObj(entry.request)}{"\n\n"}
+                <strong>Response:</strong>{"\n"}{formatObj(entry.response)}
+              </pre>
+            )}
+          </li>
+        ))}
+      </ul>
+      {!entries.length && <p className="note">No requests logged yet.</p>}
     </div>
   );
 }
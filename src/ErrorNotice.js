@@ -0,0 +1,48 @@
+// src/ErrorNotice.js
+
+import React, { useEffect, useState } from 'react';
+import { RateLimitedError, NetworkError, ServerError, ScopeMissingError } from './spotifyErrors';
+import ScopePrompt from './ScopePrompt';
+
+// Renders a service error with the action that fits its type:
+// rate limits count down before allowing a retry, network/server errors get a retry
+// button, missing scopes get the re-consent prompt. Auth errors are handled by App.
+const ErrorNotice = ({ error, onRetry }) => {
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  useEffect(() => {
+    if (!(error instanceof RateLimitedError)) { setSecondsLeft(0); return undefined; }
+    const until = Date.now() + error.retryAfterMs;
+    const tick = () => setSecondsLeft(Math.max(0, Math.ceil((until - Date.now()) / 1000)));
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [error]);
+
+  if (!error) return null;
+  const message = typeof error === 'string' ? error : (error.message || 'Unknown error');
+
+  if (error instanceof ScopeMissingError) {
+    return (
+      <>
+        <p className="error-message">{message}</p>
+        <ScopePrompt scopes={error.missingScopes} reason="This needs more permissions. It will work" />
+      </>
+    );
+  }
+
+  const retryable = error instanceof RateLimitedError || error instanceof NetworkError || error instanceof ServerError;
+
+  return (
+    <div className="error-message">
+      <p>{error instanceof RateLimitedError && secondsLeft > 0 ? `Spotify is rate limiting requests. You can retry in ${secondsLeft}s.` : message}</p>
+      {retryable && onRetry && (
+        <button className="generate-button" onClick={onRetry} disabled={secondsLeft > 0}>
+          {secondsLeft > 0 ? `Retry in ${secondsLeft}s` : 'Retry'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ErrorNotice;
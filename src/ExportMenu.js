@@ -0,0 +1,33 @@
+// src/ExportMenu.js
+
+import React from 'react';
+import { EXPORT_FORMATS, exportTracks } from './playlistFormats';
+
+const fileNameFor = (name, ext) => `${String(name || 'playlist').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'playlist'}.${ext}`;
+
+// Download buttons for a track list (track summaries) in every export format.
+const ExportMenu = ({ tracks, name }) => {
+  if (!tracks?.length) return null;
+
+  const handleExport = (format) => {
+    const { ext, mime } = EXPORT_FORMATS[format];
+    const blob = new Blob([exportTracks(tracks, format, { name })], { type: mime });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileNameFor(name, ext);
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="mood-tools export-menu">
+      <span>Export:</span>
+      {Object.entries(EXPORT_FORMATS).map(([format, f]) => (
+        <button key={format} onClick={() => handleExport(format)}>{f.label}</button>
+      ))}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,38 @@
+// src/GenerationOptionsForm.js
+
+import React from 'react';
+import { MAX_LENGTH } from './generationOptions';
+
+// Collapsible form for playlist length / dedupe / diversity constraints.
+const GenerationOptionsForm = ({ value, onChange, disabled }) => {
+  const set = (key, v) => onChange({ ...value, [key]: v });
+
+  return (
+    <details className="generation-options">
+      <summary>Playlist options</summary>
+      <label className="mood-editor-row">
+        <span>Tracks</span>
+        <input type="number" min={1} max={MAX_LENGTH} value={value.length} onChange={e => set('length', e.target.value)} disabled={disabled || value.targetMinutes > 0} />
+      </label>
+      <label className="mood-editor-row">
+        <span>Or total minutes</span>
+        <input type="number" min={0} max={1440} value={value.targetMinutes} onChange={e => set('targetMinutes', e.target.value)} disabled={disabled} />
+      </label>
+      <label className="mood-editor-row">
+        <span>Max per artist</span>
+        <input type="number" min={0} max={MAX_LENGTH} value={value.maxPerArtist} onChange={e => set('maxPerArtist', e.target.value)} disabled={disabled} />
+      </label>
+      <label className="mood-editor-row">
+        <span>No explicit tracks</span>
+        <input type="checkbox" checked={value.excludeExplicit} onChange={e => set('excludeExplicit', e.target.checked)} disabled={disabled} />
+      </label>
+      <label className="mood-editor-row">
+        <span>Skip tracks in playlist</span>
+        <input type="text" placeholder="Playlist link or ID" value={value.excludePlaylistId || ''} onChange={e => set('excludePlaylistId', e.target.value)} disabled={disabled} />
+      </label>
+      <p className="note">Max per artist 0 means no limit. Total minutes overrides the track count.</p>
+    </details>
+  );
+};
+
+export default GenerationOptionsForm;
@@ -0,0 +1,110 @@
+// src/GenerationProgress.js
+
+import React, { useEffect, useRef, useState } from 'react';
+
+const SOURCE_LABELS = {
+  'recommendations:pinned': 'Recommendations from your seeds',
+  'recommendations:artists': 'Recommendations from your top artists',
+  'recommendations:tracks': 'Recommendations from your top tracks',
+  'recommendations:genres': 'Recommendations from genres',
+  library: 'Ranking your library',
+  static: 'Fallback list',
+};
+
+const STAGE_LABELS = {
+  exclude: 'Reading the playlist to exclude',
+  ordering: 'Ordering tracks along the arc',
+  profile: 'Checking your account',
+  lookup: 'Finding your last playlist for this mood',
+  create: 'Creating the playlist',
+  add: 'Adding tracks',
+  cover: 'Uploading the cover',
+  cleanup: 'Removing the unfinished playlist',
+  cancelled: 'Cancelled',
+};
+
+const sourceLabel = (source) => SOURCE_LABELS[source] || SOURCE_LABELS[String(source).split(':')[0]] || source;
+
+const withLast = (steps, patch) => (steps.length ? [...steps.slice(0, -1), { ...steps[steps.length - 1], ...patch }] : steps);
+
+const push = (steps, step) => [...withLast(steps, { state: 'done' }), { state: 'active', detail: '', ...step }];
+
+/**
+ * Fold one service progress event (see spotifyService reportProgress) into the list of steps
+ * shown to the user: [{ key, label, detail, state: 'active' | 'done' | 'cancelled' }].
+ * Events from inside an arc segment or a group member's run only update that step.
+ */
+export function applyProgress(steps, event) {
+  const { stage } = event || {};
+  const inSegment = event?.segment !== undefined || event?.participant !== undefined;
+  switch (stage) {
+    case 'source':
+      return inSegment ? withLast(steps, { detail: sourceLabel(event.source) }) : push(steps, { key: `source:${event.source}`, label: sourceLabel(event.source) });
+    case 'tracks': {
+      const count = `${event.count}/${event.target} tracks`;
+      return withLast(steps, { detail: inSegment ? `${sourceLabel(event.source)}: ${count}` : count });
+    }
+    case 'segment':
+      return push(steps, { key: `segment:${event.index}`, label: `Arc segment ${event.index + 1} of ${event.count}` });
+    case 'participant':
+      return push(steps, { key: `participant:${event.index}`, label: `Tracks for ${event.name} (${event.index + 1} of ${event.count})` });
+    case 'add': {
+      const detail = `${event.added}/${event.total}`;
+      return steps[steps.length - 1]?.key === 'add' ? withLast(steps, { detail }) : push(steps, { key: 'add', label: STAGE_LABELS.add, detail });
+    }
+    case 'cancelled':
+      return [...withLast(steps, { state: 'cancelled' }), { key: 'cancelled', label: STAGE_LABELS.cancelled, detail: '', state: 'cancelled' }];
+    default:
+      if (inSegment || !STAGE_LABELS[stage]) return steps;
+      return push(steps, { key: stage, label: STAGE_LABELS[stage] });
+  }
+}
+
+/**
+ * Progress + cancel for one long-running service call at a time.
+ * start() aborts any previous run and returns { signal, onProgress } to pass to the service;
+ * finish(cancelled) clears the steps, or keeps them with a "Cancelled" step.
+ * A run still going when the component unmounts is aborted.
+ */
+export function useGenerationProgress() {
+  const [steps, setSteps] = useState([]);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const start = () => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setSteps([]);
+    return { signal: controller.signal, onProgress: event => setSteps(prev => applyProgress(prev, event)) };
+  };
+
+  const cancel = () => controllerRef.current?.abort();
+
+  const finish = (cancelled) => {
+    controllerRef.current = null;
+    setSteps(prev => (cancelled ? applyProgress(prev, { stage: 'cancelled' }) : []));
+  };
+
+  return { steps, start, cancel, finish };
+}
+
+// Step-by-step view of a running generation or save; Cancel is shown while onCancel is set.
+const GenerationProgress = ({ steps, onCancel }) => {
+  if (!steps?.length) return null;
+  return (
+    <div className="generation-progress">
+      <ol>
+        {steps.map(step => (
+          <li key={step.key} className={`progress-step ${step.state}`}>
+            {step.label}{step.detail && <span className="progress-detail"> · {step.detail}</span>}
+          </li>
+        ))}
+      </ol>
+      {onCancel && <button onClick={onCancel}>Cancel</button>}
+    </div>
+  );
+};
+
+export default GenerationProgress;
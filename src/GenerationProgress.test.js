@@ -0,0 +1,35 @@
+import { applyProgress } from './GenerationProgress';
+
+const run = (events) => events.reduce(applyProgress, []);
+
+test('turns service events into steps, one per fallback step', () => {
+  const steps = run([
+    { stage: 'source', source: 'recommendations:artists' },
+    { stage: 'source', source: 'recommendations:tracks' },
+    { stage: 'tracks', source: 'recommendations:tracks', count: 12, target: 25 },
+    { stage: 'source', source: 'library' },
+    { stage: 'tracks', source: 'library:heuristic', count: 25, target: 25 },
+  ]);
+  expect(steps.map(s => [s.label, s.detail, s.state])).toEqual([
+    ['Recommendations from your top artists', '', 'done'],
+    ['Recommendations from your top tracks', '12/25 tracks', 'done'],
+    ['Ranking your library', '25/25 tracks', 'active'],
+  ]);
+});
+
+test('arc segments and chunked adds update a single step each', () => {
+  const steps = run([
+    { stage: 'segment', index: 0, count: 2 },
+    { stage: 'source', source: 'recommendations:artists', segment: 0 },
+    { stage: 'tracks', source: 'recommendations:artists', count: 6, target: 6, segment: 0 },
+    { stage: 'create' },
+    { stage: 'add', added: 100, total: 250 },
+    { stage: 'add', added: 200, total: 250 },
+    { stage: 'cleanup', id: 'p1' },
+    { stage: 'cancelled' },
+  ]);
+  expect(steps.map(s => s.key)).toEqual(['segment:0', 'create', 'add', 'cleanup', 'cancelled']);
+  expect(steps[0].detail).toBe('Recommendations from your top artists: 6/6 tracks');
+  expect(steps[2].detail).toBe('200/250');
+  expect(steps[3].state).toBe('cancelled');
+});
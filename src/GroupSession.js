@@ -0,0 +1,218 @@
+// src/GroupSession.js
+
+import React, { useRef, useState } from 'react';
+import { getGroupContribution, previewPlaylist, BUILT_IN_MOODS } from './spotifyService';
+import { getCustomMoods } from './moodStore';
+import {
+  loadGroupSession, saveGroupSession, addParticipant, encodeContribution, exportContributionFile,
+  parseContributionFile, planGroupShares, GROUP_MERGE_MODES,
+} from './groupPlaylist';
+import { DEFAULT_GENERATION_OPTIONS } from './generationOptions';
+import GenerationOptionsForm from './GenerationOptionsForm';
+import GenerationProgress, { useGenerationProgress } from './GenerationProgress';
+import ErrorNotice from './ErrorNotice';
+import { isAbortError } from './spotifyErrors';
+
+const capitalize = (m) => m.charAt(0).toUpperCase() + m.slice(1);
+
+const GroupSession = ({ accessToken, setPreview, setPlaylistResult, onError, onOpenPreview, debugCallback }) => {
+  const [session, setSessionState] = useState(loadGroupSession);
+  const [myName, setMyName] = useState('');
+  const [myMood, setMyMood] = useState(BUILT_IN_MOODS[0]);
+  const [myWeight, setMyWeight] = useState(1);
+  const [mine, setMine] = useState(null); // the signed-in user's contribution, once fetched
+  const [pasted, setPasted] = useState('');
+  const [genOptions, setGenOptions] = useState(DEFAULT_GENERATION_OPTIONS);
+  const [isLoading, setIsLoading] = useState(false);
+  const [localError, setLocalError] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const fileRef = useRef(null);
+  const progress = useGenerationProgress();
+
+  const customMoods = getCustomMoods();
+  const moodNames = BUILT_IN_MOODS.concat(customMoods.map(c => c.name));
+  const shares = planGroupShares(session.participants, genOptions.length, session.mode);
+
+  const setSession = (next) => {
+    setSessionState(next);
+    saveGroupSession(next);
+  };
+
+  const add = (contribution) => {
+    setSession({ ...session, participants: addParticipant(session.participants, contribution) });
+    setLocalError(null);
+  };
+
+  const fetchMine = async () => {
+    setIsLoading(true);
+    setLocalError(null);
+    try {
+      const custom = customMoods.find(c => c.name === myMood);
+      const c = await getGroupContribution(accessToken, { name: myName.trim(), mood: myMood, targets: custom?.targets, weight: myWeight, debugCallback });
+      setMine(c);
+      setCopied(false);
+      return c;
+    } catch (err) {
+      console.error('Could not read your taste:', err);
+      setLocalError(err || 'Could not read your taste.');
+      onError && onError(err);
+      return null;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleAddMe = async () => {
+    const c = await fetchMine();
+    if (c) add(c);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(encodeContribution(mine));
+      setCopied(true);
+    } catch {
+      setLocalError('Could not copy; select the code and copy it yourself.');
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([exportContributionFile(mine)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `moodplaylist-group-${mine.name.replace(/[^\w-]+/g, '-')}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleAddCode = () => {
+    try {
+      add(parseContributionFile(pasted));
+      setPasted('');
+    } catch (err) {
+      setLocalError(err?.message || 'Could not read that code.');
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      add(parseContributionFile(await file.text()));
+    } catch (err) {
+      setLocalError(err?.message || 'Could not import the seed file.');
+    }
+  };
+
+  const updateParticipant = (index, patch) => setSession({
+    ...session,
+    participants: session.participants.map((p, i) => (i === index ? { ...p, ...patch } : p)),
+  });
+
+  const removeParticipant = (index) => setSession({ ...session, participants: session.participants.filter((_, i) => i !== index) });
+
+  const handleGenerate = async () => {
+    setIsLoading(true);
+    setLocalError(null);
+    onError && onError(null);
+    setPreview(null);
+    setPlaylistResult(null);
+    const { signal, onProgress } = progress.start();
+
+    let cancelled = false;
+    try {
+      const group = { mode: session.mode, participants: session.participants };
+      const res = await previewPlaylist(accessToken, 'group', { ...genOptions, group, debugCallback, signal, onProgress });
+      setPreview({ ...res, saveMode: 'create' });
+      onOpenPreview && onOpenPreview();
+    } catch (err) {
+      cancelled = isAbortError(err);
+      if (!cancelled) {
+        console.error('Could not generate the group playlist:', err);
+        setLocalError(err || 'Unknown error');
+        onError && onError(err);
+      }
+    } finally {
+      progress.finish(cancelled);
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="group-session">
+      <h2>Group Session</h2>
+      <p className="note">Everyone picks a mood and shares their taste; the playlist is merged fairly and saved as a collaborative playlist.</p>
+
+      <div className="group-me">
+        <input type="text" placeholder="Your name (default: your Spotify name)" value={myName} onChange={e => setMyName(e.target.value)} disabled={isLoading} />
+        <select value={myMood} onChange={e => setMyMood(e.target.value)} disabled={isLoading}>
+          {moodNames.map(m => <option key={m} value={m}>{capitalize(m)}</option>)}
+        </select>
+        <label>
+          Weight
+          <input type="number" min={1} max={10} value={myWeight} onChange={e => setMyWeight(Number(e.target.value) || 1)} disabled={isLoading} />
+        </label>
+        <button onClick={handleAddMe} disabled={isLoading}>Add me</button>
+        <button onClick={fetchMine} disabled={isLoading}>Share my taste</button>
+      </div>
+
+      {mine && (
+        <div className="group-share">
+          <p className="note">Send this code or file to whoever builds the playlist:</p>
+          <textarea readOnly value={encodeContribution(mine)} onFocus={e => e.target.select()} />
+          <button onClick={handleCopy}>{copied ? 'Copied' : 'Copy code'}</button>
+          <button onClick={handleDownload}>Download seed file</button>
+        </div>
+      )}
+
+      <div className="group-add">
+        <input type="text" placeholder="Paste a group code (mpg1.…)" value={pasted} onChange={e => setPasted(e.target.value)} disabled={isLoading} />
+        <button onClick={handleAddCode} disabled={isLoading || !pasted.trim()}>Add code</button>
+        <button onClick={() => fileRef.current?.click()} disabled={isLoading}>Import seed file</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={handleImport} hidden />
+      </div>
+
+      {session.participants.length > 0 && (
+        <ul className="group-participants">
+          {session.participants.map((p, i) => (
+            <li key={p.name}>
+              <span className="group-name">{p.name}</span>
+              <span className="note"> {capitalize(p.mood)} · {p.topArtists.map(a => a.name).join(', ') || 'no top artists'} · {shares[i] || 0} tracks</span>
+              {session.mode === 'weighted' && (
+                <input
+                  type="number" min={1} max={10} value={p.weight} title="Weight"
+                  onChange={e => updateParticipant(i, { weight: Math.min(10, Math.max(1, Number(e.target.value) || 1)) })}
+                  disabled={isLoading}
+                />
+              )}
+              <button title="Remove" onClick={() => removeParticipant(i)} disabled={isLoading}>✕</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="save-modes">
+        {Object.entries(GROUP_MERGE_MODES).map(([mode, label]) => (
+          <label key={mode}>
+            <input type="radio" name="group-mode" value={mode} checked={session.mode === mode} onChange={() => setSession({ ...session, mode })} disabled={isLoading} />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      <GenerationOptionsForm value={genOptions} onChange={setGenOptions} disabled={isLoading} />
+
+      <button onClick={handleGenerate} className="generate-button" disabled={isLoading || session.participants.length < 2}>
+        {isLoading ? 'Finding Tracks…' : 'Preview group playlist'}
+      </button>
+      {session.participants.length < 2 && <p className="note">Add at least two people.</p>}
+      <GenerationProgress steps={progress.steps} onCancel={isLoading ? progress.cancel : undefined} />
+
+      <ErrorNotice error={localError} onRetry={session.participants.length < 2 ? undefined : handleGenerate} />
+    </div>
+  );
+};
+
+export default GroupSession;
@@ -0,0 +1,55 @@
+// src/MoodEditor.js
+
+import React, { useState } from 'react';
+import { MOOD_PARAMS, DEFAULT_TARGETS, saveCustomMood } from './moodStore';
+import { BUILT_IN_MOODS } from './spotifyService';
+
+// onUse (optional): apply the edited mood for this session without saving it
+const MoodEditor = ({ initial, title = 'Custom Mood', onSaved, onUse, onCancel }) => {
+  const [name, setName] = useState(initial?.name || '');
+  const [targets, setTargets] = useState({ ...DEFAULT_TARGETS, ...(initial?.targets || {}) });
+  const [localError, setLocalError] = useState(null);
+
+  const setParam = (key, value) => {
+    setTargets(prev => {
+      const next = { ...prev, [key]: Number(value) };
+      // keep the tempo range valid while dragging either end
+      if (key === 'min_tempo' && next.min_tempo > next.max_tempo) next.max_tempo = next.min_tempo;
+      if (key === 'max_tempo' && next.max_tempo < next.min_tempo) next.min_tempo = next.max_tempo;
+      return next;
+    });
+  };
+
+  const handleSave = () => {
+    try {
+      const saved = saveCustomMood({ ...initial, name, targets }, BUILT_IN_MOODS);
+      setLocalError(null);
+      onSaved && onSaved(saved);
+    } catch (err) {
+      setLocalError(err?.message || 'Could not save mood.');
+    }
+  };
+
+  return (
+    <div className="mood-editor">
+      <h3>{title}</h3>
+      <label className="mood-editor-row">
+        <span>Name</span>
+        <input type="text" value={name} onChange={e => setName(e.target.value)} placeholder="e.g. rainy focus" />
+      </label>
+      {MOOD_PARAMS.map(p => (
+        <label key={p.key} className="mood-editor-row">
+          <span>{p.label}</span>
+          <input type="range" min={p.min} max={p.max} step={p.step} value={targets[p.key]} onChange={e => setParam(p.key, e.target.value)} />
+          <span className="mood-editor-value">{targets[p.key]}</span>
+        </label>
+      ))}
+      <button onClick={handleSave} className="generate-button">Save Mood</button>
+      {onUse && <button onClick={() => onUse({ ...initial, name: name.trim().toLowerCase() || 'custom', targets })} className="generate-button">Use Without Saving</button>}
+      {onCancel && <button onClick={onCancel} className="generate-button outline">Cancel</button>}
+      {localError && <p className="error-message">{localError}</p>}
+    </div>
+  );
+};
+
+export default MoodEditor;
@@ -1,31 +1,199 @@
 // src/MoodSelector.js
 
-import React, { useState } from 'react';
-import { generatePlaylist } from './spotifyService';
+import React, { useEffect, useRef, useState } from 'react';
+import { previewPlaylist, previewImportedTracks, detectAutoMood, BUILT_IN_MOODS, SAVE_MODES } from './spotifyService';
+import { getCustomMoods, saveCustomMood, deleteCustomMood, exportCustomMoods, importCustomMoods } from './moodStore';
+import MoodEditor from './MoodEditor';
+import ErrorNotice from './ErrorNotice';
+import GenerationOptionsForm from './GenerationOptionsForm';
+import SeedPicker from './SeedPicker';
+import ArcOptionsForm from './ArcOptionsForm';
+import GenerationProgress, { useGenerationProgress } from './GenerationProgress';
+import { isAbortError } from './spotifyErrors';
+import { DEFAULT_GENERATION_OPTIONS } from './generationOptions';
+import { analyzeMoodText } from './moodAnalyzer';
+import { parseTrackList } from './playlistFormats';
 
-const MOODS = ['excited', 'chill', 'sad', 'pumped'];
+const capitalize = (m) => m.charAt(0).toUpperCase() + m.slice(1);
 
-const MoodSelector = ({ accessToken, setPlaylistResult, setError }) => {
+const SAVE_MODE_LABELS = {
+  create: 'Create new playlist',
+  replace: 'Replace tracks in my last playlist for this mood',
+  append: 'Append to my last playlist for this mood',
+};
+
+const MoodSelector = ({ accessToken, setPreview, setPlaylistResult, onError, debugCallback }) => {
   const [selectedMood, setSelectedMood] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [localError, setLocalError] = useState(null);
+  const [customMoods, setCustomMoods] = useState(getCustomMoods());
+  const [editing, setEditing] = useState(null); // null | {} (new) | mood being edited
+  const [saveMode, setSaveMode] = useState('create');
+  const [genOptions, setGenOptions] = useState(DEFAULT_GENERATION_OPTIONS);
+  const [description, setDescription] = useState('');
+  const [adHocMood, setAdHocMood] = useState(null); // mood used without saving (e.g. from text)
+  const [suggestion, setSuggestion] = useState(null); // { title, note } when the editor shows a suggested mood
+  const [autoMood, setAutoMood] = useState(null);
+  const [arcOptions, setArcOptions] = useState({ enabled: false, end: '', shape: 'linear' });
+  const importRef = useRef(null);
+  const trackListRef = useRef(null);
+  const progress = useGenerationProgress();
+
+  const selectedCustom = customMoods.find(m => m.name === selectedMood) || null;
+  const isTaken = (name) => BUILT_IN_MOODS.includes(name) || customMoods.some(c => c.name === name);
+  const moodNames = BUILT_IN_MOODS.concat(
+    customMoods.map(c => c.name),
+    adHocMood && !isTaken(adHocMood.name) ? [adHocMood.name] : []
+  );
+
+  // an unsaved mood must not shadow a built-in or saved one ("chill" -> "auto: chill")
+  const withFreeName = (mood, prefix) => (isTaken(mood.name) ? { ...mood, name: `${prefix}: ${mood.name}` } : mood);
+
+  // suggest an auto mood from the time of day + recent listening; failures just hide the suggestion
+  useEffect(() => {
+    if (!accessToken) return;
+    let cancelled = false;
+    detectAutoMood(accessToken, { debugCallback })
+      .then(res => { if (!cancelled) setAutoMood(res); })
+      .catch(err => console.warn('Auto mood unavailable:', err?.message || err));
+    return () => { cancelled = true; };
+  }, [accessToken, debugCallback]);
+
+  // selecting a mood loads the seeds saved with it (none for built-in moods)
+  const selectMood = (m, moods = customMoods, unsaved = adHocMood) => {
+    const mood = moods.find(c => c.name === m) || (unsaved?.name === m ? unsaved : null);
+    setSelectedMood(m);
+    setGenOptions(prev => ({ ...prev, seeds: mood?.seeds || [] }));
+    setLocalError(null);
+    onError && onError(null);
+  };
+
+  const setSeeds = (seeds) => setGenOptions(prev => ({ ...prev, seeds }));
+
+  const handleSaveSeeds = () => {
+    if (!selectedCustom) return;
+    saveCustomMood({ ...selectedCustom, seeds: genOptions.seeds }, BUILT_IN_MOODS);
+    setCustomMoods(getCustomMoods());
+  };
+
+  const handleMoodSaved = (mood) => {
+    const moods = getCustomMoods();
+    setCustomMoods(moods);
+    setEditing(null);
+    setSuggestion(null);
+    selectMood(mood.name, moods);
+  };
+
+  // free-text description -> inferred targets + genre seeds, opened in the editor for review
+  const handleAnalyze = () => {
+    const res = analyzeMoodText(description);
+    if (!res.matched.length) { setLocalError("Couldn't recognise a mood in that description. Try words like \"calm\", \"party\" or \"rainy\"."); return; }
+    setLocalError(null);
+    openSuggestion(
+      { name: res.label, targets: res.targets, seeds: res.genres.map(g => ({ type: 'genre', id: g, name: g })) },
+      { title: 'Detected Mood', prefix: 'detected', note: `Detected from: ${res.matched.join(', ')}. Adjust anything before using it.` }
+    );
+  };
+
+  // context: { title, note, prefix (for a name that is already taken, see withFreeName) }
+  const openSuggestion = (mood, context) => {
+    setEditing(mood);
+    setSuggestion(context);
+  };
+
+  const openEditor = (mood) => {
+    setEditing(mood);
+    setSuggestion(null);
+  };
+
+  const handleUseUnsaved = (mood) => {
+    setAdHocMood(mood);
+    setEditing(null);
+    setSuggestion(null);
+    selectMood(mood.name, customMoods, mood);
+  };
+
+  const handleDelete = () => {
+    if (!selectedCustom) return;
+    deleteCustomMood(selectedCustom.name);
+    setCustomMoods(getCustomMoods());
+    setSelectedMood(null);
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportCustomMoods()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'moodplaylist-moods.json';
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const count = importCustomMoods(await file.text(), BUILT_IN_MOODS);
+      setCustomMoods(getCustomMoods());
+      setLocalError(count ? null : 'No valid moods found in file.');
+    } catch (err) {
+      setLocalError(err?.message || 'Could not import moods.');
+    }
+  };
+
+  // CSV / JSON track list -> Spotify tracks -> preview (unmatched entries are listed there)
+  const handleImportTracks = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setIsLoading(true);
+    setLocalError(null);
+    onError && onError(null);
+    setPreview(null);
+    setPlaylistResult(null);
+    try {
+      const entries = parseTrackList(await file.text(), file.name);
+      if (!entries.length) throw new Error('No tracks found in file.');
+      const res = await previewImportedTracks(accessToken, entries, { name: file.name.replace(/\.[^.]+$/, ''), debugCallback });
+      setPreview({ ...res, saveMode });
+    } catch (err) {
+      console.error('Could not import track list:', err);
+      setLocalError(err || 'Could not import track list.');
+      onError && onError(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
 
   const handleGenerate = async () => {
     if (!selectedMood) { setLocalError("Please select a mood."); return; }
     setIsLoading(true);
     setLocalError(null);
-    setError && setError(null);
+    onError && onError(null);
+    setPreview(null);
     setPlaylistResult(null);
+    const { signal, onProgress } = progress.start();
 
+    let cancelled = false;
     try {
-      const res = await generatePlaylist(accessToken, selectedMood);
-      setPlaylistResult(res);
+      // unsaved moods are not in any store, so their targets travel with the request
+      const targetsOf = (m) => (adHocMood?.name === m ? adHocMood.targets : undefined);
+      const options = arcOptions.enabled && arcOptions.end
+        ? { ...genOptions, arc: { start: selectedMood, end: arcOptions.end, shape: arcOptions.shape, startTargets: targetsOf(selectedMood), endTargets: targetsOf(arcOptions.end) } }
+        : { ...genOptions, targets: targetsOf(selectedMood) };
+      const res = await previewPlaylist(accessToken, selectedMood, { ...options, debugCallback, signal, onProgress });
+      setPreview({ ...res, saveMode });
     } catch (err) {
-      console.error('Could not generate playlist:', err);
-      const msg = err?.message || 'Unknown error';
-      setLocalError(msg);
-      setError && setError(msg);
+      cancelled = isAbortError(err);
+      if (!cancelled) {
+        console.error('Could not generate playlist:', err);
+        setLocalError(err || 'Unknown error');
+        onError && onError(err);
+      }
     } finally {
+      progress.finish(cancelled);
       setIsLoading(false);
     }
   };
@@ -34,18 +202,83 @@ const MoodSelector = ({ accessToken, setPlaylistResult, setError }) => {
     <div className="mood-selector">
       <h2>1. Select Your Mood</h2>
       <div className="mood-buttons">
-        {MOODS.map(m => (
-          <button key={m} className={`mood-button ${selectedMood === m ? 'selected' : ''}`} onClick={() => { setSelectedMood(m); setLocalError(null); setError && setError(null); }} disabled={isLoading}>
-            {m.charAt(0).toUpperCase() + m.slice(1)}
+        {moodNames.map(m => (
+          <button key={m} className={`mood-button ${selectedMood === m ? 'selected' : ''}`} onClick={() => selectMood(m)} disabled={isLoading}>
+            {capitalize(m)}
           </button>
         ))}
+        <button className="mood-button" onClick={() => openEditor({})} disabled={isLoading}>+ Custom</button>
+      </div>
+
+      <div className="mood-tools">
+        {selectedCustom && <button onClick={() => openEditor(selectedCustom)} disabled={isLoading}>Edit</button>}
+        {selectedCustom && <button onClick={handleDelete} disabled={isLoading}>Delete</button>}
+        <button onClick={handleExport} disabled={!customMoods.length}>Export moods</button>
+        <button onClick={() => importRef.current?.click()}>Import moods</button>
+        <input ref={importRef} type="file" accept="application/json,.json" onChange={handleImport} hidden />
+        <button onClick={() => trackListRef.current?.click()} disabled={isLoading}>Import track list</button>
+        <input ref={trackListRef} type="file" accept=".csv,.json,text/csv,application/json" onChange={handleImportTracks} hidden />
+      </div>
+
+      {autoMood && (
+        <div className="auto-mood">
+          <span>Auto: {autoMood.explanation}</span>
+          <button onClick={() => handleUseUnsaved(withFreeName({ name: autoMood.label, targets: autoMood.targets }, 'auto'))} disabled={isLoading}>Use</button>
+          <button onClick={() => openSuggestion({ name: autoMood.label, targets: autoMood.targets }, { title: 'Auto Mood', prefix: 'auto', note: autoMood.explanation })} disabled={isLoading}>Adjust</button>
+        </div>
+      )}
+
+      <div className="mood-describe">
+        <input
+          type="text"
+          placeholder="…or describe it: rainy sunday, reading, a bit nostalgic"
+          value={description}
+          onChange={e => setDescription(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter' && description.trim()) handleAnalyze(); }}
+          disabled={isLoading}
+        />
+        <button onClick={handleAnalyze} disabled={isLoading || !description.trim()}>Detect mood</button>
+      </div>
+
+      {editing && (
+        <>
+          {suggestion?.note && <p className="note">{suggestion.note}</p>}
+          <MoodEditor
+            key={`${suggestion?.title || ''}:${editing.name || 'new'}`}
+            initial={editing}
+            title={suggestion?.title}
+            onSaved={handleMoodSaved}
+            onUse={suggestion ? (mood) => handleUseUnsaved(withFreeName(mood, suggestion.prefix)) : undefined}
+            onCancel={() => openEditor(null)}
+          />
+        </>
+      )}
+
+      <SeedPicker accessToken={accessToken} debugCallback={debugCallback} seeds={genOptions.seeds} onChange={setSeeds} disabled={isLoading} />
+      {selectedCustom && JSON.stringify(selectedCustom.seeds || []) !== JSON.stringify(genOptions.seeds) && (
+        <div className="mood-tools">
+          <button onClick={handleSaveSeeds} disabled={isLoading}>Save seeds to "{capitalize(selectedCustom.name)}"</button>
+        </div>
+      )}
+
+      <GenerationOptionsForm value={genOptions} onChange={setGenOptions} disabled={isLoading} />
+      <ArcOptionsForm value={arcOptions} onChange={setArcOptions} moods={moodNames} startMood={selectedMood} disabled={isLoading} />
+
+      <div className="save-modes">
+        {SAVE_MODES.map(mode => (
+          <label key={mode}>
+            <input type="radio" name="save-mode" value={mode} checked={saveMode === mode} onChange={() => setSaveMode(mode)} disabled={isLoading} />
+            {SAVE_MODE_LABELS[mode]}
+          </label>
+        ))}
       </div>
 
       <button onClick={handleGenerate} className="generate-button" disabled={isLoading || !selectedMood}>
-        {isLoading ? 'Generating Playlist…' : '2. Generate Playlist'}
+        {isLoading ? 'Finding Tracks…' : '2. Preview Tracks'}
       </button>
+      <GenerationProgress steps={progress.steps} onCancel={isLoading ? progress.cancel : undefined} />
 
-      {localError && <p className="error-message">{localError}</p>}
+      <ErrorNotice error={localError} onRetry={handleGenerate} />
     </div>
   );
 };
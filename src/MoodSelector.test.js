@@ -0,0 +1,62 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import MoodSelector from './MoodSelector';
+import { createFakeSpotifyApi, FAKE_SCOPES } from './fakeSpotifyApi';
+import { configureAutoMood } from './autoMood';
+import { clearResponseCache } from './responseCache';
+
+let api;
+let restore;
+
+// 2024-03-09 is a Saturday: the auto mood is the "weekend-morning" rule, labelled like built-in chill
+const SATURDAY_MORNING = new Date(2024, 2, 9, 8, 0);
+
+const renderSelector = () => {
+  api = createFakeSpotifyApi();
+  restore = api.install();
+  const token = api.issueToken();
+  localStorage.setItem('access_token', token);
+  localStorage.setItem('refresh_token', 'fake-refresh');
+  localStorage.setItem('token_expiry', String(Date.now() + 3600000));
+  localStorage.setItem('granted_scopes', FAKE_SCOPES);
+  const setPreview = jest.fn();
+  render(<MoodSelector accessToken={token} setPreview={setPreview} setPlaylistResult={() => {}} />);
+  return { setPreview };
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  clearResponseCache();
+  configureAutoMood({ clock: () => SATURDAY_MORNING });
+  jest.spyOn(console, 'debug').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  configureAutoMood({ clock: null });
+  restore();
+  jest.restoreAllMocks();
+});
+
+test('an auto mood named like a built-in mood gets its own button and leaves the built-in targets alone', async () => {
+  const { setPreview } = renderSelector();
+  fireEvent.click(await screen.findByRole('button', { name: 'Use' }));
+
+  expect(screen.getAllByRole('button', { name: 'Chill' })).toHaveLength(1);
+  expect(screen.getByRole('button', { name: 'Auto: chill' })).toHaveClass('selected');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Chill' }));
+  fireEvent.click(screen.getByRole('button', { name: /preview tracks/i }));
+  await waitFor(() => expect(setPreview).toHaveBeenLastCalledWith(expect.objectContaining({ mood: 'chill' })));
+  expect(api.requestsTo('GET', '/recommendations').pop().query.target_energy).toBe('0.4');
+});
+
+test('a detected mood named like a built-in mood is used under its own name', async () => {
+  renderSelector();
+  await screen.findByRole('button', { name: 'Use' });
+  fireEvent.change(screen.getByPlaceholderText(/describe it/i), { target: { value: 'sad' } });
+  fireEvent.click(screen.getByRole('button', { name: /detect mood/i }));
+  fireEvent.click(screen.getByRole('button', { name: /use without saving/i }));
+
+  expect(screen.getAllByRole('button', { name: 'Sad' })).toHaveLength(1);
+  expect(screen.getByRole('button', { name: 'Detected: sad' })).toHaveClass('selected');
+});
@@ -0,0 +1,91 @@
+// src/Player.js
+
+import React, { useEffect, useRef, useState } from 'react';
+import { connectPlayer } from './playbackSdk';
+import { getValidAccessToken, startPlayback } from './spotifyService';
+import ErrorNotice from './ErrorNotice';
+
+// In-browser player (Web Playback SDK, needs Spotify Premium).
+// Plays either a track list (uris) or a playlist (contextUri).
+const Player = ({ accessToken, uris = [], contextUri = null }) => {
+  const [status, setStatus] = useState('idle'); // idle | connecting | ready
+  const [deviceId, setDeviceId] = useState(null);
+  const [playerState, setPlayerState] = useState(null);
+  const [localError, setLocalError] = useState(null);
+  const playerRef = useRef(null);
+  const unmountedRef = useRef(false);
+
+  useEffect(() => {
+    unmountedRef.current = false;
+    return () => {
+      unmountedRef.current = true;
+      playerRef.current?.disconnect();
+    };
+  }, []);
+
+  const handleConnect = async () => {
+    setStatus('connecting');
+    setLocalError(null);
+    try {
+      const { player, deviceId: id } = await connectPlayer({
+        getOAuthToken: () => getValidAccessToken(),
+        onStateChange: setPlayerState,
+        onError: setLocalError,
+      });
+      // unmounted while connecting: drop the player so no Connect device is left behind
+      if (unmountedRef.current) { player.disconnect(); return; }
+      playerRef.current = player;
+      setDeviceId(id);
+      setStatus('ready');
+    } catch (err) {
+      if (unmountedRef.current) return;
+      console.error('Player failed to start:', err);
+      setLocalError(err);
+      setStatus('idle');
+    }
+  };
+
+  const handlePlay = async () => {
+    setLocalError(null);
+    try {
+      await startPlayback(accessToken, deviceId, contextUri ? { contextUri } : { uris });
+    } catch (err) {
+      console.error('Could not start playback:', err);
+      setLocalError(err);
+    }
+  };
+
+  const current = playerState?.track_window?.current_track;
+  const player = playerRef.current;
+
+  return (
+    <div className="player">
+      {status !== 'ready' ? (
+        <button className="generate-button outline" onClick={handleConnect} disabled={status === 'connecting'}>
+          {status === 'connecting' ? 'Starting player…' : '▶ Listen here'}
+        </button>
+      ) : (
+        <>
+          {current && (
+            <div className="track-meta">
+              Now playing: <strong>{current.name}</strong>{current.artists?.length ? ` — ${current.artists.map(a => a.name).join(', ')}` : ''}
+            </div>
+          )}
+          <div className="player-controls">
+            <button onClick={() => player?.previousTrack()} title="Previous">⏮</button>
+            {current ? (
+              <button onClick={() => player?.togglePlay()} title="Play/Pause">{playerState?.paused ? '▶' : '⏸'}</button>
+            ) : (
+              <button onClick={handlePlay} title="Play">▶</button>
+            )}
+            <button onClick={() => player?.nextTrack()} title="Next">⏭</button>
+            <button onClick={handlePlay} title="Start from the first track">↺</button>
+          </div>
+        </>
+      )}
+      <ErrorNotice error={localError} onRetry={status === 'ready' ? handlePlay : handleConnect} />
+    </div>
+  );
+};
+
+export default Player;
@@ -0,0 +1,38 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import Player from './Player';
+import { setPlaybackSdkLoader } from './playbackSdk';
+import { createFakeSpotifySdk } from './fakePlaybackSdk';
+
+beforeEach(() => {
+  localStorage.setItem('access_token', 'token-123');
+  localStorage.setItem('token_expiry', String(Date.now() + 3600000));
+});
+
+afterEach(() => {
+  setPlaybackSdkLoader(null);
+  localStorage.clear();
+});
+
+test('a player that finishes connecting after unmount is disconnected', async () => {
+  const sdk = createFakeSpotifySdk({ deviceId: 'dev-1' });
+  const created = [];
+  sdk.Player = class extends sdk.Player {
+    constructor(options) {
+      super(options);
+      created.push(this);
+    }
+  };
+  let loadSdk;
+  setPlaybackSdkLoader(() => new Promise(resolve => { loadSdk = () => resolve(sdk); }));
+
+  const { unmount } = render(<Player accessToken="token-123" uris={['spotify:track:a']} />);
+  fireEvent.click(screen.getByRole('button', { name: /listen here/i }));
+  await waitFor(() => expect(loadSdk).toBeDefined());
+  unmount();
+  loadSdk();
+
+  await waitFor(() => expect(created).toHaveLength(1));
+  await waitFor(() => expect(created[0].listeners.ready).toBeDefined());
+  await new Promise(resolve => setTimeout(resolve, 20));
+  expect(created[0].connected).toBe(false);
+});
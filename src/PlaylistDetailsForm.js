@@ -0,0 +1,52 @@
+// src/PlaylistDetailsForm.js
+
+import React from 'react';
+import CoverPreview from './CoverPreview';
+import ScopePrompt from './ScopePrompt';
+import { coverDesignForPreview } from './coverArt';
+import { playlistMetadata, MAX_NAME_LENGTH, MAX_DESCRIPTION_LENGTH } from './playlistTemplates';
+import { getMissingScopes } from './capabilities';
+
+// Name, description and generated cover of a preview, editable before saving.
+// Changes are patched onto the preview: { name, description, cover: { enabled, seed } }.
+const PlaylistDetailsForm = ({ preview, onChange, disabled }) => {
+  const cover = { enabled: true, seed: 0, ...preview.cover };
+  const setCover = (patch) => onChange({ cover: { ...cover, ...patch } });
+  const missingScopes = cover.enabled ? getMissingScopes(['ugc-image-upload']) : [];
+
+  return (
+    <div className="playlist-details">
+      {cover.enabled && <CoverPreview design={coverDesignForPreview(preview)} />}
+      <div className="playlist-details-fields">
+        <input
+          type="text"
+          className="playlist-name-input"
+          aria-label="Playlist name"
+          value={preview.name || ''}
+          maxLength={MAX_NAME_LENGTH}
+          onChange={e => onChange({ name: e.target.value })}
+          disabled={disabled}
+        />
+        <textarea
+          aria-label="Playlist description"
+          rows={3}
+          value={preview.description || ''}
+          maxLength={MAX_DESCRIPTION_LENGTH}
+          onChange={e => onChange({ description: e.target.value })}
+          disabled={disabled}
+        />
+        <div className="mood-tools">
+          <button onClick={() => onChange(playlistMetadata(preview))} disabled={disabled}>Reset name and description</button>
+          <label>
+            <input type="checkbox" checked={cover.enabled} onChange={e => setCover({ enabled: e.target.checked })} disabled={disabled} />
+            Generated cover
+          </label>
+          {cover.enabled && <button onClick={() => setCover({ seed: cover.seed + 1 })} disabled={disabled}>Shuffle cover</button>}
+        </div>
+        <ScopePrompt scopes={missingScopes} reason="Covers are only added to new playlists. It will work" />
+      </div>
+    </div>
+  );
+};
+
+export default PlaylistDetailsForm;
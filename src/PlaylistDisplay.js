@@ -1,20 +1,232 @@
 // src/PlaylistDisplay.js
 
-import React from 'react';
+import React, { useState } from 'react';
+import { getReplacementTrack, savePlaylist, queueTracks, TRACK_SOURCES } from './spotifyService';
+import { addHistoryEntry } from './historyStore';
+import ScopePrompt from './ScopePrompt';
+import ErrorNotice from './ErrorNotice';
+import Player from './Player';
+import ArcChart from './ArcChart';
+import ExportMenu from './ExportMenu';
+import GenerationProgress, { useGenerationProgress } from './GenerationProgress';
+import PlaylistDetailsForm from './PlaylistDetailsForm';
+import { coverDesignForPreview, renderCoverJpeg } from './coverArt';
+import { isAbortError } from './spotifyErrors';
+import { participantSeeds } from './groupPlaylist';
+
+const formatDuration = (ms) => {
+  const totalSec = Math.round((ms || 0) / 1000);
+  return `${Math.floor(totalSec / 60)}:${String(totalSec % 60).padStart(2, '0')}`;
+};
+
+const TrackRow = ({ track, index, count, busy, onMove, onRemove, onReroll }) => (
+  <li className="track-row">
+    {track.imageUrl ? <img src={track.imageUrl} alt="" className="track-art" /> : <div className="track-art" />}
+    <div className="track-info">
+      <div className="track-name">{track.name}</div>
+      <div className="track-meta">{track.artists.join(', ') || 'Unknown artist'} · {formatDuration(track.durationMs)}{track.contributor && ` · for ${track.contributor}`}</div>
+    </div>
+    <div className="track-actions">
+      <button title="Move up" onClick={() => onMove(index, -1)} disabled={busy || index === 0}>↑</button>
+      <button title="Move down" onClick={() => onMove(index, 1)} disabled={busy || index === count - 1}>↓</button>
+      {onReroll && <button title="Re-roll this track" onClick={() => onReroll(index)} disabled={busy}>⟳</button>}
+      <button title="Remove" onClick={() => onRemove(index)} disabled={busy}>✕</button>
+    </div>
+  </li>
+);
+
+const PlaylistDisplay = ({ accessToken, preview, setPreview, data, setPlaylistResult, onError, debugCallback }) => {
+  const [isSaving, setIsSaving] = useState(false);
+  const [rerollIndex, setRerollIndex] = useState(null);
+  const [localError, setLocalError] = useState(null);
+  const [retryAction, setRetryAction] = useState(null);
+  const [isQueueing, setIsQueueing] = useState(false);
+  const [queuedCount, setQueuedCount] = useState(null);
+  const progress = useGenerationProgress();
+
+  const fail = (err, fallbackMsg, retry) => {
+    setLocalError(err || fallbackMsg);
+    setRetryAction(() => retry);
+    onError && onError(err);
+  };
+
+  const updateTracks = (fn) => setPreview(prev => prev && { ...prev, tracks: fn(prev.tracks.slice()) });
+  const updateDetails = (patch) => setPreview(prev => prev && { ...prev, ...patch });
+
+  // the cover is optional: a browser without canvas just saves without one
+  const renderCover = () => {
+    if (preview.cover?.enabled === false) return null;
+    try {
+      return renderCoverJpeg(coverDesignForPreview(preview));
+    } catch (err) {
+      console.warn('Could not render the playlist cover:', err?.message || err);
+      return null;
+    }
+  };
+
+  const handleMove = (index, delta) => updateTracks(tracks => {
+    const target = index + delta;
+    if (target < 0 || target >= tracks.length) return tracks;
+    [tracks[index], tracks[target]] = [tracks[target], tracks[index]];
+    return tracks;
+  });
+
+  const handleRemove = (index) => updateTracks(tracks => {
+    tracks.splice(index, 1);
+    return tracks;
+  });
+
+  const handleReroll = async (index) => {
+    setRerollIndex(index);
+    setLocalError(null);
+    try {
+      // arc previews re-roll with the targets of the slot's segment,
+      // group previews with the merged targets and the taste of the person the slot was for
+      const { arcSegment, contributor } = preview.tracks[index];
+      const segment = preview.arc?.segments?.[arcSegment];
+      const person = contributor && preview.options?.group?.participants.find(p => p.name === contributor);
+      let options = preview.options;
+      if (segment) options = { ...options, targets: segment.targets };
+      else if (person) options = { ...options, targets: preview.targets, seeds: participantSeeds(person) };
+      const excludeUris = preview.tracks.map(t => t.uri).concat(preview.excludedPlaylistUris || []);
+      const replacement = await getReplacementTrack(accessToken, person ? person.mood : preview.mood, excludeUris, { ...options, debugCallback });
+      if (!replacement) { setLocalError('No other tracks available for this mood.'); return; }
+      updateTracks(tracks => {
+        if (segment) tracks[index] = { ...replacement, arcSegment: segment.index };
+        else if (person) tracks[index] = { ...replacement, contributor: person.name };
+        else tracks[index] = replacement;
+        return tracks;
+      });
+    } catch (err) {
+      console.error('Could not re-roll track:', err);
+      fail(err, 'Could not re-roll track.', () => handleReroll(index));
+    } finally {
+      setRerollIndex(null);
+    }
+  };
+
+  // history is best-effort: a failing IndexedDB must not look like a failed save
+  const recordHistory = (res) => {
+    addHistoryEntry({
+      mood: preview.mood,
+      targets: preview.targets || null,
+      source: preview.source,
+      options: preview.options,
+      name: res.name,
+      playlistId: res.id,
+      playlistUrl: res.url,
+      tracks: preview.tracks,
+    }).catch(err => console.warn('Could not record playlist history:', err?.message || err));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setLocalError(null);
+    onError && onError(null);
+    const { signal, onProgress } = progress.start();
+    let cancelled = false;
+    try {
+      const res = await savePlaylist(accessToken, preview, { mode: preview.saveMode, cover: renderCover(), debugCallback, signal, onProgress });
+      setPlaylistResult({ ...res, trackList: preview.tracks });
+      setPreview(null);
+      recordHistory(res);
+    } catch (err) {
+      cancelled = isAbortError(err);
+      if (!cancelled) {
+        console.error('Could not save playlist:', err);
+        fail(err, 'Unknown error', handleSave);
+      }
+    } finally {
+      progress.finish(cancelled);
+      setIsSaving(false);
+    }
+  };
+
+  // queue-only mode: send the preview to the active Spotify device, no playlist is created
+  const handleQueue = async () => {
+    setIsQueueing(true);
+    setQueuedCount(null);
+    setLocalError(null);
+    try {
+      setQueuedCount(await queueTracks(accessToken, preview.tracks.map(t => t.uri), { debugCallback }));
+    } catch (err) {
+      console.error('Could not queue tracks:', err);
+      fail(err, 'Could not queue tracks.', handleQueue);
+    } finally {
+      setIsQueueing(false);
+    }
+  };
+
+  if (preview) {
+    const busy = isSaving || isQueueing || rerollIndex !== null;
+    const totalMs = preview.tracks.reduce((sum, t) => sum + (t.durationMs || 0), 0);
+    return (
+      <div className="playlist-display">
+        <h3>Preview</h3>
+        <PlaylistDetailsForm preview={preview} onChange={updateDetails} disabled={busy} />
+        <p>{preview.tracks.length} tracks · {formatDuration(totalMs)}</p>
+        <ArcChart arc={preview.arc} />
+        {preview.source && <p className="note">Source: {TRACK_SOURCES[preview.source] || preview.source}</p>}
+        <ScopePrompt scopes={preview.missingScopes} reason="These tracks were picked without your listening history. Better matches are available" />
+        <ol className="track-list">
+          {preview.tracks.map((t, idx) => (
+            <TrackRow
+              key={`${t.uri}-${idx}`}
+              track={t}
+              index={idx}
+              count={preview.tracks.length}
+              busy={busy}
+              onMove={handleMove}
+              onRemove={handleRemove}
+              onReroll={preview.source === 'import' ? null : handleReroll}
+            />
+          ))}
+        </ol>
+        {preview.unmatched?.length > 0 && (
+          <div className="unmatched">
+            <p className="note">{preview.unmatched.length} imported tracks could not be found on Spotify:</p>
+            <ul>
+              {preview.unmatched.map((e, idx) => (
+                <li key={idx}>{e.title || e.isrc || e.uri}{e.artists?.length ? ` — ${e.artists.join(', ')}` : ''}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+        <ExportMenu tracks={preview.tracks} name={preview.name} />
+        <button onClick={handleSave} className="generate-button" disabled={busy || preview.tracks.length === 0}>
+          {isSaving ? 'Saving Playlist…' : '3. Save to Spotify'}
+        </button>
+        <button onClick={handleQueue} className="generate-button outline" disabled={busy || preview.tracks.length === 0}>
+          {isQueueing ? 'Queueing…' : 'Queue on my device instead'}
+        </button>
+        <GenerationProgress steps={progress.steps} onCancel={isSaving ? progress.cancel : undefined} />
+        {queuedCount !== null && <p className="note">{queuedCount} tracks added to your Spotify queue.</p>}
+        <Player accessToken={accessToken} uris={preview.tracks.map(t => t.uri)} />
+        <ErrorNotice error={localError} onRetry={retryAction} />
+      </div>
+    );
+  }
 
-const PlaylistDisplay = ({ data }) => {
   if (!data) return null;
 
   return (
     <div className="playlist-display">
-      <h3>✅ Success! Playlist Generated</h3>
+      <h3>✅ Success! {data.mode === 'create' || !data.mode ? 'Playlist Generated' : 'Playlist Updated'}</h3>
       <h4>{data.name}</h4>
-      <p>A new playlist with <strong>{data.tracks}</strong> tracks has been created in your Spotify account.</p>
+      {data.mode === 'replace' && <p>The playlist's tracks were replaced with <strong>{data.tracks}</strong> new tracks.</p>}
+      {data.mode === 'append' && (
+        <p><strong>{data.tracks}</strong> tracks were appended{data.skipped ? ` (${data.skipped} already in the playlist were skipped)` : ''}.</p>
+      )}
+      {(data.mode === 'create' || !data.mode) && (
+        <p>A new playlist with <strong>{data.tracks}</strong> tracks{data.coverUploaded ? ' and a generated cover' : ''} has been created in your Spotify account.</p>
+      )}
       {data.url ? (
         <a href={data.url} target="_blank" rel="noopener noreferrer" className="spotify-link">Open Playlist on Spotify</a>
       ) : (
         <p className="note">Playlist created but URL not available.</p>
       )}
+      <ExportMenu tracks={data.trackList} name={data.name} />
+      {data.id && <Player accessToken={accessToken} contextUri={`spotify:playlist:${data.id}`} />}
     </div>
   );
 };
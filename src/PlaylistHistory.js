@@ -0,0 +1,134 @@
+// src/PlaylistHistory.js
+
+import React, { useEffect, useState } from 'react';
+import { listHistory, updateHistoryEntry, deleteHistoryEntry } from './historyStore';
+import {
+  previewPlaylist, getRecommendedTracks, replacePlaylistTracks, unfollowPlaylist, isFollowingPlaylist, TRACK_SOURCES,
+} from './spotifyService';
+import { NotFoundError } from './spotifyErrors';
+import ErrorNotice from './ErrorNotice';
+import ExportMenu from './ExportMenu';
+
+const formatDate = (ts) => new Date(ts).toLocaleString();
+
+const PLAYLIST_GONE = 'This playlist is no longer in your Spotify library. Regenerate it to save a new one.';
+
+const PlaylistHistory = ({ accessToken, setPreview, setPlaylistResult, onError, onOpenPreview, debugCallback }) => {
+  const [entries, setEntries] = useState(null);
+  const [openId, setOpenId] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [localError, setLocalError] = useState(null);
+
+  const reload = () => listHistory()
+    .then(setEntries)
+    .catch(err => { setEntries([]); setLocalError(err?.message || 'Could not load history.'); });
+
+  useEffect(() => {
+    reload();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // run an action for one entry with shared busy/error handling
+  const runFor = (entry, action) => async () => {
+    setBusyId(entry.id);
+    setLocalError(null);
+    onError && onError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error('History action failed:', err);
+      setLocalError(err || 'Unknown error');
+      onError && onError(err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // same mood, fresh tracks, back through the normal preview -> save flow
+  const handleRegenerate = (entry) => runFor(entry, async () => {
+    const res = await previewPlaylist(accessToken, entry.mood, { ...entry.options, debugCallback });
+    setPlaylistResult(null);
+    setPreview(res);
+    onOpenPreview && onOpenPreview();
+  });
+
+  // replace the tracks of the existing Spotify playlist in place; an unfollowed or deleted one
+  // (Spotify keeps serving it by id) is unlinked from the entry instead of being refilled
+  const handleRefresh = (entry) => runFor(entry, async () => {
+    try {
+      if (!(await isFollowingPlaylist(accessToken, entry.playlistId, debugCallback))) {
+        throw new NotFoundError('The playlist was unfollowed.', { status: 404, endpoint: `/playlists/${entry.playlistId}` });
+      }
+      const { tracks, source } = await getRecommendedTracks(accessToken, entry.mood, { ...entry.options, debugCallback });
+      await replacePlaylistTracks(accessToken, entry.playlistId, tracks.map(t => t.uri), debugCallback);
+      await updateHistoryEntry(entry.id, { tracks, source });
+    } catch (err) {
+      if (!(err instanceof NotFoundError && err.endpoint?.startsWith(`/playlists/${entry.playlistId}`))) throw err;
+      await updateHistoryEntry(entry.id, { playlistId: null, playlistUrl: null, playlistGone: true });
+      throw new NotFoundError(PLAYLIST_GONE, { status: 404, endpoint: err.endpoint, cause: err });
+    } finally {
+      await reload();
+    }
+  });
+
+  const handleDelete = (entry) => runFor(entry, async () => {
+    if (!window.confirm(`Remove "${entry.name}" from your Spotify library and history?`)) return;
+    try {
+      if (entry.playlistId) await unfollowPlaylist(accessToken, entry.playlistId, debugCallback);
+    } catch (err) {
+      if (!(err instanceof NotFoundError)) throw err; // already gone on Spotify
+    }
+    await deleteHistoryEntry(entry.id);
+    await reload();
+  });
+
+  if (entries === null) return <p>Loading history…</p>;
+
+  return (
+    <div className="playlist-history">
+      <h2>Playlist History</h2>
+      {entries.length === 0 && <p className="note">No playlists generated yet.</p>}
+      <ul className="history-list">
+        {entries.map(entry => {
+          const busy = busyId !== null;
+          const generated = entry.source !== 'import'; // imported lists have no mood to regenerate from
+          return (
+            <li key={entry.id} className="history-entry">
+              <div className="history-summary" onClick={() => setOpenId(openId === entry.id ? null : entry.id)}>
+                <strong>{entry.name}</strong>
+                <span className="track-meta">{formatDate(entry.updatedAt || entry.createdAt)} · {entry.tracks?.length || 0} tracks</span>
+                {entry.playlistGone && <span className="track-meta">No longer in your Spotify library</span>}
+              </div>
+              {openId === entry.id && (
+                <div className="history-details">
+                  {entry.source && <p className="note">Source: {TRACK_SOURCES[entry.source] || entry.source}</p>}
+                  <ol>
+                    {(entry.tracks || []).map((t, idx) => (
+                      <li key={`${t.uri}-${idx}`}>{t.name} — {(t.artists || []).join(', ')}</li>
+                    ))}
+                  </ol>
+                  {entry.playlistUrl && (
+                    <a href={entry.playlistUrl} target="_blank" rel="noopener noreferrer" className="spotify-link">Open on Spotify</a>
+                  )}
+                  <ExportMenu tracks={entry.tracks} name={entry.name} />
+                </div>
+              )}
+              <div className="mood-tools">
+                {generated && <button onClick={handleRegenerate(entry)} disabled={busy}>Regenerate</button>}
+                {generated && (
+                  <button onClick={handleRefresh(entry)} disabled={busy || !entry.playlistId}>
+                    {busyId === entry.id ? 'Working…' : 'Refresh in place'}
+                  </button>
+                )}
+                <button onClick={handleDelete(entry)} disabled={busy}>Delete</button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      <ErrorNotice error={localError} />
+    </div>
+  );
+};
+
+export default PlaylistHistory;
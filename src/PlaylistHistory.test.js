@@ -0,0 +1,60 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import PlaylistHistory from './PlaylistHistory';
+import { createFakeSpotifyApi, FAKE_SCOPES } from './fakeSpotifyApi';
+import { clearResponseCache } from './responseCache';
+
+// jsdom has no IndexedDB: keep the history in a Map
+jest.mock('./historyStore', () => {
+  const entries = new Map();
+  return {
+    entries,
+    listHistory: async () => Array.from(entries.values()),
+    updateHistoryEntry: async (id, patch) => {
+      const record = { ...entries.get(id), ...patch, id, updatedAt: Date.now() };
+      entries.set(id, record);
+      return record;
+    },
+    deleteHistoryEntry: async (id) => { entries.delete(id); },
+  };
+});
+
+const { entries } = jest.requireMock('./historyStore');
+
+let api;
+let restore;
+
+beforeEach(() => {
+  api = createFakeSpotifyApi();
+  restore = api.install();
+  localStorage.setItem('access_token', api.issueToken());
+  localStorage.setItem('token_expiry', String(Date.now() + 3600000));
+  localStorage.setItem('granted_scopes', FAKE_SCOPES);
+  jest.spyOn(console, 'debug').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  restore();
+  entries.clear();
+  clearResponseCache();
+  localStorage.clear();
+  jest.restoreAllMocks();
+});
+
+test('refreshing a playlist that was unfollowed on Spotify marks the entry instead of refilling it', async () => {
+  api.state.playlists.set('pl1', { id: 'pl1', name: 'Chill', uris: ['spotify:track:old'], followed: false });
+  entries.set('h1', {
+    id: 'h1', createdAt: 1, mood: 'chill', options: {}, source: 'recommendations', name: 'Chill',
+    playlistId: 'pl1', playlistUrl: 'https://open.spotify.com/playlist/pl1', tracks: [],
+  });
+
+  render(<PlaylistHistory accessToken={localStorage.getItem('access_token')} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Refresh in place' }));
+
+  expect(await screen.findByText(/no longer in your Spotify library\. Regenerate/)).toBeInTheDocument();
+  expect(api.requestsTo('PUT', '/playlists')).toHaveLength(0);
+  expect(api.state.playlists.get('pl1').uris).toEqual(['spotify:track:old']);
+  expect(entries.get('h1')).toMatchObject({ playlistId: null, playlistUrl: null, playlistGone: true });
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Refresh in place' })).toBeDisabled());
+  expect(screen.getByText('No longer in your Spotify library')).toBeInTheDocument();
+});
@@ -0,0 +1,174 @@
+// src/RefreshSchedules.js
+
+import React, { useEffect, useState } from 'react';
+import { BUILT_IN_MOODS } from './spotifyService';
+import { getCustomMoods } from './moodStore';
+import { listHistory } from './historyStore';
+import {
+  listSchedules, saveSchedule, deleteSchedule, subscribeSchedules, runSchedule, MAX_KEEP_PERCENT, MAX_AVOID_RUNS,
+} from './refreshScheduler';
+import { isValidCron } from './cronSchedule';
+import { DEFAULT_GENERATION_OPTIONS } from './generationOptions';
+import ErrorNotice from './ErrorNotice';
+
+const capitalize = (m) => m.charAt(0).toUpperCase() + m.slice(1);
+const formatDate = (ts) => (ts ? new Date(ts).toLocaleString() : '—');
+
+const CRON_PRESETS = {
+  '0 7 * * *': 'Every day at 7:00',
+  '0 7 * * 1': 'Every Monday at 7:00',
+  '0 18 * * 1-5': 'Weekdays at 18:00',
+  '0 9 * * 6,0': 'Weekends at 9:00',
+  '0 * * * *': 'Every hour',
+};
+
+const cronLabel = (cron) => CRON_PRESETS[cron] || cron;
+
+const EMPTY_FORM = { mood: BUILT_IN_MOODS[0], historyId: '', cron: '0 7 * * *', custom: false, keepPercent: 20, avoidRuns: 3, length: DEFAULT_GENERATION_OPTIONS.length };
+
+const RefreshSchedules = ({ accessToken, onError, debugCallback }) => {
+  const [schedules, setSchedules] = useState(listSchedules);
+  const [history, setHistory] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [busyId, setBusyId] = useState(null);
+  const [localError, setLocalError] = useState(null);
+
+  useEffect(() => subscribeSchedules(setSchedules), []);
+
+  // earlier playlists (with their mood and options) can be put on a schedule
+  useEffect(() => {
+    listHistory()
+      .then(entries => setHistory(entries.filter(e => e.playlistId && e.source !== 'import')))
+      .catch(err => console.warn('Could not load history for schedules:', err?.message || err));
+  }, []);
+
+  const moodNames = BUILT_IN_MOODS.concat(getCustomMoods().map(c => c.name));
+  const fromHistory = history.find(e => e.id === form.historyId) || null;
+  const update = (patch) => setForm(prev => ({ ...prev, ...patch }));
+
+  const handleAdd = () => {
+    setLocalError(null);
+    try {
+      saveSchedule({
+        mood: fromHistory ? fromHistory.mood : form.mood,
+        options: { ...(fromHistory?.options || {}), length: form.length },
+        cron: form.cron.trim(),
+        keepPercent: form.keepPercent,
+        avoidRuns: form.avoidRuns,
+        playlistId: fromHistory?.playlistId || null,
+        playlistName: fromHistory?.name || null,
+        historyId: fromHistory?.id || null,
+      });
+      setForm(EMPTY_FORM);
+    } catch (err) {
+      setLocalError(err?.message || 'Could not save the schedule.');
+    }
+  };
+
+  const handleRunNow = async (s) => {
+    setBusyId(s.id);
+    setLocalError(null);
+    onError && onError(null);
+    try {
+      await runSchedule(accessToken, s.id, { debugCallback });
+    } catch (err) {
+      console.error('Scheduled refresh failed:', err);
+      setLocalError(err || 'Could not refresh the playlist.');
+      onError && onError(err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleToggle = (s) => saveSchedule({ ...s, enabled: !s.enabled });
+
+  const handleDelete = (s) => {
+    if (!window.confirm('Stop refreshing this playlist? The playlist itself stays on Spotify.')) return;
+    deleteSchedule(s.id);
+  };
+
+  const cronValid = isValidCron(form.cron);
+
+  return (
+    <div className="refresh-schedules">
+      <h2>Scheduled Refreshes</h2>
+      <p className="note">Schedules run while this app is open in a tab; missed runs catch up the next time you open it.</p>
+
+      {schedules.length === 0 && <p className="note">No schedules yet.</p>}
+      <ul className="history-list">
+        {schedules.map(s => (
+          <li key={s.id} className="history-entry">
+            <div className="history-summary">
+              <strong>{s.playlistName || `New ${capitalize(s.mood)} playlist`}</strong>
+              <span className="track-meta">
+                {capitalize(s.mood)} · {cronLabel(s.cron)} · keeps {s.keepPercent}% liked · avoids last {s.avoidRuns} runs
+              </span>
+              <span className="track-meta">
+                {s.enabled ? `Next: ${formatDate(s.nextRunAt)}` : 'Paused'} · Last: {formatDate(s.lastRunAt)}
+              </span>
+              {s.lastError && <span className="error-message">Last run failed: {s.lastError}</span>}
+            </div>
+            <div className="mood-tools">
+              <button onClick={() => handleRunNow(s)} disabled={busyId !== null}>{busyId === s.id ? 'Refreshing…' : 'Run now'}</button>
+              <button onClick={() => handleToggle(s)} disabled={busyId !== null}>{s.enabled ? 'Pause' : 'Resume'}</button>
+              <button onClick={() => handleDelete(s)} disabled={busyId !== null}>Delete</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <div className="schedule-form">
+        <h3>New schedule</h3>
+        <label>
+          Playlist
+          <select value={form.historyId} onChange={e => update({ historyId: e.target.value })}>
+            <option value="">A new playlist, created on the first run</option>
+            {history.map(e => <option key={e.id} value={e.id}>{e.name}</option>)}
+          </select>
+        </label>
+        {!fromHistory && (
+          <label>
+            Mood
+            <select value={form.mood} onChange={e => update({ mood: e.target.value })}>
+              {moodNames.map(m => <option key={m} value={m}>{capitalize(m)}</option>)}
+            </select>
+          </label>
+        )}
+        <label>
+          When
+          <select
+            value={form.custom ? 'custom' : form.cron}
+            onChange={e => (e.target.value === 'custom' ? update({ custom: true }) : update({ custom: false, cron: e.target.value }))}
+          >
+            {Object.entries(CRON_PRESETS).map(([cron, label]) => <option key={cron} value={cron}>{label}</option>)}
+            <option value="custom">Custom (cron)…</option>
+          </select>
+        </label>
+        {form.custom && (
+          <label>
+            Cron
+            <input type="text" value={form.cron} onChange={e => update({ cron: e.target.value })} placeholder="minute hour day month weekday" />
+          </label>
+        )}
+        <label>
+          Tracks
+          <input type="number" min={1} max={100} value={form.length} onChange={e => update({ length: Number(e.target.value) || 1 })} />
+        </label>
+        <label>
+          Keep liked tracks (%)
+          <input type="number" min={0} max={MAX_KEEP_PERCENT} value={form.keepPercent} onChange={e => update({ keepPercent: Number(e.target.value) || 0 })} />
+        </label>
+        <label>
+          Avoid tracks from the last runs
+          <input type="number" min={0} max={MAX_AVOID_RUNS} value={form.avoidRuns} onChange={e => update({ avoidRuns: Number(e.target.value) || 0 })} />
+        </label>
+        <button className="generate-button" onClick={handleAdd} disabled={!cronValid}>Add schedule</button>
+        {!cronValid && <p className="note">Use five fields, e.g. "0 7 * * 1" for Mondays at 7:00.</p>}
+      </div>
+
+      <ErrorNotice error={localError} />
+    </div>
+  );
+};
+
+export default RefreshSchedules;
@@ -0,0 +1,21 @@
+// src/ScopePrompt.js
+
+import React from 'react';
+import { requestAdditionalScopes } from './spotifyAuth';
+import { SCOPE_DESCRIPTIONS } from './capabilities';
+
+// Asks the user to re-consent when a feature needs scopes the current token lacks.
+const ScopePrompt = ({ scopes = [], reason }) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) return null;
+  const what = scopes.map(s => SCOPE_DESCRIPTIONS[s] || s).join(', ');
+  return (
+    <div className="scope-prompt">
+      <p>{reason || 'Better results are available'} with access to {what}.</p>
+      <button className="generate-button" onClick={() => requestAdditionalScopes(scopes)}>
+        Grant access on Spotify
+      </button>
+    </div>
+  );
+};
+
+export default ScopePrompt;
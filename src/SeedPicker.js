@@ -0,0 +1,89 @@
+// src/SeedPicker.js
+
+import React, { useEffect, useState } from 'react';
+import { searchSeeds, getGenreSeeds } from './spotifyService';
+import { MAX_SEEDS } from './generationOptions';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Pin up to MAX_SEEDS artists, tracks or genres to seed recommendations.
+const SeedPicker = ({ accessToken, seeds = [], onChange, disabled, debugCallback }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [genres, setGenres] = useState([]);
+  const [searching, setSearching] = useState(false);
+
+  const full = seeds.length >= MAX_SEEDS;
+  const isPinned = (type, id) => seeds.some(s => s.type === type && s.id === id);
+
+  useEffect(() => {
+    let cancelled = false;
+    getGenreSeeds(accessToken, debugCallback).then(g => { if (!cancelled) setGenres(g); });
+    return () => { cancelled = true; };
+  }, [accessToken, debugCallback]);
+
+  // debounced search; a newer query aborts the previous request
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) { setResults([]); return undefined; }
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        setResults(await searchSeeds(accessToken, q, { signal: controller.signal, debugCallback }));
+      } catch (err) {
+        if (err?.name !== 'AbortError') console.warn('Seed search failed:', err?.message || err);
+      } finally {
+        if (!controller.signal.aborted) setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    return () => { clearTimeout(timer); controller.abort(); };
+  }, [query, accessToken, debugCallback]);
+
+  const pin = (seed) => {
+    if (full || isPinned(seed.type, seed.id)) return;
+    onChange(seeds.concat({ type: seed.type, id: seed.id, name: seed.name }));
+  };
+
+  const unpin = (seed) => onChange(seeds.filter(s => !(s.type === seed.type && s.id === seed.id)));
+
+  return (
+    <details className="seed-picker">
+      <summary>Seeds ({seeds.length}/{MAX_SEEDS})</summary>
+
+      <div className="seed-chips">
+        {seeds.map(s => (
+          <span key={`${s.type}:${s.id}`} className="seed-chip">
+            {s.type}: {s.name}
+            <button title="Remove seed" onClick={() => unpin(s)} disabled={disabled}>✕</button>
+          </span>
+        ))}
+        {seeds.length === 0 && <span className="note">No seeds pinned: your top artists and tracks are used.</span>}
+      </div>
+
+      <input
+        type="search"
+        placeholder="Search artists or tracks"
+        value={query}
+        onChange={e => setQuery(e.target.value)}
+        disabled={disabled}
+      />
+      {searching && <span className="note"> Searching…</span>}
+      <ul className="seed-results">
+        {results.map(r => (
+          <li key={`${r.type}:${r.id}`}>
+            <button onClick={() => pin(r)} disabled={disabled || full || isPinned(r.type, r.id)}>+</button>
+            {' '}{r.name} <span className="track-meta">({r.type} · {r.subtitle})</span>
+          </li>
+        ))}
+      </ul>
+
+      <select value="" onChange={e => e.target.value && pin({ type: 'genre', id: e.target.value, name: e.target.value })} disabled={disabled || full}>
+        <option value="">Add a genre…</option>
+        {genres.map(g => <option key={g} value={g} disabled={isPinned('genre', g)}>{g}</option>)}
+      </select>
+    </details>
+  );
+};
+
+export default SeedPicker;
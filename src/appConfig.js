@@ -0,0 +1,51 @@
+// src/appConfig.js
+// Runtime configuration. Later sources win:
+// 1) built-in defaults
+// 2) REACT_APP_* variables at build time (.env)
+// 3) window.MOODPLAYLIST_CONFIG, set by public/config.js so a deployment can be re-pointed without a rebuild
+// 4) configureApp(overrides) at runtime (tests, dev tools)
+//
+// keys:
+// - apiBaseUrl:  Web API base, e.g. a proxy or local stub (default https://api.spotify.com/v1)
+// - accountsUrl: accounts service base for /authorize and /api/token
+// - clientId:    Spotify app client id
+// - redirectUri: must be registered for the client id (default: this page's origin)
+// - demo:        start in demo mode (fixture data, no Spotify login; see demoMode.js)
+// - tokenStorage: 'local' | 'session' | 'memory', where the session is kept (see tokenManager.js)
+
+const DEFAULTS = {
+  apiBaseUrl: 'https://api.spotify.com/v1',
+  accountsUrl: 'https://accounts.spotify.com',
+  clientId: 'df15f24ccf514ad8920d69105c44b84e',
+  redirectUri: `${window.location.origin}/`,
+  demo: false,
+  tokenStorage: 'local',
+};
+
+const env = process.env;
+
+const fromEnv = () => ({
+  apiBaseUrl: env.REACT_APP_SPOTIFY_API_BASE_URL,
+  accountsUrl: env.REACT_APP_SPOTIFY_ACCOUNTS_URL,
+  clientId: env.REACT_APP_SPOTIFY_CLIENT_ID,
+  redirectUri: env.REACT_APP_REDIRECT_URI,
+  demo: env.REACT_APP_DEMO_MODE === undefined ? undefined : /^(1|true|yes)$/i.test(env.REACT_APP_DEMO_MODE),
+  tokenStorage: env.REACT_APP_TOKEN_STORAGE,
+});
+
+/* Drop unset values so they don't override earlier sources */
+const defined = (obj) => Object.fromEntries(Object.entries(obj || {}).filter(([k, v]) => k in DEFAULTS && v !== undefined && v !== null && v !== ''));
+
+let overrides = {};
+
+export function getConfig() {
+  const config = { ...DEFAULTS, ...defined(fromEnv()), ...defined(window.MOODPLAYLIST_CONFIG), ...defined(overrides) };
+  config.apiBaseUrl = String(config.apiBaseUrl).replace(/\/+$/, '');
+  config.accountsUrl = String(config.accountsUrl).replace(/\/+$/, '');
+  return config;
+}
+
+/* Override keys for this page load; pass null to drop all runtime overrides */
+export function configureApp(next) {
+  overrides = next === null ? {} : { ...overrides, ...next };
+}
@@ -0,0 +1,157 @@
+// src/autoMood.js
+// "Auto" mood: pick targets from the local time of day / weekday, nudged by what the user has
+// been listening to recently.
+// - inferAutoMood({ profile, now, rules }) -> { label, targets, ruleId, explanation, reasons }
+// - summarizeListening(featuresList) -> listening profile from /audio-features-shaped objects
+// - configureAutoMood({ rules, clock, listeningWeight }): swap the rule set / time source
+// Pure apart from the configurable clock: no network, no storage.
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const WEEKEND = [0, 6];
+
+const BLENDED_FEATURES = ['valence', 'energy', 'danceability', 'acousticness'];
+
+/**
+ * Rules are checked in order; the first match wins.
+ * - days:  weekday numbers (0 = Sunday), omitted = every day
+ * - hours: [from, to) in local hours; from > to wraps past midnight, omitted = all day
+ * - label: mood name shown to the user
+ * - targets: /recommendations tuneables (see moodStore.MOOD_PARAMS)
+ * Keep a catch-all rule last.
+ */
+export const DEFAULT_AUTO_MOOD_RULES = [
+  {
+    id: 'weekend-morning', days: WEEKEND, hours: [6, 12], label: 'chill',
+    targets: { target_valence: 0.65, target_energy: 0.35, target_danceability: 0.5, target_acousticness: 0.6, min_tempo: 75, max_tempo: 110 },
+  },
+  {
+    id: 'weekday-morning', days: WEEKDAYS, hours: [6, 10], label: 'wake up',
+    targets: { target_valence: 0.7, target_energy: 0.6, target_danceability: 0.6, target_acousticness: 0.3, min_tempo: 95, max_tempo: 130 },
+  },
+  {
+    id: 'weekday-work', days: WEEKDAYS, hours: [10, 17], label: 'focus',
+    targets: { target_valence: 0.5, target_energy: 0.4, target_danceability: 0.45, target_acousticness: 0.5, target_instrumentalness: 0.5, min_tempo: 80, max_tempo: 120 },
+  },
+  {
+    id: 'weekend-night', days: [5, 6], hours: [19, 2], label: 'party',
+    targets: { target_valence: 0.8, target_energy: 0.85, target_danceability: 0.85, target_acousticness: 0.1, min_tempo: 115, max_tempo: 135 },
+  },
+  {
+    id: 'evening', hours: [17, 22], label: 'unwind',
+    targets: { target_valence: 0.6, target_energy: 0.45, target_danceability: 0.55, target_acousticness: 0.4, min_tempo: 85, max_tempo: 120 },
+  },
+  {
+    id: 'late-night', hours: [22, 6], label: 'late night',
+    targets: { target_valence: 0.4, target_energy: 0.25, target_danceability: 0.45, target_acousticness: 0.6, min_tempo: 65, max_tempo: 100 },
+  },
+  {
+    id: 'default', label: 'easy',
+    targets: { target_valence: 0.6, target_energy: 0.5, target_danceability: 0.55, target_acousticness: 0.35, min_tempo: 85, max_tempo: 125 },
+  },
+];
+
+const config = {
+  rules: DEFAULT_AUTO_MOOD_RULES,
+  clock: () => new Date(),
+  // how far a full listening profile pulls the rule's targets (0 = ignore history)
+  listeningWeight: 0.35,
+};
+
+export function configureAutoMood(overrides = {}) {
+  if (overrides.rules !== undefined) config.rules = overrides.rules || DEFAULT_AUTO_MOOD_RULES;
+  if (overrides.clock !== undefined) config.clock = overrides.clock || (() => new Date());
+  if (overrides.listeningWeight !== undefined) config.listeningWeight = overrides.listeningWeight;
+}
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+function inHours(hour, hours) {
+  if (!hours) return true;
+  const [from, to] = hours;
+  return from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+}
+
+export function matchRule(date, rules = config.rules) {
+  const day = date.getDay();
+  const hour = date.getHours();
+  // after midnight still counts as the previous evening (1am on Saturday is still Friday night)
+  const nightDay = hour < 6 ? (day + 6) % 7 : day;
+  return (rules || []).find(r => {
+    if (!inHours(hour, r.hours)) return false;
+    if (!r.days) return true;
+    const wraps = r.hours && r.hours[0] > r.hours[1];
+    return r.days.includes(wraps ? nightDay : day);
+  }) || null;
+}
+
+function partOfDay(hour) {
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 17) return 'afternoon';
+  if (hour >= 17 && hour < 22) return 'evening';
+  return 'night';
+}
+
+/**
+ * Average a list of audio features (Spotify /audio-features shape, or estimateFeatures output).
+ * Resolves to { count, valence, energy, danceability, acousticness, tempo } or null when empty.
+ */
+export function summarizeListening(featuresList) {
+  const list = (featuresList || []).filter(Boolean);
+  if (!list.length) return null;
+  const avg = (key) => {
+    const vals = list.map(f => f[key]).filter(v => typeof v === 'number' && Number.isFinite(v));
+    return vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : null;
+  };
+  const profile = { count: list.length };
+  BLENDED_FEATURES.concat('tempo').forEach(k => { profile[k] = avg(k); });
+  return profile;
+}
+
+/* Short human description of a listening profile ("acoustic", "high-energy", ...) */
+export function describeListening(profile) {
+  if (!profile) return null;
+  const { valence, energy, danceability, acousticness } = profile;
+  if (acousticness !== null && acousticness >= 0.6) return 'acoustic';
+  if (energy !== null && energy >= 0.75) return 'high-energy';
+  if (danceability !== null && danceability >= 0.7) return 'danceable';
+  if (valence !== null && valence <= 0.35) return 'moody';
+  if (energy !== null && energy <= 0.35) return 'mellow';
+  if (valence !== null && valence >= 0.7) return 'upbeat';
+  return 'a mix';
+}
+
+/**
+ * Pick the auto mood.
+ * - profile: summarizeListening() result, or null when recent listening is unavailable
+ * - now:     Date to use instead of the configured clock
+ * - rules:   rule list to use instead of the configured one
+ * The listening pull grows with the number of recent tracks (full weight at 20+).
+ */
+export function inferAutoMood({ profile = null, now, rules } = {}) {
+  const date = now || config.clock();
+  const rule = matchRule(date, rules || config.rules);
+  if (!rule) throw new Error('No auto mood rule matches; keep a catch-all rule last.');
+
+  const targets = { ...rule.targets };
+  const reasons = [`${DAY_NAMES[date.getDay()]} ${partOfDay(date.getHours())}`];
+
+  const weight = profile?.count ? config.listeningWeight * Math.min(1, profile.count / 20) : 0;
+  if (weight > 0) {
+    BLENDED_FEATURES.forEach(f => {
+      const key = `target_${f}`;
+      if (typeof profile[f] !== 'number' || typeof targets[key] !== 'number') return;
+      targets[key] = round2(targets[key] * (1 - weight) + profile[f] * weight);
+    });
+    reasons.push(`you've been playing ${describeListening(profile)}`);
+  }
+
+  const detail = typeof targets.target_valence === 'number' ? `, valence ${round2(targets.target_valence)}` : '';
+  return {
+    label: rule.label,
+    ruleId: rule.id,
+    targets,
+    reasons,
+    explanation: `${reasons.join(' + ')} → ${rule.label}${detail}`,
+  };
+}
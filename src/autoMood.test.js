@@ -0,0 +1,40 @@
+import { inferAutoMood, matchRule, summarizeListening, configureAutoMood, DEFAULT_AUTO_MOOD_RULES } from './autoMood';
+
+// local time, so rules match regardless of the machine's timezone
+const at = (y, m, d, h) => new Date(y, m - 1, d, h, 0, 0);
+
+afterEach(() => configureAutoMood({ rules: null, clock: null, listeningWeight: 0.35 }));
+
+test('time of day and weekday pick the rule', () => {
+  expect(matchRule(at(2024, 6, 9, 9)).id).toBe('weekend-morning'); // Sunday
+  expect(matchRule(at(2024, 6, 10, 8)).id).toBe('weekday-morning'); // Monday
+  expect(matchRule(at(2024, 6, 10, 14)).id).toBe('weekday-work');
+  expect(matchRule(at(2024, 6, 14, 21)).id).toBe('weekend-night'); // Friday evening
+  expect(matchRule(at(2024, 6, 15, 1)).id).toBe('weekend-night'); // 1am Saturday is still Friday night
+  expect(matchRule(at(2024, 6, 10, 23)).id).toBe('late-night');
+});
+
+test('without listening history the rule targets are used as-is and explained', () => {
+  const res = inferAutoMood({ now: at(2024, 6, 9, 9) });
+  expect(res.label).toBe('chill');
+  expect(res.targets).toEqual(DEFAULT_AUTO_MOOD_RULES[0].targets);
+  expect(res.explanation).toBe('Sunday morning → chill, valence 0.65');
+});
+
+test('recent listening nudges the targets and shows up in the explanation', () => {
+  const profile = summarizeListening(Array.from({ length: 20 }, () => ({ valence: 0.5, energy: 0.2, danceability: 0.4, acousticness: 0.9, tempo: 90 })));
+  const res = inferAutoMood({ now: at(2024, 6, 9, 9), profile });
+  expect(res.targets.target_acousticness).toBeGreaterThan(0.6);
+  expect(res.targets.target_energy).toBeLessThan(0.35);
+  expect(res.explanation).toBe("Sunday morning + you've been playing acoustic → chill, valence 0.6");
+});
+
+test('clock and rules are configurable', () => {
+  configureAutoMood({
+    clock: () => at(2024, 6, 12, 3),
+    rules: [{ id: 'always', label: 'custom', targets: { target_valence: 0.1 } }],
+  });
+  const res = inferAutoMood();
+  expect(res.ruleId).toBe('always');
+  expect(res.explanation).toBe('Wednesday night → custom, valence 0.1');
+});
@@ -0,0 +1,68 @@
+// src/capabilities.js
+// Which OAuth scopes each Spotify endpoint needs, checked against the scopes
+// granted to the current token. Lets the service skip calls that would only 403.
+
+import { getGrantedScopes } from './spotifyAuth';
+import { getConfig } from './appConfig';
+
+// [method(s), path pattern, required scopes]
+const ENDPOINT_SCOPES = [
+  ['GET', /^\/me\/top\//, ['user-top-read']],
+  ['GET', /^\/me\/tracks/, ['user-library-read']],
+  ['GET', /^\/me\/player\/recently-played/, ['user-read-recently-played']],
+  ['GET', /^\/me\/player\/devices/, ['user-read-playback-state']],
+  [['PUT', 'POST'], /^\/me\/player\/(play|queue|pause|next|previous)/, ['user-modify-playback-state']],
+  ['GET', /^\/me\/playlists/, ['playlist-read-private']],
+  ['POST', /^\/me\/playlists/, ['playlist-modify-private']],
+  ['POST', /^\/users\/[^/]+\/playlists/, ['playlist-modify-private']],
+  [['POST', 'PUT', 'DELETE'], /^\/playlists\/[^/]+\/tracks/, ['playlist-modify-private']],
+  ['DELETE', /^\/playlists\/[^/]+\/followers/, ['playlist-modify-private']],
+  ['PUT', /^\/playlists\/[^/]+\/images/, ['ugc-image-upload']],
+];
+
+// Human readable reasons shown in the re-consent prompt
+export const SCOPE_DESCRIPTIONS = {
+  'user-top-read': 'your top artists and tracks',
+  'user-library-read': 'your saved tracks',
+  'user-read-recently-played': 'your recently played tracks',
+  'playlist-read-private': 'finding playlists this app created earlier',
+  'playlist-modify-private': 'creating and editing playlists',
+  'playlist-modify-public': 'creating and editing public playlists',
+  'user-read-playback-state': 'seeing your playback devices',
+  'user-modify-playback-state': 'playing and queueing tracks',
+  streaming: 'playing music in the browser (Spotify Premium)',
+  'ugc-image-upload': 'adding generated cover images to playlists',
+};
+
+/* Path part of a relative or absolute Spotify API URL, without the /v1 prefix or query */
+function endpointPath(url) {
+  let path = String(url || '');
+  const base = getConfig().apiBaseUrl;
+  if (path.startsWith(base)) path = path.slice(base.length);
+  try { if (/^https?:\/\//i.test(path)) path = new URL(path).pathname; } catch { }
+  path = path.split('?')[0].replace(/^\/?v1(?=\/)/, '');
+  return path.startsWith('/') ? path : '/' + path;
+}
+
+export function requiredScopesFor(url, method = 'GET') {
+  const path = endpointPath(url);
+  const m = String(method || 'GET').toUpperCase();
+  const entry = ENDPOINT_SCOPES.find(([em, re]) => [].concat(em).includes(m) && re.test(path));
+  return entry ? entry[2] : [];
+}
+
+/**
+ * Scopes from `required` that the current token lacks.
+ * If the granted scopes are unknown (older session) nothing is reported missing.
+ */
+export function getMissingScopes(required = []) {
+  const granted = getGrantedScopes();
+  if (!granted) return [];
+  return required.filter(s => !granted.includes(s));
+}
+
+export function getMissingScopesFor(url, method = 'GET') {
+  return getMissingScopes(requiredScopesFor(url, method));
+}
+
+export const canCall = (url, method = 'GET') => getMissingScopesFor(url, method).length === 0;
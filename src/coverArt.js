@@ -0,0 +1,139 @@
+// src/coverArt.js
+// Generated playlist covers. Pure apart from renderCoverJpeg:
+// - coverDesign(targets, { seed, endTargets }): colours and pattern derived from valence / energy
+//   (low valence = cool blues, high = warm oranges; energy drives saturation and how busy the
+//   pattern is). Deterministic for the same targets and seed.
+// - drawCover(ctx, design, size): paints a design on any CanvasRenderingContext2D-like object
+// - coverDesignForPreview(preview): the design for a preview's targets / arc
+// - renderCoverJpeg(design): base64 JPEG (no data: prefix) under Spotify's 256 KB upload limit
+
+import { DEFAULT_TARGETS } from './moodStore';
+
+export const COVER_SIZE = 640;
+const MAX_UPLOAD_BYTES = 256 * 1024;
+
+const clamp01 = (v) => Math.min(1, Math.max(0, Number.isFinite(Number(v)) ? Number(v) : 0.5));
+
+/* string -> 32-bit seed (FNV-1a) */
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (const ch of String(text)) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/* small deterministic PRNG (mulberry32) */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const round = (v) => Math.round(v * 1000) / 1000;
+
+function colourFor(targets, shift = 0) {
+  const valence = clamp01(targets?.target_valence ?? DEFAULT_TARGETS.target_valence);
+  const energy = clamp01(targets?.target_energy ?? DEFAULT_TARGETS.target_energy);
+  const hue = Math.round((230 - valence * 190 + shift + 360) % 360);
+  const saturation = Math.round(35 + energy * 55);
+  const lightness = Math.round(28 + valence * 27);
+  return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+}
+
+/**
+ * Cover design for the targets. endTargets (energy arcs) colours the end of the gradient.
+ * Resolves to { from, to, angle, pattern: 'waves' | 'circles' | 'stripes', shapes: [{ x, y, r, alpha }] }
+ * with positions as fractions of the cover size.
+ */
+export function coverDesign(targets, options = {}) {
+  const { seed = '', endTargets } = options;
+  const energy = clamp01(targets?.target_energy ?? DEFAULT_TARGETS.target_energy);
+  const random = createRandom(hashString(`${seed}|${JSON.stringify(targets || {})}`));
+
+  const pattern = energy < 0.35 ? 'waves' : energy < 0.7 ? 'circles' : 'stripes';
+  const count = 3 + Math.round(energy * 9);
+  const shapes = Array.from({ length: count }, () => ({
+    x: round(random()),
+    y: round(random()),
+    r: round(0.08 + random() * (0.35 - energy * 0.2)),
+    alpha: round(0.08 + random() * 0.2),
+  }));
+
+  return {
+    from: colourFor(targets),
+    to: endTargets ? colourFor(endTargets) : colourFor(targets, 30 + energy * 60),
+    angle: Math.round(random() * 360),
+    pattern,
+    shapes,
+  };
+}
+
+export function drawCover(ctx, design, size = COVER_SIZE) {
+  const rad = (design.angle * Math.PI) / 180;
+  const dx = (Math.cos(rad) * size) / 2;
+  const dy = (Math.sin(rad) * size) / 2;
+  const gradient = ctx.createLinearGradient(size / 2 - dx, size / 2 - dy, size / 2 + dx, size / 2 + dy);
+  gradient.addColorStop(0, design.from);
+  gradient.addColorStop(1, design.to);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, size, size);
+
+  design.shapes.forEach((s, i) => {
+    ctx.globalAlpha = s.alpha;
+    ctx.fillStyle = i % 2 ? '#ffffff' : '#000000';
+    ctx.beginPath();
+    if (design.pattern === 'stripes') {
+      const w = s.r * size * 0.5;
+      const x = s.x * size;
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x + w, 0);
+      ctx.lineTo(x + w - size * 0.4, size);
+      ctx.lineTo(x - size * 0.4, size);
+      ctx.closePath();
+    } else if (design.pattern === 'waves') {
+      const y = s.y * size;
+      const amp = s.r * size * 0.4;
+      ctx.moveTo(0, y);
+      ctx.bezierCurveTo(size / 3, y - amp, (2 * size) / 3, y + amp, size, y);
+      ctx.lineTo(size, size);
+      ctx.lineTo(0, size);
+      ctx.closePath();
+    } else {
+      ctx.arc(s.x * size, s.y * size, s.r * size, 0, Math.PI * 2);
+    }
+    ctx.fill();
+  });
+  ctx.globalAlpha = 1;
+}
+
+/* Base64 JPEG of the design, lowering the quality until it fits the upload limit */
+export function renderCoverJpeg(design, size = COVER_SIZE) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Canvas is not available in this browser.');
+  drawCover(ctx, design, size);
+
+  for (let quality = 0.9; quality > 0.2; quality -= 0.15) {
+    const base64 = canvas.toDataURL('image/jpeg', quality).split(',')[1] || '';
+    if (base64.length <= MAX_UPLOAD_BYTES) return base64;
+  }
+  throw new Error('Cover image is too large to upload.');
+}
+
+/* Design for a preview: its targets (arcs blend start to end); preview.cover.seed reshuffles the pattern */
+export function coverDesignForPreview(preview) {
+  const arc = preview?.arc;
+  return coverDesign(arc ? arc.startTargets : preview?.targets, {
+    seed: `${preview?.mood || ''}#${preview?.cover?.seed || 0}`,
+    endTargets: arc ? arc.endTargets : undefined,
+  });
+}
@@ -0,0 +1,36 @@
+import { coverDesign, drawCover } from './coverArt';
+
+const hue = (hsl) => Number(hsl.match(/hsl\((\d+)/)[1]);
+
+test('designs are deterministic per targets and seed', () => {
+  const targets = { target_valence: 0.7, target_energy: 0.4 };
+  expect(coverDesign(targets, { seed: 'chill' })).toEqual(coverDesign(targets, { seed: 'chill' }));
+  expect(coverDesign(targets, { seed: 'chill#1' })).not.toEqual(coverDesign(targets, { seed: 'chill' }));
+});
+
+test('valence sets warm or cool colours and energy sets the pattern', () => {
+  const sad = coverDesign({ target_valence: 0.1, target_energy: 0.2 });
+  const happy = coverDesign({ target_valence: 0.9, target_energy: 0.9 });
+  expect(hue(sad.from)).toBeGreaterThan(180);
+  expect(hue(happy.from)).toBeLessThan(80);
+  expect(sad.pattern).toBe('waves');
+  expect(happy.pattern).toBe('stripes');
+  expect(happy.shapes.length).toBeGreaterThan(sad.shapes.length);
+
+  const arc = coverDesign({ target_valence: 0.1 }, { endTargets: { target_valence: 0.9 } });
+  expect(hue(arc.to)).toBe(hue(coverDesign({ target_valence: 0.9 }).from));
+});
+
+test('draws a gradient background and one shape per design shape', () => {
+  const calls = [];
+  const record = (name) => (...args) => { calls.push(name); return name === 'createLinearGradient' ? { addColorStop: record('addColorStop') } : undefined; };
+  const ctx = new Proxy({}, { get: (target, prop) => (prop in target ? target[prop] : record(prop)), set: (target, prop, v) => { target[prop] = v; return true; } });
+  const design = coverDesign({ target_valence: 0.5, target_energy: 0.5 });
+
+  drawCover(ctx, design, 100);
+
+  expect(calls.slice(0, 4)).toEqual(['createLinearGradient', 'addColorStop', 'addColorStop', 'fillRect']);
+  expect(calls.filter(c => c === 'arc')).toHaveLength(design.shapes.length);
+  expect(calls.filter(c => c === 'fill')).toHaveLength(design.shapes.length);
+  expect(ctx.globalAlpha).toBe(1);
+});
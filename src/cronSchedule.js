@@ -0,0 +1,87 @@
+// src/cronSchedule.js
+// Cron-like schedules (local time) for playlist auto-refresh.
+// Five fields: minute hour day-of-month month day-of-week (0-6 from Sunday; 7 is Sunday too).
+// A field is *, a number, a range (1-5), a list (1,3,5) or a step (*/15, 8-18/2).
+// Shortcuts: @hourly, @daily, @weekly (Sunday 00:00), @monthly.
+// As in cron, when both day fields are restricted a day matching either one counts.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// far enough for any valid date (Feb 29 included); impossible ones like "30 2" give up after this
+const SEARCH_LIMIT_MS = 5 * 366 * DAY_MS;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid ${name} "${part}".`);
+    const from = m[1] === '*' ? min : Number(m[2]);
+    const to = m[1] === '*' ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : from;
+    const step = m[4] ? Number(m[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) throw new Error(`Invalid ${name} "${part}" (${min}-${max}).`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  });
+  return values;
+}
+
+/* Parse an expression; throws an Error naming the bad field */
+export function parseCron(expr) {
+  const text = String(expr || '').trim().toLowerCase();
+  const parts = (SHORTCUTS[text] || text).split(/\s+/);
+  if (parts.length !== 5) throw new Error('A schedule needs five fields: minute hour day month weekday.');
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.has(7)) dow.add(0);
+  return { minute, hour, dom, month, dow, domAny: parts[2] === '*', dowAny: parts[4] === '*' };
+}
+
+export function isValidCron(expr) {
+  try {
+    parseCron(expr);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function dayMatches(c, d) {
+  const dom = c.dom.has(d.getDate());
+  const dow = c.dow.has(d.getDay());
+  if (c.domAny || c.dowAny) return (c.domAny || dom) && (c.dowAny || dow);
+  return dom || dow;
+}
+
+/* The first matching minute strictly after `after`, or null when the expression never matches */
+export function nextRun(expr, after = new Date()) {
+  const c = parseCron(expr);
+  const d = new Date(after.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = after.getTime() + SEARCH_LIMIT_MS;
+  while (d.getTime() <= limit) {
+    if (!c.month.has(d.getMonth() + 1) || !dayMatches(c, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!c.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!c.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,31 @@
+import { parseCron, isValidCron, nextRun } from './cronSchedule';
+
+// local time, like the schedules themselves
+const at = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+
+test('parses fields, ranges, lists, steps and shortcuts', () => {
+  const c = parseCron('*/15 8-10 * * 1,3,7');
+  expect(Array.from(c.minute)).toEqual([0, 15, 30, 45]);
+  expect(Array.from(c.hour)).toEqual([8, 9, 10]);
+  expect(c.dow.has(0)).toBe(true);
+  expect(isValidCron('@daily')).toBe(true);
+  expect(isValidCron('0 7 * *')).toBe(false);
+  expect(() => parseCron('61 * * * *')).toThrow(/minute/);
+  expect(() => parseCron('0 7 * * 1-')).toThrow(/day of week/);
+});
+
+test('finds the next matching minute strictly after the given time', () => {
+  expect(nextRun('0 7 * * *', at(2024, 3, 4, 6, 59))).toEqual(at(2024, 3, 4, 7, 0));
+  expect(nextRun('0 7 * * *', at(2024, 3, 4, 7, 0))).toEqual(at(2024, 3, 5, 7, 0));
+  // 2024-03-04 is a Monday
+  expect(nextRun('30 8 * * 1', at(2024, 3, 5, 12, 0))).toEqual(at(2024, 3, 11, 8, 30));
+  expect(nextRun('@monthly', at(2024, 12, 15))).toEqual(at(2025, 1, 1));
+  expect(nextRun('0 0 29 2 *', at(2024, 3, 1))).toEqual(at(2028, 2, 29));
+  expect(nextRun('0 0 30 2 *', at(2024, 3, 1))).toBeNull();
+});
+
+test('day of month and day of week match either one when both are set', () => {
+  // the 13th, or any Friday
+  expect(nextRun('0 12 13 * 5', at(2024, 9, 1))).toEqual(at(2024, 9, 6, 12, 0));
+  expect(nextRun('0 12 13 * 5', at(2024, 9, 10))).toEqual(at(2024, 9, 13, 12, 0));
+});
@@ -0,0 +1,208 @@
+// src/debugLog.js
+// Diagnostics log for Spotify requests, fed by the service's debugCallback.
+// - recordDebug({ stage, request, response }): the debugCallback to pass around; entries are
+//   redacted on the way in (bearer tokens, auth codes, profile PII, user ids) and bodies are truncated
+// - ring buffer of MAX_ENTRIES persisted to sessionStorage 'debug_log' (survives reloads, not tabs)
+// - isDebugEnabled() / setDebugEnabled(): the "debug console" setting, localStorage 'debug_console'
+// - filterDebugEntries(entries, { stage, status, endpoint })
+// - toHar(entries) / toJsonExport(entries): exports for bug reports
+
+const STORAGE_KEY = 'debug_log';
+const SETTING_KEY = 'debug_console';
+const MAX_ENTRIES = 200;
+const MAX_BODY_CHARS = 4000;
+
+// JSON keys whose values never leave the browser in a log
+const SECRET_KEYS = ['access_token', 'refresh_token', 'code', 'code_verifier', 'client_secret', 'authorization'];
+const PII_KEYS = ['email', 'display_name', 'birthdate', 'country', 'postal_code'];
+// user ids (often the account's username) are dropped from these objects, /users/{id} paths and user URIs
+const USER_OBJECT_KEYS = ['owner', 'added_by', 'user'];
+// requests whose response body is a user object
+const USER_ENDPOINT = /\/v1\/(?:me|users\/[^/?#]+)(?:[?#]|$)/;
+const REDACTED = '[redacted]';
+
+let entries = null;
+const listeners = new Set();
+
+/* ---------- Setting ---------- */
+
+export function isDebugEnabled() {
+  return localStorage.getItem(SETTING_KEY) === '1';
+}
+
+export function setDebugEnabled(enabled) {
+  if (enabled) localStorage.setItem(SETTING_KEY, '1');
+  else localStorage.removeItem(SETTING_KEY);
+}
+
+/* ---------- Redaction ---------- */
+
+export function redactText(text) {
+  if (typeof text !== 'string') return text;
+  return text
+    .replace(/Bearer\s+[\w.~+/-]+=*/gi, `Bearer ${REDACTED}`)
+    .replace(new RegExp(`([?&](?:${SECRET_KEYS.join('|')})=)[^&#\\s"]*`, 'gi'), `$1${REDACTED}`)
+    .replace(/(\/users?\/)[^/?#\s"]+/gi, `$1${REDACTED}`)
+    .replace(/(spotify:user:)[^:\s"]+/gi, `$1${REDACTED}`);
+}
+
+/* isUser: value is a user object (its id is redacted too) */
+export function redact(value, isUser = false) {
+  if (typeof value === 'string') return redactText(value);
+  if (Array.isArray(value)) return value.map(v => redact(v));
+  if (!value || typeof value !== 'object') return value;
+  const user = isUser || value.type === 'user';
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => {
+    const key = k.toLowerCase();
+    if (SECRET_KEYS.includes(key) || PII_KEYS.includes(key) || (user && key === 'id')) {
+      return [k, v === null || v === undefined ? v : REDACTED];
+    }
+    return [k, redact(v, USER_OBJECT_KEYS.includes(key))];
+  }));
+}
+
+/* bodies: redact JSON structurally, truncate long text */
+function cleanBody(text, isUser = false) {
+  if (typeof text !== 'string') return text ?? null;
+  let out = text;
+  try { out = JSON.stringify(redact(JSON.parse(text), isUser)); } catch { out = redactText(text); }
+  return out.length > MAX_BODY_CHARS ? `${out.slice(0, MAX_BODY_CHARS)}… (${out.length - MAX_BODY_CHARS} more characters)` : out;
+}
+
+function cleanEntry({ stage, request, response }) {
+  const req = request ? redact({ ...request, body: undefined }) : null;
+  if (req) req.body = cleanBody(request.body);
+  let res = null;
+  if (response) {
+    // the parsed body duplicates bodyText; keep one copy
+    const { bodyJson, bodyText, ...rest } = response;
+    const isUser = USER_ENDPOINT.test(request?.url || '');
+    res = { ...redact(rest), bodyText: cleanBody(bodyText ?? (bodyJson ? JSON.stringify(bodyJson) : null), isUser) };
+  }
+  return { stage, request: req, response: res };
+}
+
+/* ---------- Ring buffer ---------- */
+
+function load() {
+  if (entries) return entries;
+  try {
+    const parsed = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || '[]');
+    entries = Array.isArray(parsed) ? parsed : [];
+  } catch {
+    entries = [];
+  }
+  return entries;
+}
+
+function persist() {
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch {
+    // quota: keep the newer half
+    entries = entries.slice(Math.floor(entries.length / 2));
+    try { sessionStorage.setItem(STORAGE_KEY, JSON.stringify(entries)); } catch { }
+  }
+  listeners.forEach(l => l(entries));
+}
+
+let seq = 0;
+
+/* debugCallback for spotifyService (see spotifyFetch) */
+export function recordDebug(entry) {
+  if (!entry || !entry.stage) return;
+  const list = load();
+  seq += 1;
+  list.push({ id: `${Date.now()}-${seq}`, time: new Date().toISOString(), ...cleanEntry(entry) });
+  if (list.length > MAX_ENTRIES) list.splice(0, list.length - MAX_ENTRIES);
+  persist();
+}
+
+export function getDebugEntries() {
+  return load().slice();
+}
+
+export function clearDebugLog() {
+  entries = [];
+  persist();
+}
+
+/* listener(entries) on every change; returns an unsubscribe function */
+export function subscribeDebug(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/* ---------- Filtering ---------- */
+
+export const entryEndpoint = (e) => {
+  const url = e.request?.url || '';
+  try { return new URL(url).pathname.replace(/^\/v1/, ''); } catch { return url.split('?')[0]; }
+};
+
+/**
+ * filters: { stage: prefix ('request', 'response:error', ...), status: '4xx' | '429' | 'error',
+ * endpoint: substring of the path }. Empty filters match everything.
+ */
+export function filterDebugEntries(list, filters = {}) {
+  const { stage, status, endpoint } = filters;
+  return (list || []).filter(e => {
+    if (stage && !String(e.stage).startsWith(stage)) return false;
+    if (endpoint && !entryEndpoint(e).toLowerCase().includes(endpoint.toLowerCase())) return false;
+    if (status) {
+      const code = e.response?.status;
+      if (status === 'error') return code === null || code === undefined ? e.stage.includes('error') : code >= 400;
+      if (/^\dxx$/i.test(status)) return typeof code === 'number' && String(code)[0] === status[0];
+      return String(code) === String(status);
+    }
+    return true;
+  });
+}
+
+/* ---------- Export ---------- */
+
+export function toJsonExport(list) {
+  return JSON.stringify({ exportedAt: new Date().toISOString(), userAgent: navigator.userAgent, entries: list }, null, 2);
+}
+
+/* HAR 1.2 with one entry per completed request (response:received / response:error) */
+export function toHar(list) {
+  const completed = (list || []).filter(e => e.stage === 'response:received' || e.stage === 'response:error');
+  const harEntries = completed.map(e => {
+    const url = e.request?.url || '';
+    let queryString = [];
+    try { queryString = Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value })); } catch { }
+    const bodyText = e.response?.bodyText || '';
+    return {
+      startedDateTime: e.request?.startedAt || e.time,
+      time: e.response?.durationMs ?? 0,
+      request: {
+        method: e.request?.method || 'GET',
+        url,
+        httpVersion: 'HTTP/1.1',
+        headers: [],
+        queryString,
+        cookies: [],
+        headersSize: -1,
+        bodySize: e.request?.body ? e.request.body.length : 0,
+        ...(e.request?.body ? { postData: { mimeType: 'application/json', text: e.request.body } } : {}),
+      },
+      response: {
+        status: e.response?.status ?? 0,
+        statusText: e.response?.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        headers: [],
+        cookies: [],
+        content: { size: bodyText.length, mimeType: 'application/json', text: bodyText },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: bodyText.length,
+      },
+      cache: {},
+      timings: { send: 0, wait: e.response?.durationMs ?? 0, receive: 0 },
+    };
+  });
+  return JSON.stringify({
+    log: { version: '1.2', creator: { name: 'MoodPlayl.ist', version: '1' }, entries: harEntries },
+  }, null, 2);
+}
@@ -0,0 +1,80 @@
+import {
+  recordDebug, getDebugEntries, clearDebugLog, filterDebugEntries, redact, toHar,
+} from './debugLog';
+
+const response = (status, url, extra = {}) => ({
+  stage: status >= 400 ? 'response:error' : 'response:received',
+  request: { url, method: 'GET', startedAt: '2026-01-01T00:00:00.000Z' },
+  response: { status, statusText: '', durationMs: 42, ...extra },
+});
+
+beforeEach(() => {
+  sessionStorage.clear();
+  clearDebugLog();
+});
+
+test('redacts tokens, auth codes and profile PII', () => {
+  recordDebug({
+    stage: 'request',
+    request: {
+      url: 'https://accounts.spotify.com/api/token?code=abc123&state=x',
+      headers: { Authorization: 'Bearer secret-token' },
+      body: JSON.stringify({ refresh_token: 'r-1', grant_type: 'refresh_token' }),
+    },
+  });
+  recordDebug(response(200, 'https://api.spotify.com/v1/me', { bodyText: JSON.stringify({ id: 'u1', email: 'a@b.c', display_name: 'Ann' }) }));
+
+  const text = JSON.stringify(getDebugEntries());
+  expect(text).not.toMatch(/secret-token|abc123|r-1|a@b\.c|Ann/);
+  expect(text).toContain('grant_type');
+  expect(text).not.toContain('u1');
+  expect(redact({ nested: ['Bearer xyz'] })).toEqual({ nested: ['Bearer [redacted]'] });
+});
+
+test('redacts user ids in paths, URIs and user objects but keeps other ids', () => {
+  const playlist = {
+    id: 'pl1',
+    owner: { id: 'ann.smith', uri: 'spotify:user:ann.smith', external_urls: { spotify: 'https://open.spotify.com/user/ann.smith' } },
+    tracks: { items: [{ added_by: { id: 'bob', type: 'user' }, track: { id: 't1' } }] },
+  };
+  recordDebug(response(201, 'https://api.spotify.com/v1/users/ann.smith/playlists', { bodyText: JSON.stringify(playlist) }));
+
+  const [entry] = getDebugEntries();
+  const text = JSON.stringify(entry);
+  expect(text).not.toMatch(/ann\.smith|bob/);
+  expect(entry.request.url).toBe('https://api.spotify.com/v1/users/[redacted]/playlists');
+  expect(JSON.parse(entry.response.bodyText)).toMatchObject({ id: 'pl1', owner: { id: '[redacted]' }, tracks: { items: [{ track: { id: 't1' } }] } });
+});
+
+test('keeps the newest 200 entries and persists them to sessionStorage', () => {
+  for (let i = 0; i < 205; i += 1) recordDebug(response(200, `https://api.spotify.com/v1/tracks/${i}`));
+  const list = getDebugEntries();
+  expect(list).toHaveLength(200);
+  expect(list[0].request.url).toMatch(/tracks\/5$/);
+  expect(JSON.parse(sessionStorage.getItem('debug_log'))).toHaveLength(200);
+});
+
+test('filters by stage, status class and endpoint', () => {
+  recordDebug(response(200, 'https://api.spotify.com/v1/recommendations?limit=5'));
+  recordDebug(response(429, 'https://api.spotify.com/v1/recommendations'));
+  recordDebug(response(404, 'https://api.spotify.com/v1/me/player/queue'));
+  const list = getDebugEntries();
+
+  expect(filterDebugEntries(list, { status: 'error' })).toHaveLength(2);
+  expect(filterDebugEntries(list, { status: '4xx', endpoint: '/recommendations' })).toHaveLength(1);
+  expect(filterDebugEntries(list, { status: '2xx' })[0].response.status).toBe(200);
+  expect(filterDebugEntries(list, { stage: 'response:error', endpoint: 'queue' })).toHaveLength(1);
+});
+
+test('exports completed requests as HAR', () => {
+  recordDebug({ stage: 'request', request: { url: 'https://api.spotify.com/v1/me', method: 'GET' } });
+  recordDebug(response(200, 'https://api.spotify.com/v1/search?q=rain&type=track', { bodyText: '{"ok":true}' }));
+
+  const har = JSON.parse(toHar(getDebugEntries()));
+  expect(har.log.version).toBe('1.2');
+  expect(har.log.entries).toHaveLength(1);
+  const [entry] = har.log.entries;
+  expect(entry.time).toBe(42);
+  expect(entry.request.queryString).toEqual([{ name: 'q', value: 'rain' }, { name: 'type', value: 'track' }]);
+  expect(entry.response.content.text).toBe('{"ok":true}');
+});
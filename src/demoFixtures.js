@@ -0,0 +1,40 @@
+// src/demoFixtures.js
+// Bundled, made-up catalog for demo mode (see demoMode.js): Spotify-shaped artist and track
+// objects that fakeSpotifyApi.js serves instead of real data. Names are invented; ids are stable
+// so playlists, history and exports look the same between runs.
+
+const ARTISTS = [
+  ['Velvet Harbor', 'indie pop'], ['The Lantern Choir', 'acoustic folk'], ['Neon Tide', 'synthwave'],
+  ['Mara Quill', 'singer-songwriter'], ['Static Bloom', 'indie rock'], ['Low Orbit', 'ambient'],
+  ['Juniper & Ash', 'folk'], ['Kilowatt Kids', 'edm'], ['Sable Rivers', 'soul'], ['Paper Satellites', 'dream pop'],
+  ['Hollow Pines', 'chill lo-fi'], ['Ruby Voltage', 'dance pop'], ['Cassette Weather', 'lo-fi'], ['Iron Meadow', 'hard rock'],
+  ['Sunday Static', 'jazz'], ['Glasshouse Club', 'house'], ['Northbound Trains', 'country'], ['Aurora Drift', 'classical piano'],
+  ['Brass Lagoon', 'funk'], ['Midnight Ferris', 'r&b'],
+];
+
+const WORDS_A = ['Golden', 'Quiet', 'Electric', 'Paper', 'Slow', 'Silver', 'Broken', 'Wild', 'Lazy', 'Midnight', 'Summer', 'Velvet'];
+const WORDS_B = ['Hours', 'Rain', 'Hearts', 'Lights', 'Roads', 'Waves', 'Skies', 'Dreams', 'Echoes', 'Fires'];
+
+export const DEMO_ARTISTS = ARTISTS.map(([name, genre], i) => ({
+  id: `demoartist${i}`,
+  uri: `spotify:artist:demoartist${i}`,
+  name,
+  genres: [genre],
+  images: [],
+}));
+
+export const DEMO_TRACKS = Array.from({ length: 120 }, (_, i) => {
+  const artist = DEMO_ARTISTS[(i * 7) % DEMO_ARTISTS.length];
+  return {
+    id: `demotrack${i}`,
+    uri: `spotify:track:demotrack${i}`,
+    name: `${WORDS_A[i % WORDS_A.length]} ${WORDS_B[Math.floor(i / WORDS_A.length) % WORDS_B.length]}`,
+    artists: [{ id: artist.id, name: artist.name }],
+    album: { name: `${artist.name} (${2010 + (i % 14)})`, images: [] },
+    duration_ms: 150000 + ((i * 37) % 120) * 1000,
+    explicit: i % 11 === 0,
+    external_ids: { isrc: `DEMO${String(i).padStart(8, '0')}` },
+  };
+});
+
+export const DEMO_USER = { id: 'demo-user', display_name: 'Demo Listener' };
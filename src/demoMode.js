@@ -0,0 +1,55 @@
+// src/demoMode.js
+// Demo / offline mode: the whole UI runs against fakeSpotifyApi.js with the bundled fixtures in
+// demoFixtures.js, and the in-browser player uses fakePlaybackSdk.js. Nothing reaches Spotify.
+// - isDemoMode(): on via config (appConfig demo / REACT_APP_DEMO_MODE), ?demo in the URL, or an
+//   earlier startDemoMode() in this tab
+// - startDemoMode(): installs the fakes and signs in; resolves to the demo access token
+// - stopDemoMode(): puts the real fetch / SDK loader back and forgets the demo session
+// The demo session lives in memory in this tab only (and its responses are never cached to disk), so a
+// real session in another tab is left alone.
+
+import { getConfig } from './appConfig';
+import { createFakeSpotifyApi, FAKE_SCOPES } from './fakeSpotifyApi';
+import { createFakeSpotifySdk } from './fakePlaybackSdk';
+import { setPlaybackSdkLoader } from './playbackSdk';
+import { DEMO_TRACKS, DEMO_ARTISTS, DEMO_USER } from './demoFixtures';
+import { storeTokenResponse, clearSession, configureTokenStorage, createMemoryTokenStorage } from './tokenManager';
+import { configureResponseCache } from './responseCache';
+
+const SESSION_KEY = 'demo_mode';
+
+let api = null;
+let restoreFetch = null;
+
+export function isDemoMode() {
+  if (api) return true;
+  if (getConfig().demo) return true;
+  if (new URLSearchParams(window.location.search).has('demo')) return true;
+  return sessionStorage.getItem(SESSION_KEY) === '1';
+}
+
+export async function startDemoMode() {
+  if (!api) {
+    api = createFakeSpotifyApi({ tracks: DEMO_TRACKS, artists: DEMO_ARTISTS, user: DEMO_USER, topTracks: 30, savedTracks: 40, recentTracks: 30 });
+    restoreFetch = api.install();
+    setPlaybackSdkLoader(() => Promise.resolve(createFakeSpotifySdk({ deviceId: 'demo-device' })));
+    configureTokenStorage(createMemoryTokenStorage());
+    configureResponseCache({ persist: false });
+    sessionStorage.setItem(SESSION_KEY, '1');
+  }
+
+  // signed in like a real login would be, so the rest of the app needs no demo branches
+  return storeTokenResponse({ access_token: api.issueToken(), refresh_token: 'fake-refresh', expires_in: 3600, scope: FAKE_SCOPES });
+}
+
+export async function stopDemoMode() {
+  sessionStorage.removeItem(SESSION_KEY);
+  if (!api) return;
+  await clearSession();
+  configureTokenStorage(null);
+  configureResponseCache({ persist: null });
+  restoreFetch();
+  setPlaybackSdkLoader(null);
+  api = null;
+  restoreFetch = null;
+}
@@ -0,0 +1,81 @@
+// src/fakePlaybackSdk.js
+// Local stand-in for the Spotify Web Playback SDK, for tests and offline development:
+//   setPlaybackSdkLoader(() => Promise.resolve(createFakeSpotifySdk()))
+// The fake player becomes ready on connect() and tracks play/pause/skip over a track list
+// that tests load with player.__load(uris).
+
+export function createFakeSpotifySdk({ deviceId = 'fake-device', connectOk = true } = {}) {
+  class Player {
+    constructor(options) {
+      this.options = options;
+      this.listeners = {};
+      this.uris = [];
+      this.index = 0;
+      this.paused = true;
+      this.connected = false;
+    }
+
+    addListener(event, cb) {
+      (this.listeners[event] = this.listeners[event] || []).push(cb);
+      return true;
+    }
+
+    removeListener(event) {
+      delete this.listeners[event];
+      return true;
+    }
+
+    emit(event, payload) {
+      (this.listeners[event] || []).forEach(cb => cb(payload));
+    }
+
+    state() {
+      if (!this.uris.length) return null;
+      const uri = this.uris[this.index];
+      return {
+        paused: this.paused,
+        position: 0,
+        track_window: { current_track: { uri, name: uri, artists: [], album: { images: [] } } },
+      };
+    }
+
+    async connect() {
+      if (!connectOk) return false;
+      // the real SDK asks for a token before becoming ready
+      await new Promise(resolve => this.options.getOAuthToken(resolve));
+      this.connected = true;
+      setTimeout(() => this.emit('ready', { device_id: deviceId }), 0);
+      return true;
+    }
+
+    disconnect() { this.connected = false; }
+
+    async getCurrentState() { return this.state(); }
+
+    async togglePlay() { this.paused = !this.paused; this.emit('player_state_changed', this.state()); }
+
+    async pause() { this.paused = true; this.emit('player_state_changed', this.state()); }
+
+    async resume() { this.paused = false; this.emit('player_state_changed', this.state()); }
+
+    async nextTrack() {
+      this.index = Math.min(this.uris.length - 1, this.index + 1);
+      this.emit('player_state_changed', this.state());
+    }
+
+    async previousTrack() {
+      this.index = Math.max(0, this.index - 1);
+      this.emit('player_state_changed', this.state());
+    }
+
+    // test helper: what the Web API /me/player/play would have done
+    __load(uris, offset = 0) {
+      this.uris = uris.slice();
+      this.index = offset;
+      this.paused = false;
+      this.emit('player_state_changed', this.state());
+    }
+  }
+
+  return { Player };
+}
@@ -0,0 +1,316 @@
+// src/fakeSpotifyApi.js
+// In-memory stand-in for the Spotify Web API and accounts service, for tests and offline development:
+//   const api = createFakeSpotifyApi();
+//   const restore = api.install();          // replaces window.fetch
+//   api.fail('GET /recommendations', 404, { times: Infinity });
+// Covers /api/token (authorization_code + refresh_token), /me, /me/top/*, /me/tracks(/contains),
+// /me/player/recently-played, /recommendations, /audio-features, /artists, /tracks, /search,
+// /me/playlists and /playlists/{id}(/tracks|followers|images). Responses follow the real API's shapes
+// closely enough for spotifyService.js; every request is logged in api.requests.
+//
+// GET 200 responses carry an ETag; a matching If-None-Match gets 304 Not Modified.
+//
+// Scripted failures (api.fail): 401, 403, 404, 429 (Retry-After: 0), 5xx or 'network'
+// (fetch rejects like a dropped connection). A failure is matched by 'METHOD /path-prefix'
+// or a RegExp tested against 'METHOD /path'.
+
+const API_ORIGIN = 'https://api.spotify.com';
+const TOKEN_URL = 'https://accounts.spotify.com/api/token';
+
+export const FAKE_SCOPES = 'user-read-private playlist-modify-public playlist-modify-private user-top-read user-library-read user-read-recently-played playlist-read-private streaming user-read-email user-read-playback-state user-modify-playback-state ugc-image-upload';
+
+export function makeFakeTrack(i) {
+  return {
+    id: `track${i}`,
+    uri: `spotify:track:track${i}`,
+    name: `Track ${i}`,
+    artists: [{ id: `artist${i % 20}`, name: `Artist ${i % 20}` }],
+    album: { name: `Album ${i % 10}`, images: [{ url: `https://img.example/${i}.jpg` }] },
+    duration_ms: 180000 + (i % 5) * 15000,
+    explicit: i % 7 === 0,
+    external_ids: { isrc: `FAKE${String(i).padStart(8, '0')}` },
+  };
+}
+
+const range = (from, count) => Array.from({ length: count }, (_, i) => from + i);
+
+function response(status, body, headers = {}) {
+  const text = body === undefined || body === null ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)]));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    headers: { get: (name) => lower[String(name).toLowerCase()] ?? null },
+    text: async () => text,
+    json: async () => JSON.parse(text),
+  };
+}
+
+/* string -> short stable hash (FNV-1a), for ETags */
+function hashText(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16);
+}
+
+async function withEtag(res, ifNoneMatch) {
+  const text = await res.text();
+  const etag = `"${hashText(text)}"`;
+  return ifNoneMatch === etag ? response(304, null, { ETag: etag }) : response(200, text, { ETag: etag });
+}
+
+const apiError = (status, message, extra = {}) => response(status, { error: { status, message, ...extra } });
+
+const paged = (items, query, baseUrl) => {
+  const limit = Number(query.get('limit')) || 20;
+  const offset = Number(query.get('offset')) || 0;
+  const page = items.slice(offset, offset + limit);
+  const next = offset + limit < items.length ? `${API_ORIGIN}/v1${baseUrl}?limit=${limit}&offset=${offset + limit}` : null;
+  return { items: page, total: items.length, limit, offset, next };
+};
+
+/**
+ * options (all optional):
+ * - catalog:         number of tracks the fake knows (default 300), generated by makeFakeTrack
+ * - tracks / artists / user: fixture Spotify objects to use instead (see demoFixtures.js)
+ * - topTracks / savedTracks / recentTracks / topArtists: how many of each the user has
+ * - scope:           scopes granted on token exchange / refresh
+ * - expiresIn:       access token lifetime in seconds
+ * - authCode:        the code the token endpoint accepts
+ */
+export function createFakeSpotifyApi(options = {}) {
+  const {
+    catalog = 300, topTracks = 50, savedTracks = 120, recentTracks = 50, topArtists = 5,
+    scope = FAKE_SCOPES, expiresIn = 3600, authCode = 'fake-code',
+  } = options;
+
+  const tracks = options.tracks || range(0, catalog).map(makeFakeTrack);
+  const byId = new Map(tracks.map(t => [t.id, t]));
+  const artists = options.artists || range(0, 20).map(i => ({ id: `artist${i}`, name: `Artist ${i}`, genres: [i % 2 ? 'acoustic folk' : 'dance pop'] }));
+  // where each part of the catalog starts (0, 50, 100, 150, 200, 250 for the default 300 tracks)
+  const at = (sixths) => Math.floor((tracks.length * sixths) / 6);
+
+  const state = {
+    user: options.user || { id: 'fake-user', display_name: 'Fake User' },
+    topArtists: artists.slice(0, topArtists),
+    topTracks: tracks.slice(0, topTracks),
+    savedTracks: tracks.slice(at(1), at(1) + savedTracks).map(track => ({ added_at: '2024-01-01T00:00:00Z', track })),
+    recentTracks: tracks.slice(at(4), at(4) + recentTracks).map(track => ({ played_at: '2024-01-01T00:00:00Z', track })),
+    playlists: new Map(),
+    devices: [{ id: 'fake-device', name: 'Fake Device', is_active: true }],
+    queue: [],
+    validTokens: new Set(),
+    refreshTokens: new Set(['fake-refresh']),
+    authCode,
+    scope,
+    expiresIn,
+  };
+
+  const failures = [];
+  const requests = [];
+  let tokenCount = 0;
+  let playlistCount = 0;
+
+  const fail = (match, failure, { times = 1 } = {}) => { failures.push({ match, failure, times }); };
+
+  const takeFailure = (method, path) => {
+    const key = `${method} ${path}`;
+    const entry = failures.find(f => f.times > 0 && (f.match instanceof RegExp ? f.match.test(key) : key.startsWith(f.match)));
+    if (!entry) return null;
+    entry.times -= 1;
+    return entry.failure;
+  };
+
+  const failureResponse = (failure) => {
+    if (failure === 'network') throw new TypeError('Failed to fetch');
+    if (failure === 401) return apiError(401, 'The access token expired');
+    if (failure === 403) return apiError(403, 'Forbidden');
+    if (failure === 404) return apiError(404, 'Not found.');
+    if (failure === 429) return response(429, { error: { status: 429, message: 'API rate limit exceeded' } }, { 'Retry-After': '0' });
+    if (typeof failure === 'number') return apiError(failure, `Fake error ${failure}`);
+    return response(failure.status, failure.body, failure.headers);
+  };
+
+  const issueToken = () => {
+    tokenCount += 1;
+    const token = `fake-access-${tokenCount}`;
+    state.validTokens.add(token);
+    return token;
+  };
+
+  /* ---------- Accounts service ---------- */
+
+  const handleToken = (body) => {
+    const form = new URLSearchParams(body || '');
+    const grant = form.get('grant_type');
+    if (grant === 'authorization_code') {
+      if (form.get('code') !== state.authCode || !form.get('code_verifier')) {
+        return response(400, { error: 'invalid_grant', error_description: 'Invalid authorization code' });
+      }
+      return response(200, { access_token: issueToken(), token_type: 'Bearer', expires_in: state.expiresIn, refresh_token: 'fake-refresh', scope: state.scope });
+    }
+    if (grant === 'refresh_token') {
+      if (!state.refreshTokens.has(form.get('refresh_token'))) {
+        return response(400, { error: 'invalid_grant', error_description: 'Refresh token revoked' });
+      }
+      return response(200, { access_token: issueToken(), token_type: 'Bearer', expires_in: state.expiresIn, scope: state.scope });
+    }
+    return response(400, { error: 'unsupported_grant_type' });
+  };
+
+  /* ---------- Web API ---------- */
+
+  const playlistJson = (p) => ({
+    id: p.id, name: p.name, description: p.description, public: p.public, collaborative: Boolean(p.collaborative), owner: { id: p.ownerId },
+    external_urls: { spotify: `https://open.spotify.com/playlist/${p.id}` }, tracks: { total: p.uris.length },
+  });
+
+  const idsFrom = (query) => String(query.get('ids') || '').split(',').filter(Boolean);
+
+  const routes = [
+    ['GET', /^\/me$/, () => response(200, state.user)],
+    ['GET', /^\/me\/top\/artists$/, (m, q) => response(200, paged(state.topArtists, q, '/me/top/artists'))],
+    ['GET', /^\/me\/top\/tracks$/, (m, q) => response(200, paged(state.topTracks, q, '/me/top/tracks'))],
+    ['GET', /^\/me\/tracks$/, (m, q) => response(200, paged(state.savedTracks, q, '/me/tracks'))],
+    ['GET', /^\/me\/tracks\/contains$/, (m, q) => {
+      const ids = idsFrom(q);
+      if (ids.length > 50) return apiError(400, 'Too many ids requested');
+      return response(200, ids.map(id => state.savedTracks.some(s => s.track.id === id)));
+    }],
+    ['GET', /^\/me\/player\/recently-played$/, (m, q) => response(200, { items: state.recentTracks.slice(0, Number(q.get('limit')) || 20), next: null })],
+    ['GET', /^\/me\/player\/devices$/, () => response(200, { devices: state.devices })],
+    ['POST', /^\/me\/player\/queue$/, (m, q) => { state.queue.push(q.get('uri')); return response(204); }],
+    ['PUT', /^\/me\/player\/play$/, () => response(204)],
+    ['GET', /^\/recommendations\/available-genre-seeds$/, () => response(200, { genres: ['acoustic', 'dance', 'pop', 'rock'] })],
+    ['GET', /^\/recommendations$/, (m, q) => {
+      if (!q.get('seed_artists') && !q.get('seed_tracks') && !q.get('seed_genres')) return apiError(400, 'No seeds');
+      const limit = Math.min(100, Number(q.get('limit')) || 20);
+      // a different slice per seed type, so the fallback steps are distinguishable
+      const offset = q.get('seed_artists') ? at(2) : q.get('seed_tracks') ? at(3) : at(5);
+      return response(200, { tracks: tracks.slice(offset, offset + limit), seeds: [] });
+    }],
+    ['GET', /^\/audio-features$/, (m, q) => response(200, {
+      audio_features: idsFrom(q).map((id, i) => (byId.has(id)
+        ? { id, valence: (i % 10) / 10, energy: ((i * 3) % 10) / 10, danceability: 0.5, acousticness: 0.3, instrumentalness: 0.1, tempo: 90 + (i % 6) * 10 }
+        : null)),
+    })],
+    ['GET', /^\/artists$/, (m, q) => response(200, { artists: idsFrom(q).map(id => artists.find(a => a.id === id) || null) })],
+    ['GET', /^\/tracks$/, (m, q) => response(200, { tracks: idsFrom(q).map(id => byId.get(id) || null) })],
+    ['GET', /^\/search$/, (m, q) => {
+      const text = String(q.get('q') || '').toLowerCase();
+      const isrc = text.match(/isrc:(\S+)/);
+      const hits = isrc
+        ? tracks.filter(t => t.external_ids.isrc.toLowerCase() === isrc[1])
+        : tracks.filter(t => text.includes(t.name.toLowerCase()));
+      const limit = Number(q.get('limit')) || 20;
+      return response(200, { tracks: { items: hits.slice(0, limit) }, artists: { items: [] } });
+    }],
+    ['GET', /^\/me\/playlists$/, (m, q) => response(200, paged(Array.from(state.playlists.values()).reverse().map(playlistJson), q, '/me/playlists'))],
+    ['POST', /^\/me\/playlists$/, (m, q, body) => {
+      playlistCount += 1;
+      const data = JSON.parse(body || '{}');
+      const p = { id: `playlist${playlistCount}`, name: data.name, description: data.description || '', public: Boolean(data.public), collaborative: Boolean(data.collaborative), ownerId: state.user.id, uris: [] };
+      state.playlists.set(p.id, p);
+      return response(201, playlistJson(p));
+    }],
+    ['GET', /^\/playlists\/([^/]+)$/, (m) => {
+      const p = state.playlists.get(m[1]);
+      return p ? response(200, playlistJson(p)) : apiError(404, 'Playlist not found');
+    }],
+    ['GET', /^\/playlists\/([^/]+)\/tracks$/, (m, q) => {
+      const p = state.playlists.get(m[1]);
+      if (!p) return apiError(404, 'Playlist not found');
+      const items = p.uris.map(uri => ({ track: byId.get(uri.split(':').pop()) || { uri } }));
+      return response(200, paged(items, q, `/playlists/${p.id}/tracks`));
+    }],
+    ['POST', /^\/playlists\/([^/]+)\/tracks$/, (m, q, body) => {
+      const p = state.playlists.get(m[1]);
+      if (!p) return apiError(404, 'Playlist not found');
+      const { uris = [] } = JSON.parse(body || '{}');
+      if (uris.length > 100) return apiError(400, 'You can add a maximum of 100 tracks per request.');
+      p.uris.push(...uris);
+      return response(201, { snapshot_id: `snap${p.uris.length}` });
+    }],
+    ['PUT', /^\/playlists\/([^/]+)\/tracks$/, (m, q, body) => {
+      const p = state.playlists.get(m[1]);
+      if (!p) return apiError(404, 'Playlist not found');
+      const { uris = [] } = JSON.parse(body || '{}');
+      if (uris.length > 100) return apiError(400, 'You can set a maximum of 100 tracks per request.');
+      p.uris = uris.slice();
+      return response(200, { snapshot_id: `snap${p.uris.length}` });
+    }],
+    ['PUT', /^\/playlists\/([^/]+)\/images$/, (m, q, body) => {
+      const p = state.playlists.get(m[1]);
+      if (!p) return apiError(404, 'Playlist not found');
+      if (!body || body.length > 256 * 1024) return apiError(400, 'Image must be base64 JPEG data up to 256 KB.');
+      p.image = body;
+      return response(202);
+    }],
+    // set followed: false on a state.playlists entry for a playlist the user unfollowed elsewhere
+    ['GET', /^\/playlists\/([^/]+)\/followers\/contains$/, (m) => {
+      const p = state.playlists.get(m[1]);
+      return p ? response(200, [p.followed !== false]) : apiError(404, 'Playlist not found');
+    }],
+    ['DELETE', /^\/playlists\/([^/]+)\/followers$/, (m) => {
+      if (!state.playlists.delete(m[1])) return apiError(404, 'Playlist not found');
+      return response(200);
+    }],
+  ];
+
+  const handleApi = (method, path, query, headers, body) => {
+    const auth = headers.Authorization || headers.authorization || '';
+    if (!state.validTokens.has(auth.replace(/^Bearer /, ''))) return apiError(401, 'Invalid access token');
+    for (const [routeMethod, re, handler] of routes) {
+      const m = path.match(re);
+      if (m && routeMethod === method) return handler(m, query, body);
+    }
+    return apiError(404, 'Service not found');
+  };
+
+  async function fakeFetch(input, init = {}) {
+    const url = new URL(typeof input === 'string' ? input : input.url);
+    const method = String(init.method || 'GET').toUpperCase();
+    const path = url.origin === API_ORIGIN ? url.pathname.replace(/^\/v1/, '') : url.pathname;
+    const body = init.body ?? null;
+    requests.push({ method, url: url.toString(), path, query: Object.fromEntries(url.searchParams), headers: init.headers || {}, body });
+
+    if (init.signal?.aborted) {
+      const err = new Error('The operation was aborted.');
+      err.name = 'AbortError';
+      throw err;
+    }
+
+    const failure = takeFailure(method, path);
+    if (failure) return failureResponse(failure);
+
+    if (url.toString().split('?')[0] === TOKEN_URL && method === 'POST') return handleToken(body);
+    if (url.origin === API_ORIGIN) {
+      const headers = init.headers || {};
+      const res = handleApi(method, path, url.searchParams, headers, body);
+      return method === 'GET' && res.status === 200 ? withEtag(res, headers['If-None-Match']) : res;
+    }
+    throw new TypeError(`Fake Spotify API: no route for ${method} ${url}`);
+  }
+
+  return {
+    state,
+    requests,
+    fetch: fakeFetch,
+    fail,
+    /* Token the API accepts right away (skips the login flow) */
+    issueToken,
+    /* Invalidate every access token issued so far (their next use gets a 401) */
+    expireTokens: () => state.validTokens.clear(),
+    revokeRefreshTokens: () => state.refreshTokens.clear(),
+    requestsTo: (method, prefix) => requests.filter(r => r.method === method && r.path.startsWith(prefix)),
+    install() {
+      const previous = window.fetch;
+      window.fetch = fakeFetch;
+      return () => { window.fetch = previous; };
+    },
+  };
+}
@@ -0,0 +1,110 @@
+// src/generationOptions.js
+// Playlist generation options and the collector that enforces them while tracks stream in
+// from recommendation rounds / fallbacks.
+//
+// options:
+// - length:            target number of tracks (1..MAX_LENGTH)
+// - maxPerArtist:      max tracks featuring the same artist (0 = no limit)
+// - excludeExplicit:   drop tracks flagged explicit
+// - excludePlaylistId: drop tracks already in this playlist (id, URI or open.spotify.com URL)
+// - targetMinutes:     stop once the total duration reaches this (0 = use length only)
+// - seeds:             pinned { type: 'artist' | 'track' | 'genre', id, name } seeds, tried before the automatic chain
+
+export const MAX_LENGTH = 500;
+
+// Spotify accepts at most five seeds across seed_artists, seed_tracks and seed_genres
+export const MAX_SEEDS = 5;
+const SEED_TYPES = ['artist', 'track', 'genre'];
+
+export const DEFAULT_GENERATION_OPTIONS = {
+  length: 25,
+  maxPerArtist: 0,
+  excludeExplicit: false,
+  excludePlaylistId: null,
+  targetMinutes: 0,
+  seeds: [],
+};
+
+const toInt = (v, min, max, fallback) => {
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+/* Accepts a bare id, a spotify:playlist: URI or an open.spotify.com playlist URL */
+export function parsePlaylistId(input) {
+  const s = String(input || '').trim();
+  if (!s) return null;
+  const fromUrl = s.match(/playlist[/:]([A-Za-z0-9]+)/);
+  if (fromUrl) return fromUrl[1];
+  return /^[A-Za-z0-9]+$/.test(s) ? s : null;
+}
+
+export function normalizeSeeds(seeds) {
+  if (!Array.isArray(seeds)) return [];
+  const seen = new Set();
+  return seeds
+    .filter(s => s && SEED_TYPES.includes(s.type) && typeof s.id === 'string' && s.id)
+    .filter(s => { const k = `${s.type}:${s.id}`; if (seen.has(k)) return false; seen.add(k); return true; })
+    .slice(0, MAX_SEEDS)
+    .map(s => ({ type: s.type, id: s.id, name: String(s.name || s.id) }));
+}
+
+/* Pinned seeds -> /recommendations seed params */
+export function seedsToParams(seeds) {
+  const ids = (type) => normalizeSeeds(seeds).filter(s => s.type === type).map(s => s.id).join(',');
+  return { seed_artists: ids('artist'), seed_tracks: ids('track'), seed_genres: ids('genre') };
+}
+
+export function normalizeGenerationOptions(options = {}) {
+  const d = DEFAULT_GENERATION_OPTIONS;
+  return {
+    length: toInt(options.length, 1, MAX_LENGTH, d.length),
+    maxPerArtist: toInt(options.maxPerArtist, 0, MAX_LENGTH, d.maxPerArtist),
+    excludeExplicit: Boolean(options.excludeExplicit),
+    excludePlaylistId: parsePlaylistId(options.excludePlaylistId),
+    targetMinutes: toInt(options.targetMinutes, 0, 24 * 60, d.targetMinutes),
+    seeds: normalizeSeeds(options.seeds),
+  };
+}
+
+/**
+ * Stateful filter: add() candidates in preference order, read tracks when isFull().
+ * excludeUris are never accepted (e.g. tracks already in another playlist).
+ */
+export function createTrackCollector(options, excludeUris = []) {
+  const opts = normalizeGenerationOptions(options);
+  const targetMs = opts.targetMinutes * 60000;
+  const seen = new Set(excludeUris);
+  const perArtist = new Map();
+  const tracks = [];
+  let totalMs = 0;
+
+  const isFull = () => (targetMs ? totalMs >= targetMs || tracks.length >= MAX_LENGTH : tracks.length >= opts.length);
+
+  const accepts = (t) => {
+    if (!t?.uri || seen.has(t.uri)) return false;
+    if (opts.excludeExplicit && t.explicit) return false;
+    if (opts.maxPerArtist) {
+      const keys = t.artistIds?.length ? t.artistIds : t.artists || [];
+      if (keys.some(k => (perArtist.get(k) || 0) >= opts.maxPerArtist)) return false;
+    }
+    return true;
+  };
+
+  /* Returns how many of the candidates were accepted */
+  const add = (candidates) => {
+    let added = 0;
+    for (const t of candidates || []) {
+      if (isFull()) break;
+      if (!accepts(t)) continue;
+      seen.add(t.uri);
+      (t.artistIds?.length ? t.artistIds : t.artists || []).forEach(k => perArtist.set(k, (perArtist.get(k) || 0) + 1));
+      tracks.push(t);
+      totalMs += t.durationMs || 0;
+      added++;
+    }
+    return added;
+  };
+
+  return { add, isFull, get tracks() { return tracks.slice(); }, get size() { return tracks.length; }, options: opts };
+}
@@ -0,0 +1,183 @@
+// src/groupPlaylist.js
+// Group sessions: several listeners each contribute a mood and their taste (top artists /
+// tracks), and one playlist is generated for all of them.
+// - contributions travel as a share code ("mpg1.<base64url JSON>") or a seed file (JSON)
+// - mergeTargets(participants, mode): one shared set of targets, 'average' or 'weighted'
+// - planGroupShares(participants, length, mode): tracks per person, proportional and at least one each
+// - participantSeeds(p): recommendation seeds from a person's taste (max 5, see generationOptions)
+// - interleaveGroupTracks(buckets): round-robin merge so nobody's tracks are bunched together
+// The session being put together (participants + merge mode) is kept in localStorage under
+// 'group_session'; fetching the signed-in user's taste lives in spotifyService.getGroupContribution.
+
+import { DEFAULT_TARGETS, MOOD_PARAMS } from './moodStore';
+
+export const GROUP_MERGE_MODES = {
+  average: 'Everyone counts the same',
+  weighted: 'Use the weights',
+};
+
+const STORAGE_KEY = 'group_session';
+const CODE_PREFIX = 'mpg1.';
+const FILE_TYPE = 'moodplaylist-group-contribution';
+const MAX_TASTE_ITEMS = 5;
+const MAX_WEIGHT = 10;
+
+// UTF-8 <-> base64url via percent-encoding, so names like "Zoë" survive btoa / atob
+const toBase64Url = (text) => btoa(encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (code) => decodeURIComponent(Array.from(atob(code.replace(/-/g, '+').replace(/_/g, '/')), c => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+
+const cleanItems = (items) => (Array.isArray(items) ? items : [])
+  .filter(i => i && typeof i.id === 'string' && i.id)
+  .slice(0, MAX_TASTE_ITEMS)
+  .map(i => ({ id: i.id, name: String(i.name || i.id) }));
+
+function cleanTargets(targets) {
+  const out = {};
+  MOOD_PARAMS.forEach(({ key, min, max }) => {
+    const v = Number(targets?.[key]);
+    if (targets?.[key] !== undefined && targets?.[key] !== null && Number.isFinite(v)) out[key] = Math.min(max, Math.max(min, v));
+  });
+  return out;
+}
+
+/**
+ * Validate a contribution: { name, mood, targets, weight, topArtists, topTracks }.
+ * Throws when there is no name or nothing to go on (no targets and no taste).
+ */
+export function normalizeContribution(c) {
+  const name = String(c?.name || '').trim().slice(0, 40);
+  if (!name) throw new Error('A contribution needs a name.');
+  const weight = Math.min(MAX_WEIGHT, Math.max(1, Math.round(Number(c.weight) || 1)));
+  const contribution = {
+    name,
+    mood: String(c.mood || 'custom').toLowerCase(),
+    targets: cleanTargets(c.targets),
+    weight,
+    topArtists: cleanItems(c.topArtists),
+    topTracks: cleanItems(c.topTracks),
+  };
+  if (!Object.keys(contribution.targets).length && !contribution.topArtists.length && !contribution.topTracks.length) {
+    throw new Error(`${name}'s contribution has no mood or taste in it.`);
+  }
+  return contribution;
+}
+
+/* ---------- Share codes and seed files ---------- */
+
+export function encodeContribution(c) {
+  return CODE_PREFIX + toBase64Url(JSON.stringify(normalizeContribution(c)));
+}
+
+export function decodeContribution(code) {
+  const text = String(code || '').trim();
+  if (!text.startsWith(CODE_PREFIX)) throw new Error('That is not a group session code.');
+  let parsed;
+  try {
+    parsed = JSON.parse(fromBase64Url(text.slice(CODE_PREFIX.length)));
+  } catch {
+    throw new Error('That group session code is damaged. Ask for it again.');
+  }
+  return normalizeContribution(parsed);
+}
+
+export function exportContributionFile(c) {
+  return JSON.stringify({ type: FILE_TYPE, version: 1, contribution: normalizeContribution(c) }, null, 2);
+}
+
+/* Seed file text or a pasted share code */
+export function parseContributionFile(text) {
+  const trimmed = String(text || '').trim();
+  if (trimmed.startsWith(CODE_PREFIX)) return decodeContribution(trimmed);
+  let data;
+  try { data = JSON.parse(trimmed); } catch { throw new Error('The seed file is not valid JSON.'); }
+  if (data?.type !== FILE_TYPE) throw new Error('That file is not a group session seed file.');
+  return normalizeContribution(data.contribution);
+}
+
+/* ---------- Merging ---------- */
+
+const weightOf = (p, mode) => (mode === 'weighted' ? p.weight || 1 : 1);
+
+/* Per key: weighted mean over the people who set it; keys nobody set are left out */
+export function mergeTargets(participants, mode = 'average') {
+  const out = {};
+  MOOD_PARAMS.forEach(({ key }) => {
+    let sum = 0;
+    let total = 0;
+    (participants || []).forEach(p => {
+      const v = p.targets?.[key];
+      if (typeof v !== 'number') return;
+      sum += v * weightOf(p, mode);
+      total += weightOf(p, mode);
+    });
+    if (total) out[key] = key.endsWith('_tempo') ? Math.round(sum / total) : Math.round((sum / total) * 100) / 100;
+  });
+  // a floor above the ceiling matches nothing: fall back to the defaults' window
+  if (out.min_tempo !== undefined && out.max_tempo !== undefined && out.min_tempo > out.max_tempo) {
+    out.min_tempo = DEFAULT_TARGETS.min_tempo;
+    out.max_tempo = DEFAULT_TARGETS.max_tempo;
+  }
+  return out;
+}
+
+/* Largest-remainder split of length by weight; everyone gets at least one track when possible */
+export function planGroupShares(participants, length, mode = 'average') {
+  const people = participants || [];
+  if (!people.length) return [];
+  const weights = people.map(p => weightOf(p, mode));
+  const totalWeight = weights.reduce((a, b) => a + b, 0);
+  const base = people.length <= length ? 1 : 0;
+  const spare = Math.max(0, length - base * people.length);
+  const exact = weights.map(w => (spare * w) / totalWeight);
+  const shares = exact.map(x => base + Math.floor(x));
+  let left = length - shares.reduce((a, b) => a + b, 0);
+  exact
+    .map((x, i) => ({ i, rest: x - Math.floor(x) }))
+    .sort((a, b) => b.rest - a.rest || a.i - b.i)
+    .forEach(({ i }) => { if (left > 0) { shares[i] += 1; left -= 1; } });
+  return shares;
+}
+
+/* Up to 5 seeds: artists first, topped up with tracks */
+export function participantSeeds(p) {
+  const artists = (p.topArtists || []).map(a => ({ type: 'artist', id: a.id, name: a.name }));
+  const tracks = (p.topTracks || []).map(t => ({ type: 'track', id: t.id, name: t.name }));
+  return artists.slice(0, 3).concat(tracks).concat(artists.slice(3)).slice(0, 5);
+}
+
+/* buckets: one track list per person, in participant order -> round-robin merged list */
+export function interleaveGroupTracks(buckets) {
+  const out = [];
+  const longest = Math.max(0, ...buckets.map(b => b.length));
+  for (let i = 0; i < longest; i++) {
+    buckets.forEach(b => { if (b[i]) out.push(b[i]); });
+  }
+  return out;
+}
+
+/* ---------- Saved session ---------- */
+
+/* { participants, mode }; broken entries are dropped */
+export function loadGroupSession() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    const participants = (Array.isArray(parsed.participants) ? parsed.participants : []).flatMap(p => {
+      try { return [normalizeContribution(p)]; } catch { return []; }
+    });
+    return { participants, mode: GROUP_MERGE_MODES[parsed.mode] ? parsed.mode : 'average' };
+  } catch {
+    return { participants: [], mode: 'average' };
+  }
+}
+
+export function saveGroupSession(session) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ participants: session.participants, mode: session.mode }));
+}
+
+/* Add a contribution, replacing an earlier one with the same name */
+export function addParticipant(participants, contribution) {
+  const c = normalizeContribution(contribution);
+  const same = (p) => p.name.toLowerCase() === c.name.toLowerCase();
+  return participants.some(same) ? participants.map(p => (same(p) ? c : p)) : participants.concat(c);
+}
@@ -0,0 +1,36 @@
+import {
+  encodeContribution, decodeContribution, parseContributionFile, exportContributionFile, mergeTargets,
+  planGroupShares, participantSeeds, interleaveGroupTracks, addParticipant, loadGroupSession, saveGroupSession,
+} from './groupPlaylist';
+
+const ana = { name: 'Ana', mood: 'chill', targets: { target_energy: 0.2, min_tempo: 60 }, weight: 1, topArtists: [{ id: 'a1', name: 'A1' }] };
+const ben = { name: 'Ben', mood: 'pumped', targets: { target_energy: 0.8, max_tempo: 180 }, weight: 3, topTracks: [{ id: 't1', name: 'T1' }] };
+
+test('contributions round-trip through share codes and seed files', () => {
+  const code = encodeContribution({ ...ana, name: 'Zoë' });
+  expect(code.startsWith('mpg1.')).toBe(true);
+  expect(decodeContribution(code)).toMatchObject({ name: 'Zoë', mood: 'chill', topArtists: [{ id: 'a1', name: 'A1' }] });
+  expect(parseContributionFile(exportContributionFile(ben))).toMatchObject({ name: 'Ben', weight: 3 });
+  expect(parseContributionFile(code).name).toBe('Zoë');
+  expect(() => decodeContribution('mpg1.@@@')).toThrow(/damaged/);
+  expect(() => parseContributionFile('{"type":"other"}')).toThrow(/not a group session/);
+  expect(() => encodeContribution({ name: 'Empty' })).toThrow(/no mood or taste/);
+});
+
+test('targets are averaged or weighted, and shares follow the weights', () => {
+  expect(mergeTargets([ana, ben])).toEqual({ target_energy: 0.5, min_tempo: 60, max_tempo: 180 });
+  expect(mergeTargets([ana, ben], 'weighted').target_energy).toBe(0.65);
+  expect(planGroupShares([ana, ben], 20)).toEqual([10, 10]);
+  expect(planGroupShares([ana, ben], 20, 'weighted')).toEqual([6, 14]);
+  expect(planGroupShares([ana, ben, { ...ana, name: 'Cy' }], 2)).toEqual([1, 1, 0]);
+});
+
+test('seeds, interleaving and the saved session', () => {
+  expect(participantSeeds({ ...ana, topTracks: [{ id: 't9', name: 'T9' }] }).map(s => s.id)).toEqual(['a1', 't9']);
+  expect(interleaveGroupTracks([[1, 2, 3], [4]])).toEqual([1, 4, 2, 3]);
+
+  const participants = addParticipant(addParticipant([ana], ben), { ...ana, name: 'ana', mood: 'sad' });
+  expect(participants.map(p => `${p.name}:${p.mood}`)).toEqual(['ana:sad', 'Ben:pumped']);
+  saveGroupSession({ participants, mode: 'weighted' });
+  expect(loadGroupSession()).toEqual({ participants, mode: 'weighted' });
+});
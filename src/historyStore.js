@@ -0,0 +1,77 @@
+// src/historyStore.js
+// Persistent history of generated playlists, kept in IndexedDB ('moodplaylist' db, 'history' store).
+// Entry shape:
+// { id, createdAt, updatedAt, mood, targets, options, source, name, playlistId, playlistUrl, playlistGone, tracks: [track summaries] }
+// playlistGone marks an entry whose Spotify playlist was unfollowed or deleted (playlistId is then null).
+
+const DB_NAME = 'moodplaylist';
+const DB_VERSION = 1;
+const STORE = 'history';
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser.'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // allow a later retry if opening failed (e.g. private mode)
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+/* Run fn(store) inside a transaction and resolve with the request's result */
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export async function addHistoryEntry(entry) {
+  const now = Date.now();
+  const record = { ...entry, id: entry.id || newId(), createdAt: entry.createdAt || now, updatedAt: now };
+  await withStore('readwrite', store => store.put(record));
+  return record;
+}
+
+/* All entries, newest first */
+export async function listHistory() {
+  const all = await withStore('readonly', store => store.getAll());
+  return (all || []).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export function getHistoryEntry(id) {
+  return withStore('readonly', store => store.get(id));
+}
+
+export async function updateHistoryEntry(id, patch) {
+  const existing = await getHistoryEntry(id);
+  if (!existing) throw new Error('History entry not found.');
+  const record = { ...existing, ...patch, id, updatedAt: Date.now() };
+  await withStore('readwrite', store => store.put(record));
+  return record;
+}
+
+export function deleteHistoryEntry(id) {
+  return withStore('readwrite', store => store.delete(id));
+}
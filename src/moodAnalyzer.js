@@ -0,0 +1,196 @@
+// src/moodAnalyzer.js
+// Offline, lexicon-based mood detection from a free-text description.
+// analyzeMoodText("rainy sunday, reading, a bit nostalgic") ->
+//   { label, targets, genres, matched, confidence }
+// - targets use /recommendations keys (target_valence, target_energy, target_danceability,
+//   target_acousticness, min_tempo, max_tempo)
+// - genres are suggested genre seeds (max 5)
+// - matched lists the lexicon terms that were found; confidence is 0..1
+// Pure: no network, no storage, no randomness.
+
+// Each entry nudges some dimensions (0..1, tempo in BPM) and may suggest genres.
+// Multi-word keys are matched before single words.
+export const MOOD_LEXICON = {
+  // positive / high energy
+  happy: { valence: 0.85, energy: 0.65, danceability: 0.65, genres: ['pop', 'happy'] },
+  joyful: { valence: 0.9, energy: 0.7, danceability: 0.65, genres: ['happy'] },
+  excited: { valence: 0.8, energy: 0.85, danceability: 0.7, tempo: 125, genres: ['pop', 'dance'] },
+  party: { valence: 0.8, energy: 0.9, danceability: 0.9, tempo: 124, genres: ['party', 'dance', 'edm'] },
+  dance: { valence: 0.75, energy: 0.8, danceability: 0.9, tempo: 122, genres: ['dance', 'house'] },
+  dancing: { valence: 0.75, energy: 0.8, danceability: 0.9, tempo: 122, genres: ['dance'] },
+  celebrate: { valence: 0.9, energy: 0.85, danceability: 0.8, genres: ['party', 'pop'] },
+  summer: { valence: 0.8, energy: 0.7, danceability: 0.75, genres: ['summer', 'pop', 'reggae'] },
+  sunny: { valence: 0.85, energy: 0.65, danceability: 0.65, genres: ['summer', 'pop'] },
+  'road trip': { valence: 0.75, energy: 0.7, tempo: 118, genres: ['road-trip', 'rock'] },
+  energetic: { energy: 0.9, tempo: 130 },
+  hyped: { valence: 0.7, energy: 0.95, tempo: 135, genres: ['hip-hop', 'edm'] },
+  pumped: { valence: 0.6, energy: 0.95, tempo: 140, genres: ['work-out', 'edm'] },
+  workout: { valence: 0.6, energy: 0.95, danceability: 0.7, tempo: 135, genres: ['work-out', 'edm', 'hip-hop'] },
+  gym: { valence: 0.6, energy: 0.95, danceability: 0.7, tempo: 135, genres: ['work-out', 'hip-hop'] },
+  running: { energy: 0.9, tempo: 160, genres: ['work-out'] },
+  angry: { valence: 0.2, energy: 0.9, acousticness: 0.05, tempo: 140, genres: ['metal', 'punk', 'hard-rock'] },
+  rage: { valence: 0.15, energy: 0.95, acousticness: 0.05, tempo: 150, genres: ['metal', 'hardcore'] },
+  confident: { valence: 0.75, energy: 0.75, danceability: 0.75, genres: ['hip-hop'] },
+  romantic: { valence: 0.65, energy: 0.4, acousticness: 0.5, tempo: 95, genres: ['romance', 'r-n-b', 'soul'] },
+  love: { valence: 0.7, energy: 0.45, genres: ['romance', 'r-n-b'] },
+
+  // calm / low energy
+  chill: { valence: 0.6, energy: 0.35, danceability: 0.55, acousticness: 0.5, tempo: 95, genres: ['chill'] },
+  relaxed: { valence: 0.6, energy: 0.25, acousticness: 0.6, tempo: 90, genres: ['chill', 'ambient'] },
+  relaxing: { valence: 0.6, energy: 0.25, acousticness: 0.6, tempo: 90, genres: ['chill', 'ambient'] },
+  calm: { valence: 0.55, energy: 0.2, acousticness: 0.7, tempo: 85, genres: ['ambient', 'chill'] },
+  peaceful: { valence: 0.65, energy: 0.2, acousticness: 0.75, tempo: 80, genres: ['ambient', 'piano'] },
+  cozy: { valence: 0.65, energy: 0.3, acousticness: 0.75, tempo: 90, genres: ['acoustic', 'folk'] },
+  lazy: { valence: 0.55, energy: 0.2, acousticness: 0.5, tempo: 85, genres: ['chill'] },
+  sleepy: { valence: 0.45, energy: 0.1, acousticness: 0.8, tempo: 70, genres: ['sleep', 'ambient'] },
+  sleep: { valence: 0.45, energy: 0.08, acousticness: 0.85, tempo: 65, genres: ['sleep', 'ambient'] },
+  reading: { energy: 0.2, danceability: 0.3, acousticness: 0.75, tempo: 85, genres: ['classical', 'piano', 'ambient'] },
+  study: { energy: 0.3, danceability: 0.4, acousticness: 0.6, tempo: 90, genres: ['study', 'ambient'] },
+  studying: { energy: 0.3, danceability: 0.4, acousticness: 0.6, tempo: 90, genres: ['study', 'ambient'] },
+  focus: { energy: 0.35, danceability: 0.4, acousticness: 0.5, tempo: 100, genres: ['study', 'ambient', 'electronic'] },
+  work: { energy: 0.45, danceability: 0.5, tempo: 105, genres: ['study', 'indie'] },
+  coffee: { valence: 0.6, energy: 0.35, acousticness: 0.7, genres: ['acoustic', 'jazz'] },
+  'lo fi': { valence: 0.5, energy: 0.3, danceability: 0.6, acousticness: 0.5, tempo: 85, genres: ['chill', 'study'] },
+  lofi: { valence: 0.5, energy: 0.3, danceability: 0.6, acousticness: 0.5, tempo: 85, genres: ['chill', 'study'] },
+  dinner: { valence: 0.6, energy: 0.35, acousticness: 0.6, genres: ['jazz', 'soul'] },
+
+  // sad / reflective
+  sad: { valence: 0.15, energy: 0.3, danceability: 0.35, acousticness: 0.55, tempo: 85, genres: ['sad', 'acoustic'] },
+  melancholy: { valence: 0.2, energy: 0.3, acousticness: 0.6, tempo: 85, genres: ['sad', 'indie'] },
+  melancholic: { valence: 0.2, energy: 0.3, acousticness: 0.6, tempo: 85, genres: ['sad', 'indie'] },
+  lonely: { valence: 0.2, energy: 0.25, acousticness: 0.6, tempo: 80, genres: ['sad', 'singer-songwriter'] },
+  heartbroken: { valence: 0.1, energy: 0.3, acousticness: 0.55, tempo: 80, genres: ['sad', 'r-n-b'] },
+  breakup: { valence: 0.15, energy: 0.4, genres: ['sad', 'pop'] },
+  nostalgic: { valence: 0.45, energy: 0.4, acousticness: 0.5, tempo: 95, genres: ['indie', 'folk'] },
+  dreamy: { valence: 0.5, energy: 0.3, acousticness: 0.5, tempo: 90, genres: ['indie', 'ambient'] },
+  moody: { valence: 0.3, energy: 0.4, genres: ['indie', 'alternative'] },
+  dark: { valence: 0.2, energy: 0.5, genres: ['goth', 'industrial'] },
+  tired: { valence: 0.4, energy: 0.2, tempo: 80, genres: ['chill'] },
+  anxious: { valence: 0.3, energy: 0.45, genres: ['ambient'] },
+
+  // settings / weather / time
+  rain: { valence: 0.35, energy: 0.25, acousticness: 0.7, tempo: 85, genres: ['rainy-day', 'acoustic', 'piano'] },
+  rainy: { valence: 0.35, energy: 0.25, acousticness: 0.7, tempo: 85, genres: ['rainy-day', 'acoustic', 'piano'] },
+  storm: { valence: 0.3, energy: 0.6, genres: ['rock'] },
+  snow: { valence: 0.55, energy: 0.25, acousticness: 0.7, genres: ['acoustic', 'classical'] },
+  winter: { valence: 0.45, energy: 0.3, acousticness: 0.65, genres: ['acoustic', 'folk'] },
+  autumn: { valence: 0.45, energy: 0.35, acousticness: 0.6, genres: ['folk', 'indie'] },
+  sunday: { valence: 0.6, energy: 0.3, acousticness: 0.6, tempo: 90, genres: ['acoustic', 'chill'] },
+  morning: { valence: 0.65, energy: 0.45, acousticness: 0.5, tempo: 100, genres: ['acoustic', 'indie'] },
+  night: { valence: 0.45, energy: 0.4, genres: ['chill', 'r-n-b'] },
+  'late night': { valence: 0.4, energy: 0.3, danceability: 0.55, tempo: 90, genres: ['chill', 'r-n-b', 'jazz'] },
+  beach: { valence: 0.8, energy: 0.6, danceability: 0.7, genres: ['summer', 'reggae'] },
+  club: { valence: 0.7, energy: 0.9, danceability: 0.9, tempo: 126, genres: ['club', 'house', 'techno'] },
+
+  // genre words
+  acoustic: { acousticness: 0.85, energy: 0.3, genres: ['acoustic'] },
+  piano: { acousticness: 0.9, energy: 0.2, genres: ['piano'] },
+  jazz: { acousticness: 0.6, energy: 0.4, genres: ['jazz'] },
+  classical: { acousticness: 0.9, energy: 0.2, danceability: 0.25, genres: ['classical'] },
+  rock: { energy: 0.75, acousticness: 0.1, genres: ['rock'] },
+  metal: { energy: 0.95, valence: 0.3, acousticness: 0.02, genres: ['metal'] },
+  'hip hop': { energy: 0.7, danceability: 0.8, genres: ['hip-hop'] },
+  rap: { energy: 0.7, danceability: 0.8, genres: ['hip-hop'] },
+  edm: { energy: 0.9, danceability: 0.8, acousticness: 0.03, tempo: 128, genres: ['edm'] },
+  techno: { energy: 0.85, danceability: 0.8, acousticness: 0.02, tempo: 130, genres: ['techno'] },
+  folk: { acousticness: 0.8, energy: 0.35, genres: ['folk'] },
+  indie: { genres: ['indie'] },
+};
+
+const NEGATIONS = ['not', 'no', 'never', "don't", 'dont', 'without', "isn't", "aren't"];
+const INTENSIFIERS = { very: 1.6, really: 1.5, super: 1.7, so: 1.4, extremely: 1.8, totally: 1.5 };
+const DAMPENERS = { bit: 0.5, slightly: 0.5, little: 0.6, somewhat: 0.6, kinda: 0.6, kind: 0.6 };
+
+const NEUTRAL = { valence: 0.5, energy: 0.5, danceability: 0.5, acousticness: 0.3, tempo: 110 };
+const PRIOR_WEIGHT = 0.5;
+const TEMPO_SPREAD = 15;
+const MAX_GENRES = 5;
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[-_/]+/g, ' ')
+    .replace(/[^a-z' ]+/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/* Lexicon hits with their weights, multi-word terms first; handles negation and intensity modifiers */
+function findMatches(tokens) {
+  const matches = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const bigram = i + 1 < tokens.length ? `${tokens[i]} ${tokens[i + 1]}` : null;
+    const term = bigram && MOOD_LEXICON[bigram] ? bigram : (MOOD_LEXICON[tokens[i]] ? tokens[i] : null);
+    if (!term) continue;
+
+    // look back up to 3 words for modifiers
+    let weight = 1;
+    let negated = false;
+    for (let j = Math.max(0, i - 3); j < i; j++) {
+      const w = tokens[j];
+      if (NEGATIONS.includes(w)) negated = true;
+      if (INTENSIFIERS[w]) weight *= INTENSIFIERS[w];
+      if (DAMPENERS[w]) weight *= DAMPENERS[w];
+    }
+    matches.push({ term, entry: MOOD_LEXICON[term], weight, negated });
+    if (term === bigram) i++;
+  }
+  return matches;
+}
+
+/* Negation mirrors the emotional dimensions around neutral and drops the genre suggestions */
+function applyNegation(entry) {
+  const out = {};
+  ['valence', 'energy', 'danceability'].forEach(k => {
+    if (entry[k] !== undefined) out[k] = clamp(1 - entry[k], 0, 1);
+  });
+  return out;
+}
+
+export function analyzeMoodText(text) {
+  const tokens = tokenize(text);
+  const matches = findMatches(tokens);
+
+  const sums = {};
+  const weights = {};
+  Object.keys(NEUTRAL).forEach(k => { sums[k] = NEUTRAL[k] * PRIOR_WEIGHT; weights[k] = PRIOR_WEIGHT; });
+
+  const genreScores = new Map();
+  matches.forEach(({ entry, weight, negated }) => {
+    const dims = negated ? applyNegation(entry) : entry;
+    Object.keys(NEUTRAL).forEach(k => {
+      if (typeof dims[k] === 'number') { sums[k] += dims[k] * weight; weights[k] += weight; }
+    });
+    if (!negated) (entry.genres || []).forEach((g, idx) => genreScores.set(g, (genreScores.get(g) || 0) + weight / (idx + 1)));
+  });
+
+  const value = (k) => sums[k] / weights[k];
+  const tempo = Math.round(value('tempo'));
+  const targets = {
+    target_valence: round2(value('valence')),
+    target_energy: round2(value('energy')),
+    target_danceability: round2(value('danceability')),
+    target_acousticness: round2(value('acousticness')),
+    min_tempo: clamp(tempo - TEMPO_SPREAD, 40, 220),
+    max_tempo: clamp(tempo + TEMPO_SPREAD, 40, 220),
+  };
+
+  const genres = Array.from(genreScores.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_GENRES)
+    .map(([g]) => g);
+
+  const matchedWeight = matches.reduce((sum, m) => sum + m.weight, 0);
+  const label = String(text || '').trim().replace(/\s+/g, ' ').slice(0, 40);
+
+  return {
+    label,
+    targets,
+    genres,
+    matched: matches.map(m => (m.negated ? `not ${m.term}` : m.term)),
+    confidence: round2(matchedWeight / (matchedWeight + 1.5)),
+  };
+}
@@ -0,0 +1,57 @@
+import { analyzeMoodText, tokenize } from './moodAnalyzer';
+
+test('tokenize lowercases and strips punctuation', () => {
+  expect(tokenize('Rainy Sunday, reading — a bit nostalgic!')).toEqual(['rainy', 'sunday', 'reading', 'a', 'bit', 'nostalgic']);
+});
+
+test('calm, reflective text maps to low energy, acoustic targets and matching genres', () => {
+  const res = analyzeMoodText('rainy sunday, reading, a bit nostalgic');
+  expect(res.matched).toEqual(['rainy', 'sunday', 'reading', 'nostalgic']);
+  expect(res.targets.target_energy).toBeLessThan(0.35);
+  expect(res.targets.target_acousticness).toBeGreaterThan(0.55);
+  expect(res.targets.max_tempo).toBeLessThan(110);
+  expect(res.genres).toContain('rainy-day');
+  expect(res.genres.length).toBeLessThanOrEqual(5);
+});
+
+test('workout text maps to high energy and fast tempo', () => {
+  const res = analyzeMoodText('Super hyped gym session');
+  expect(res.targets.target_energy).toBeGreaterThan(0.8);
+  expect(res.targets.min_tempo).toBeGreaterThan(110);
+  expect(res.genres).toContain('work-out');
+});
+
+test('negation flips valence and drops genre suggestions for that term', () => {
+  const happy = analyzeMoodText('happy');
+  const notHappy = analyzeMoodText('not happy');
+  expect(notHappy.matched).toEqual(['not happy']);
+  expect(notHappy.targets.target_valence).toBeLessThan(0.5);
+  expect(happy.targets.target_valence).toBeGreaterThan(0.5);
+  expect(notHappy.genres).toEqual([]);
+});
+
+test('intensifiers and dampeners change how far a term pulls', () => {
+  const very = analyzeMoodText('very sad').targets.target_valence;
+  const plain = analyzeMoodText('sad').targets.target_valence;
+  const slightly = analyzeMoodText('slightly sad').targets.target_valence;
+  expect(very).toBeLessThan(plain);
+  expect(plain).toBeLessThan(slightly);
+});
+
+test('multi-word terms win over their single words', () => {
+  expect(analyzeMoodText('late night drive').matched).toEqual(['late night']);
+  expect(analyzeMoodText('some hip hop').genres[0]).toBe('hip-hop');
+});
+
+test('unknown text falls back to neutral targets with zero confidence', () => {
+  const res = analyzeMoodText('qwerty zxcv');
+  expect(res.matched).toEqual([]);
+  expect(res.confidence).toBe(0);
+  expect(res.targets.target_valence).toBe(0.5);
+  expect(res.targets.min_tempo).toBe(95);
+  expect(res.targets.max_tempo).toBe(125);
+});
+
+test('is deterministic', () => {
+  expect(analyzeMoodText('chill coffee morning')).toEqual(analyzeMoodText('chill coffee morning'));
+});
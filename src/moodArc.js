@@ -0,0 +1,130 @@
+// src/moodArc.js
+// Energy-arc playlists: move from a start mood to an end mood along a curve.
+// - ARC_SHAPES: curve shapes, each curve(t) maps playlist position 0..1 to blend level 0..1
+//   (0 = start mood, 1 = end mood)
+// - normalizeArc(arc): { start, end, shape, startTargets?, endTargets? } with a known shape
+// - planArcSegments(arc, options): split the length / duration into segments with interpolated targets
+// - sampleArc(arc, points): energy + tempo along the arc, for the preview chart
+// - orderSegmentTracks(tracks, featuresById, segment): order a segment so energy/tempo follow the curve
+// Pure: mood names are resolved by the caller (startTargets / endTargets).
+
+import { DEFAULT_TARGETS } from './moodStore';
+
+export const ARC_SHAPES = {
+  linear: { label: 'Linear', curve: t => t },
+  'ramp-hold': { label: 'Ramp up and hold', curve: t => Math.min(1, t / 0.4) },
+  peak: { label: 'Peak in the middle', curve: t => 1 - Math.abs(2 * t - 1) },
+};
+
+const MIN_SEGMENTS = 2;
+const MAX_SEGMENTS = 8;
+const TRACKS_PER_SEGMENT = 6;
+const MINUTES_PER_SEGMENT = 10;
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+export function normalizeArc(arc) {
+  if (!arc || !arc.start || !arc.end) return null;
+  return {
+    start: String(arc.start).toLowerCase(),
+    end: String(arc.end).toLowerCase(),
+    shape: ARC_SHAPES[arc.shape] ? arc.shape : 'linear',
+    ...(arc.startTargets ? { startTargets: arc.startTargets } : {}),
+    ...(arc.endTargets ? { endTargets: arc.endTargets } : {}),
+  };
+}
+
+export const arcLabel = (arc) => `${arc.start} → ${arc.end}`;
+
+/**
+ * Blend two target sets. Keys only one side defines fall back to DEFAULT_TARGETS on the other,
+ * so e.g. chill's max_tempo still rises towards pumped's tempo range.
+ */
+export function interpolateTargets(from = {}, to = {}, level) {
+  const out = {};
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach(key => {
+    const a = typeof from[key] === 'number' ? from[key] : DEFAULT_TARGETS[key];
+    const b = typeof to[key] === 'number' ? to[key] : DEFAULT_TARGETS[key];
+    if (typeof a !== 'number' || typeof b !== 'number') return;
+    const v = a + (b - a) * level;
+    out[key] = key.endsWith('_tempo') ? Math.round(v) : round2(v);
+  });
+  if (typeof out.min_tempo === 'number' && typeof out.max_tempo === 'number' && out.min_tempo > out.max_tempo) {
+    [out.min_tempo, out.max_tempo] = [out.max_tempo, out.min_tempo];
+  }
+  return out;
+}
+
+/* Split total into n integer parts that differ by at most one */
+function split(total, n) {
+  return Array.from({ length: n }, (_, i) => Math.floor(total / n) + (i < total % n ? 1 : 0));
+}
+
+/**
+ * Segments for an arc with resolved startTargets / endTargets.
+ * options: normalized generation options (length or targetMinutes decides the segment count).
+ * Resolves to [{ index, from, to, level, targets, length, targetMinutes }] where from/to are
+ * positions 0..1 and level is the curve value at the segment's midpoint.
+ */
+export function planArcSegments(arc, options) {
+  const { curve } = ARC_SHAPES[arc.shape] || ARC_SHAPES.linear;
+  const byMinutes = options.targetMinutes > 0;
+  const count = Math.max(MIN_SEGMENTS, Math.min(MAX_SEGMENTS,
+    Math.round(byMinutes ? options.targetMinutes / MINUTES_PER_SEGMENT : options.length / TRACKS_PER_SEGMENT)));
+  const n = byMinutes ? count : Math.min(count, options.length);
+  const lengths = split(options.length, n);
+  const minutes = byMinutes ? split(options.targetMinutes, n) : Array(n).fill(0);
+
+  return Array.from({ length: n }, (_, index) => {
+    const from = index / n;
+    const to = (index + 1) / n;
+    const level = round2(curve((from + to) / 2));
+    return {
+      index,
+      from,
+      to,
+      level,
+      targets: interpolateTargets(arc.startTargets, arc.endTargets, level),
+      length: lengths[index],
+      targetMinutes: minutes[index],
+    };
+  });
+}
+
+/* Energy (0..1) and tempo (BPM, middle of the range) at evenly spaced positions along the arc */
+export function sampleArc(arc, points = 24) {
+  const { curve } = ARC_SHAPES[arc.shape] || ARC_SHAPES.linear;
+  return Array.from({ length: points }, (_, i) => {
+    const position = points > 1 ? i / (points - 1) : 0;
+    const t = interpolateTargets(arc.startTargets, arc.endTargets, curve(position));
+    const tempo = typeof t.min_tempo === 'number' && typeof t.max_tempo === 'number' ? (t.min_tempo + t.max_tempo) / 2 : t.min_tempo ?? t.max_tempo ?? null;
+    return { position, energy: t.target_energy ?? null, tempo };
+  });
+}
+
+/**
+ * Order one segment's tracks so energy and tempo move the same way as the curve across it
+ * (rising, falling, or rising then falling around a peak). Tracks are left as they are unless
+ * every one of them has audio features.
+ */
+export function orderSegmentTracks(tracks, featuresById, segment, shape) {
+  const { curve } = ARC_SHAPES[shape] || ARC_SHAPES.linear;
+  if (!tracks.length || !tracks.every(t => featuresById?.[t.id])) return tracks;
+
+  const intensity = (t) => {
+    const f = featuresById[t.id];
+    return (f.energy ?? 0.5) + (typeof f.tempo === 'number' ? f.tempo / 200 : 0.5);
+  };
+  const ascending = tracks.slice().sort((a, b) => intensity(a) - intensity(b));
+
+  const start = curve(segment.from);
+  const end = curve(segment.to);
+  const mid = curve((segment.from + segment.to) / 2);
+  if (mid > start && mid > end) {
+    // peak inside the segment: low -> high -> low
+    const up = ascending.filter((_, i) => i % 2 === 0);
+    const down = ascending.filter((_, i) => i % 2 === 1).reverse();
+    return up.concat(down);
+  }
+  return end >= start ? ascending : ascending.reverse();
+}
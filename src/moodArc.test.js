@@ -0,0 +1,47 @@
+import { interpolateTargets, planArcSegments, sampleArc, orderSegmentTracks, normalizeArc } from './moodArc';
+
+const chill = { target_valence: 0.7, target_energy: 0.4, target_danceability: 0.5, max_tempo: 110 };
+const pumped = { target_valence: 0.5, target_energy: 0.95, target_danceability: 0.6, min_tempo: 140 };
+const arc = (shape) => ({ ...normalizeArc({ start: 'chill', end: 'pumped', shape }), startTargets: chill, endTargets: pumped });
+
+test('interpolateTargets blends numbers and fills one-sided keys from the defaults', () => {
+  const mid = interpolateTargets(chill, pumped, 0.5);
+  expect(mid.target_energy).toBeCloseTo(0.68);
+  expect(mid.min_tempo).toBe(110); // 80 (default) -> 140
+  expect(mid.max_tempo).toBe(125); // 110 -> 140 (default)
+  expect(mid.min_tempo).toBeLessThanOrEqual(mid.max_tempo);
+});
+
+test('linear arc splits the length into rising segments', () => {
+  const segments = planArcSegments(arc('linear'), { length: 25, targetMinutes: 0 });
+  expect(segments).toHaveLength(4);
+  expect(segments.reduce((n, s) => n + s.length, 0)).toBe(25);
+  const energies = segments.map(s => s.targets.target_energy);
+  expect(energies).toEqual(energies.slice().sort((a, b) => a - b));
+  expect(energies[0]).toBeLessThan(0.5);
+  expect(energies[3]).toBeGreaterThan(0.8);
+});
+
+test('duration-based arcs split the minutes, peak arcs come back down', () => {
+  const segments = planArcSegments(arc('peak'), { length: 25, targetMinutes: 60 });
+  expect(segments).toHaveLength(6);
+  expect(segments.reduce((n, s) => n + s.targetMinutes, 0)).toBe(60);
+  const levels = segments.map(s => s.level);
+  expect(Math.max(...levels)).toBe(levels[2]);
+  expect(levels[5]).toBeLessThan(levels[2]);
+
+  const samples = sampleArc(arc('ramp-hold'), 11);
+  expect(samples[0].energy).toBeCloseTo(0.4);
+  expect(samples[5].energy).toBeCloseTo(0.95);
+  expect(samples[10].energy).toBeCloseTo(0.95);
+});
+
+test('orderSegmentTracks follows the curve only when every track has features', () => {
+  const tracks = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+  const features = { a: { energy: 0.9, tempo: 150 }, b: { energy: 0.2, tempo: 80 }, c: { energy: 0.5, tempo: 110 } };
+  const rising = { from: 0, to: 0.5 };
+  const falling = { from: 0.5, to: 1 };
+  expect(orderSegmentTracks(tracks, features, rising, 'linear').map(t => t.id)).toEqual(['b', 'c', 'a']);
+  expect(orderSegmentTracks(tracks, features, falling, 'peak').map(t => t.id)).toEqual(['a', 'c', 'b']);
+  expect(orderSegmentTracks(tracks, { a: features.a }, rising, 'linear')).toBe(tracks);
+});
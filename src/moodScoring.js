@@ -0,0 +1,99 @@
+// src/moodScoring.js
+// Local, mood-aware ranking used when /recommendations is unavailable.
+// - scoreFeatures(features, targets): 0..1 match between audio features and mood targets
+// - estimateFeatures(track, genres): heuristic audio features from genres + metadata
+// - rankTracks(tracks, featuresById, targets): best matches first
+
+// How much each target counts towards the score
+const WEIGHTS = {
+  valence: 1.5,
+  energy: 1.5,
+  danceability: 1,
+  acousticness: 0.75,
+  instrumentalness: 0.5,
+};
+
+// Genre keyword -> feature nudges. Every matching hint counts: each feature is the average over the hints that set it.
+const GENRE_HINTS = [
+  { match: /metal|hardcore|punk|grunge/, features: { energy: 0.9, valence: 0.35, danceability: 0.4, acousticness: 0.05, tempo: 140 } },
+  { match: /edm|house|techno|trance|dance|electro|dubstep|drum and bass/, features: { energy: 0.85, valence: 0.6, danceability: 0.8, acousticness: 0.05, instrumentalness: 0.4, tempo: 126 } },
+  { match: /hip hop|rap|trap|drill/, features: { energy: 0.7, valence: 0.5, danceability: 0.8, acousticness: 0.1, tempo: 95 } },
+  { match: /pop/, features: { energy: 0.65, valence: 0.65, danceability: 0.7, acousticness: 0.15, tempo: 118 } },
+  { match: /rock|indie/, features: { energy: 0.7, valence: 0.5, danceability: 0.5, acousticness: 0.15, tempo: 122 } },
+  { match: /funk|disco|soul|reggae|latin|salsa|reggaeton/, features: { energy: 0.7, valence: 0.8, danceability: 0.8, acousticness: 0.15, tempo: 110 } },
+  { match: /acoustic|folk|singer-songwriter|country/, features: { energy: 0.35, valence: 0.5, danceability: 0.5, acousticness: 0.8, tempo: 100 } },
+  { match: /ambient|chill|lo-fi|lofi|downtempo|sleep/, features: { energy: 0.25, valence: 0.45, danceability: 0.5, acousticness: 0.6, instrumentalness: 0.7, tempo: 85 } },
+  { match: /classical|piano|orchestra|soundtrack|score/, features: { energy: 0.2, valence: 0.35, danceability: 0.25, acousticness: 0.9, instrumentalness: 0.85, tempo: 90 } },
+  { match: /jazz|blues/, features: { energy: 0.4, valence: 0.5, danceability: 0.55, acousticness: 0.6, instrumentalness: 0.3, tempo: 105 } },
+  { match: /emo|sad|slowcore|melancholy/, features: { energy: 0.35, valence: 0.2, danceability: 0.35, acousticness: 0.5, tempo: 85 } },
+];
+
+const NEUTRAL = { valence: 0.5, energy: 0.5, danceability: 0.5, acousticness: 0.3, instrumentalness: 0.1, tempo: 115 };
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+/**
+ * Guess audio features for a track from its artists' genres and its own metadata.
+ * Never as good as /audio-features, but better than ignoring the mood entirely.
+ */
+export function estimateFeatures(track, genres = []) {
+  const joined = (genres || []).join(' ').toLowerCase();
+  const hits = GENRE_HINTS.filter(h => h.match.test(joined)).map(h => h.features);
+  const est = { ...NEUTRAL };
+
+  if (hits.length) {
+    Object.keys(NEUTRAL).forEach(k => {
+      const vals = hits.map(h => h[k]).filter(v => v !== undefined);
+      if (vals.length) est[k] = vals.reduce((a, b) => a + b, 0) / vals.length;
+    });
+  }
+
+  const name = String(track?.name || '').toLowerCase();
+  if (/acoustic|unplugged|piano/.test(name)) { est.acousticness = clamp01(est.acousticness + 0.3); est.energy = clamp01(est.energy - 0.15); }
+  if (/remix|edit|club/.test(name)) { est.danceability = clamp01(est.danceability + 0.15); est.energy = clamp01(est.energy + 0.1); }
+  if (/live/.test(name)) est.energy = clamp01(est.energy + 0.05);
+  if (/instrumental/.test(name)) est.instrumentalness = clamp01(est.instrumentalness + 0.5);
+  if (track?.explicit) est.energy = clamp01(est.energy + 0.05);
+
+  return est;
+}
+
+/**
+ * Score audio features (Spotify /audio-features shape) against mood targets.
+ * 1 is a perfect match, 0 is as far away as possible. Tempo outside min/max is penalised.
+ */
+export function scoreFeatures(features, targets = {}) {
+  if (!features) return 0;
+  let total = 0;
+  let weightSum = 0;
+
+  Object.entries(WEIGHTS).forEach(([feature, weight]) => {
+    const target = targets[`target_${feature}`];
+    const value = features[feature];
+    if (typeof target !== 'number' || typeof value !== 'number') return;
+    total += weight * (1 - Math.abs(target - value));
+    weightSum += weight;
+  });
+
+  let score = weightSum ? total / weightSum : 0.5;
+
+  const tempo = features.tempo;
+  if (typeof tempo === 'number' && tempo > 0) {
+    const below = typeof targets.min_tempo === 'number' ? Math.max(0, targets.min_tempo - tempo) : 0;
+    const above = typeof targets.max_tempo === 'number' ? Math.max(0, tempo - targets.max_tempo) : 0;
+    score -= Math.min(0.3, (below + above) / 100);
+  }
+
+  return clamp01(score);
+}
+
+/**
+ * Sort tracks by how well they match the targets. Tracks without features are dropped.
+ * Returns [{ track, score }], best first.
+ */
+export function rankTracks(tracks, featuresById, targets) {
+  return (tracks || [])
+    .map(track => ({ track, score: scoreFeatures(featuresById[track?.id], targets) }))
+    .filter(r => r.track && featuresById[r.track.id])
+    .sort((a, b) => b.score - a.score);
+}
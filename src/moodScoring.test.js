@@ -0,0 +1,47 @@
+import { scoreFeatures, estimateFeatures, rankTracks } from './moodScoring';
+
+test('scores a perfect match as 1 and weighs valence and energy above the rest', () => {
+  const targets = { target_valence: 0.8, target_energy: 0.2, target_danceability: 0.5 };
+  expect(scoreFeatures({ valence: 0.8, energy: 0.2, danceability: 0.5 }, targets)).toBe(1);
+  // energy (1.5) misses completely, danceability (1) is perfect: 2.5 / 4
+  expect(scoreFeatures({ valence: 0.8, energy: 1.2, danceability: 0.5 }, targets)).toBeCloseTo(0.625);
+  expect(scoreFeatures(null, targets)).toBe(0);
+  expect(scoreFeatures({ valence: 0.3 }, {})).toBe(0.5);
+});
+
+test('penalises tempo outside min/max, by at most 0.3', () => {
+  const targets = { target_energy: 0.5, min_tempo: 100, max_tempo: 120 };
+  expect(scoreFeatures({ energy: 0.5, tempo: 110 }, targets)).toBe(1);
+  expect(scoreFeatures({ energy: 0.5, tempo: 90 }, targets)).toBeCloseTo(0.9);
+  expect(scoreFeatures({ energy: 0.5, tempo: 200 }, targets)).toBeCloseTo(0.7);
+});
+
+test('estimates neutral features without genres and averages every matching genre hint', () => {
+  expect(estimateFeatures({ name: 'Song' })).toMatchObject({ energy: 0.5, valence: 0.5, tempo: 115 });
+
+  const metal = estimateFeatures({ name: 'Song' }, ['metal']);
+  expect(metal.energy).toBeCloseTo(0.9);
+
+  // metal + edm + pop: both energy values count; instrumentalness only comes from edm
+  const mixed = estimateFeatures({ name: 'Song' }, ['death metal', 'edm', 'dance pop']);
+  expect(mixed.energy).toBeCloseTo((0.9 + 0.85 + 0.65) / 3);
+  expect(mixed.valence).toBeCloseTo((0.35 + 0.6 + 0.65) / 3);
+  expect(mixed.instrumentalness).toBeCloseTo(0.4);
+});
+
+test('nudges the estimate from the track name and explicit flag', () => {
+  const plain = estimateFeatures({ name: 'Song' }, ['pop']);
+  const acoustic = estimateFeatures({ name: 'Song (Acoustic)' }, ['pop']);
+  expect(acoustic.acousticness).toBeCloseTo(plain.acousticness + 0.3);
+  expect(acoustic.energy).toBeCloseTo(plain.energy - 0.15);
+  expect(estimateFeatures({ name: 'Song', explicit: true }, ['pop']).energy).toBeCloseTo(plain.energy + 0.05);
+});
+
+test('ranks tracks best first and drops those without features', () => {
+  const tracks = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+  const features = { a: { energy: 0.2 }, c: { energy: 0.9 } };
+  const ranked = rankTracks(tracks, features, { target_energy: 0.8 });
+  expect(ranked.map(r => r.track.id)).toEqual(['c', 'a']);
+  expect(ranked[0].score).toBeCloseTo(0.9);
+  expect(rankTracks(null, features, {})).toEqual([]);
+});
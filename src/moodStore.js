@@ -0,0 +1,107 @@
+// src/moodStore.js
+// Custom mood presets, kept in localStorage under 'custom_moods'.
+// A mood is { name, targets, seeds } where targets uses Spotify /recommendations tuneable keys
+// and seeds are optional pinned seeds (see generationOptions.js).
+
+import { normalizeSeeds } from './generationOptions';
+
+const STORAGE_KEY = 'custom_moods';
+
+// Slider definitions for the mood editor (tempo in BPM, everything else 0..1)
+export const MOOD_PARAMS = [
+  { key: 'target_valence', label: 'Valence', min: 0, max: 1, step: 0.05 },
+  { key: 'target_energy', label: 'Energy', min: 0, max: 1, step: 0.05 },
+  { key: 'target_danceability', label: 'Danceability', min: 0, max: 1, step: 0.05 },
+  { key: 'target_acousticness', label: 'Acousticness', min: 0, max: 1, step: 0.05 },
+  { key: 'target_instrumentalness', label: 'Instrumentalness', min: 0, max: 1, step: 0.05 },
+  { key: 'min_tempo', label: 'Min tempo', min: 40, max: 220, step: 1 },
+  { key: 'max_tempo', label: 'Max tempo', min: 40, max: 220, step: 1 },
+];
+
+export const DEFAULT_TARGETS = {
+  target_valence: 0.5,
+  target_energy: 0.5,
+  target_danceability: 0.5,
+  target_acousticness: 0.3,
+  target_instrumentalness: 0.1,
+  min_tempo: 80,
+  max_tempo: 140,
+};
+
+/* Keep only known keys, clamped to their slider range */
+function sanitizeTargets(targets) {
+  const out = {};
+  MOOD_PARAMS.forEach(({ key, min, max }) => {
+    const v = Number(targets?.[key]);
+    if (targets?.[key] !== undefined && targets?.[key] !== null && Number.isFinite(v)) {
+      out[key] = Math.min(max, Math.max(min, v));
+    }
+  });
+  return out;
+}
+
+function normalizeMood(mood) {
+  const name = typeof mood?.name === 'string' ? mood.name.trim().toLowerCase() : '';
+  if (!name) throw new Error('Mood name required.');
+  return { ...mood, name, targets: sanitizeTargets(mood.targets), seeds: normalizeSeeds(mood.seeds) };
+}
+
+function writeMoods(moods) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(moods));
+}
+
+export function getCustomMoods() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed.filter(m => m && typeof m.name === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+export function getCustomMood(name) {
+  if (typeof name !== 'string') return null;
+  const key = name.trim().toLowerCase();
+  return getCustomMoods().find(m => m.name === key) || null;
+}
+
+/**
+ * Save (or overwrite by name) a custom mood. reservedNames are rejected so a
+ * custom mood can never shadow a built-in one.
+ */
+export function saveCustomMood(mood, reservedNames = []) {
+  const clean = normalizeMood(mood);
+  if (reservedNames.map(n => n.toLowerCase()).includes(clean.name)) {
+    throw new Error(`"${clean.name}" is a built-in mood. Pick another name.`);
+  }
+  const moods = getCustomMoods().filter(m => m.name !== clean.name);
+  moods.push(clean);
+  writeMoods(moods);
+  return clean;
+}
+
+export function deleteCustomMood(name) {
+  const key = String(name || '').trim().toLowerCase();
+  writeMoods(getCustomMoods().filter(m => m.name !== key));
+}
+
+export function exportCustomMoods() {
+  return JSON.stringify({ version: 1, moods: getCustomMoods() }, null, 2);
+}
+
+/**
+ * Merge moods from an exported JSON string (or a bare array of moods).
+ * Returns the number of moods imported; invalid entries are skipped.
+ */
+export function importCustomMoods(json, reservedNames = []) {
+  let parsed;
+  try { parsed = JSON.parse(json); } catch { throw new Error('Invalid mood file: not valid JSON.'); }
+  const list = Array.isArray(parsed) ? parsed : parsed?.moods;
+  if (!Array.isArray(list)) throw new Error('Invalid mood file: no moods found.');
+
+  let count = 0;
+  list.forEach(m => {
+    try { saveCustomMood(m, reservedNames); count++; } catch (e) { console.warn('Skipping mood on import:', e?.message || e); }
+  });
+  return count;
+}
@@ -0,0 +1,85 @@
+// src/playbackSdk.js
+// Thin wrapper around the Spotify Web Playback SDK.
+// - loadPlaybackSdk(): resolves to the `Spotify` namespace (script injected once)
+// - setPlaybackSdkLoader(fn): swap the loader, e.g. for fakePlaybackSdk.js in tests
+// - connectPlayer(opts): creates + connects a Spotify.Player and resolves once it has a device id
+
+const SDK_URL = 'https://sdk.scdn.co/spotify-player.js';
+const READY_TIMEOUT_MS = 15000;
+const ERROR_EVENTS = ['initialization_error', 'authentication_error', 'account_error', 'playback_error'];
+
+let sdkPromise = null;
+
+function loadSdkScript() {
+  if (window.Spotify?.Player) return Promise.resolve(window.Spotify);
+  if (sdkPromise) return sdkPromise;
+
+  sdkPromise = new Promise((resolve, reject) => {
+    // the SDK calls this global once it has loaded
+    window.onSpotifyWebPlaybackSDKReady = () => resolve(window.Spotify);
+    const script = document.createElement('script');
+    script.src = SDK_URL;
+    script.async = true;
+    script.onerror = () => { sdkPromise = null; reject(new Error('Could not load the Spotify player.')); };
+    document.body.appendChild(script);
+  });
+  return sdkPromise;
+}
+
+let sdkLoader = loadSdkScript;
+
+export function setPlaybackSdkLoader(loader) {
+  sdkLoader = loader || loadSdkScript;
+}
+
+export function loadPlaybackSdk() {
+  return sdkLoader();
+}
+
+/**
+ * Create and connect an in-browser player.
+ * opts:
+ * - name:           device name shown in Spotify Connect
+ * - getOAuthToken:  async () => access token (called by the SDK whenever it needs one)
+ * - onStateChange:  (state | null) => void, the SDK's player_state_changed payload
+ * - onError:        (Error) => void for initialization/authentication/account/playback errors
+ * - readyTimeoutMs: how long to wait for the device id (default 15 s)
+ * Resolves to { player, deviceId }. On failure the player is disconnected again.
+ */
+export async function connectPlayer({ name = 'MoodPlayl.ist', getOAuthToken, onStateChange, onError, readyTimeoutMs = READY_TIMEOUT_MS } = {}) {
+  const Spotify = await loadPlaybackSdk();
+
+  const player = new Spotify.Player({
+    name,
+    volume: 0.8,
+    getOAuthToken: (cb) => {
+      Promise.resolve()
+        .then(() => getOAuthToken())
+        .then(cb)
+        .catch(err => onError && onError(err));
+    },
+  });
+
+  ERROR_EVENTS.forEach(evt => {
+    player.addListener(evt, ({ message }) => onError && onError(new Error(`${evt.replace(/_/g, ' ')}: ${message}`)));
+  });
+  player.addListener('player_state_changed', state => onStateChange && onStateChange(state));
+
+  const deviceId = await new Promise((resolve, reject) => {
+    // a player that failed to start must not turn up later as a Connect device
+    const fail = (err) => {
+      clearTimeout(timer);
+      ERROR_EVENTS.concat('player_state_changed', 'ready').forEach(evt => player.removeListener(evt));
+      player.disconnect();
+      reject(err);
+    };
+    const timer = setTimeout(() => fail(new Error('The Spotify player did not become ready.')), readyTimeoutMs);
+    player.addListener('ready', ({ device_id }) => { clearTimeout(timer); resolve(device_id); });
+    player.connect().then(
+      ok => { if (!ok) fail(new Error('The Spotify player could not connect.')); },
+      fail
+    );
+  });
+
+  return { player, deviceId };
+}
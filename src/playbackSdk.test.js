@@ -0,0 +1,48 @@
+import { connectPlayer, setPlaybackSdkLoader } from './playbackSdk';
+import { createFakeSpotifySdk } from './fakePlaybackSdk';
+
+afterEach(() => setPlaybackSdkLoader(null));
+
+test('connects through a swapped-in fake SDK and reports state changes', async () => {
+  setPlaybackSdkLoader(() => Promise.resolve(createFakeSpotifySdk({ deviceId: 'dev-1' })));
+  const getOAuthToken = jest.fn().mockResolvedValue('token-123');
+  const states = [];
+
+  const { player, deviceId } = await connectPlayer({ getOAuthToken, onStateChange: s => states.push(s) });
+
+  expect(deviceId).toBe('dev-1');
+  expect(getOAuthToken).toHaveBeenCalled();
+
+  player.__load(['spotify:track:a', 'spotify:track:b']);
+  await player.nextTrack();
+  expect(states[states.length - 1].track_window.current_track.uri).toBe('spotify:track:b');
+});
+
+test('rejects when the player cannot connect', async () => {
+  setPlaybackSdkLoader(() => Promise.resolve(createFakeSpotifySdk({ connectOk: false })));
+  await expect(connectPlayer({ getOAuthToken: async () => 't' })).rejects.toThrow('could not connect');
+});
+
+test('a player that does not connect or become ready is disconnected and loses its listeners', async () => {
+  const created = [];
+  const sdkWith = (options, connect) => {
+    const sdk = createFakeSpotifySdk(options);
+    sdk.Player = class extends sdk.Player {
+      constructor(opts) { super(opts); created.push(this); }
+      connect() { return connect ? connect.call(this) : super.connect(); }
+    };
+    return sdk;
+  };
+
+  setPlaybackSdkLoader(() => Promise.resolve(sdkWith({ connectOk: false })));
+  await expect(connectPlayer({ getOAuthToken: async () => 't' })).rejects.toThrow('could not connect');
+
+  // connects but never sends 'ready'
+  setPlaybackSdkLoader(() => Promise.resolve(sdkWith({}, function connect() { this.connected = true; return Promise.resolve(true); })));
+  await expect(connectPlayer({ getOAuthToken: async () => 't', readyTimeoutMs: 10 })).rejects.toThrow('did not become ready');
+
+  created.forEach(player => {
+    expect(player.connected).toBe(false);
+    expect(player.listeners).toEqual({});
+  });
+});
@@ -0,0 +1,177 @@
+// src/playlistFormats.js
+// Track-list export (CSV, JSON, M3U, XSPF) and import (CSV, JSON).
+// - exportTracks(tracks, format, { name }) -> file contents; tracks are track summaries
+//   (see spotifyService.toTrackSummary)
+// - parseTrackList(text, filename) -> [{ title, artists, album, isrc, uri, durationMs }]
+// Pure: resolving imported entries to Spotify tracks lives in spotifyService.matchImportedTracks.
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', ext: 'csv', mime: 'text/csv' },
+  json: { label: 'JSON', ext: 'json', mime: 'application/json' },
+  m3u: { label: 'M3U', ext: 'm3u', mime: 'audio/x-mpegurl' },
+  xspf: { label: 'XSPF', ext: 'xspf', mime: 'application/xspf+xml' },
+};
+
+const CSV_COLUMNS = ['title', 'artists', 'album', 'isrc', 'duration_ms', 'spotify_uri'];
+
+// Multiple artists share one CSV cell
+const ARTIST_SEPARATOR = '; ';
+
+/* ---------- Export ---------- */
+
+const csvCell = (value) => {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const xmlEscape = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+
+const openUrl = (uri) => (uri?.startsWith('spotify:track:') ? `https://open.spotify.com/track/${uri.split(':').pop()}` : uri || '');
+
+function toCsv(tracks) {
+  const rows = tracks.map(t => [t.name, (t.artists || []).join(ARTIST_SEPARATOR), t.album, t.isrc, t.durationMs, t.uri]);
+  return [CSV_COLUMNS, ...rows].map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function toJson(tracks, name) {
+  return JSON.stringify({
+    version: 1,
+    name: name || null,
+    tracks: tracks.map(t => ({ title: t.name, artists: t.artists || [], album: t.album || '', isrc: t.isrc || null, durationMs: t.durationMs || 0, uri: t.uri })),
+  }, null, 2);
+}
+
+function toM3u(tracks, name) {
+  const lines = ['#EXTM3U'];
+  if (name) lines.push(`#PLAYLIST:${name}`);
+  tracks.forEach(t => {
+    lines.push(`#EXTINF:${Math.round((t.durationMs || 0) / 1000) || -1},${(t.artists || []).join(', ')} - ${t.name}`);
+    lines.push(openUrl(t.uri));
+  });
+  return lines.join('\n') + '\n';
+}
+
+function toXspf(tracks, name) {
+  const items = tracks.map(t => [
+    '    <track>',
+    `      <location>${xmlEscape(openUrl(t.uri))}</location>`,
+    `      <identifier>${xmlEscape(t.uri)}</identifier>`,
+    `      <title>${xmlEscape(t.name)}</title>`,
+    `      <creator>${xmlEscape((t.artists || []).join(', '))}</creator>`,
+    t.album ? `      <album>${xmlEscape(t.album)}</album>` : null,
+    t.durationMs ? `      <duration>${t.durationMs}</duration>` : null,
+    '    </track>',
+  ].filter(Boolean).join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    name ? `  <title>${xmlEscape(name)}</title>` : null,
+    '  <trackList>',
+    ...items,
+    '  </trackList>',
+    '</playlist>',
+  ].filter(line => line !== null).join('\n') + '\n';
+}
+
+export function exportTracks(tracks, format, { name } = {}) {
+  const list = (tracks || []).filter(t => t?.uri);
+  switch (format) {
+    case 'csv': return toCsv(list);
+    case 'json': return toJson(list, name);
+    case 'm3u': return toM3u(list, name);
+    case 'xspf': return toXspf(list, name);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/* ---------- Import ---------- */
+
+/* RFC 4180-ish: quoted cells, doubled quotes, commas and newlines inside quotes */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+// Header aliases accepted on import (lowercased, spaces/underscores removed)
+const HEADER_ALIASES = {
+  title: ['title', 'name', 'track', 'trackname', 'song'],
+  artists: ['artists', 'artist', 'artistname', 'artistnames'],
+  album: ['album', 'albumname'],
+  isrc: ['isrc'],
+  durationMs: ['durationms', 'duration'],
+  uri: ['spotifyuri', 'uri', 'trackuri'],
+};
+
+const headerKey = (h) => {
+  const clean = String(h || '').toLowerCase().replace(/[\s_()-]/g, '');
+  return Object.keys(HEADER_ALIASES).find(k => HEADER_ALIASES[k].includes(clean)) || null;
+};
+
+const splitArtists = (value) => (Array.isArray(value) ? value : String(value || '').split(';'))
+  .map(a => String(a).trim()).filter(Boolean);
+
+function toEntry(raw) {
+  const uri = String(raw.uri || '').trim();
+  const entry = {
+    title: String(raw.title || '').trim(),
+    artists: splitArtists(raw.artists),
+    album: String(raw.album || '').trim(),
+    isrc: String(raw.isrc || '').trim().toUpperCase() || null,
+    uri: /^spotify:track:[A-Za-z0-9]+$/.test(uri) ? uri : null,
+    durationMs: Number(raw.durationMs) || 0,
+  };
+  return entry.title || entry.isrc || entry.uri ? entry : null;
+}
+
+/**
+ * Parse an imported track list. JSON may be our export ({ tracks: [...] }) or a bare array;
+ * CSV needs a header row (title/artist/album/isrc/uri columns, common aliases accepted).
+ * Throws on unreadable input; entries without a title, ISRC or URI are dropped.
+ */
+export function parseTrackList(text, filename = '') {
+  const body = String(text || '').trim();
+  if (!body) throw new Error('The file is empty.');
+
+  if (/\.json$/i.test(filename) || /^[[{]/.test(body)) {
+    let data;
+    try { data = JSON.parse(body); } catch { throw new Error('The file is not valid JSON.'); }
+    const list = Array.isArray(data) ? data : data?.tracks;
+    if (!Array.isArray(list)) throw new Error('No track list found in the JSON file.');
+    return list.map(t => toEntry({ ...t, title: t?.title ?? t?.name, artists: t?.artists ?? t?.artist })).filter(Boolean);
+  }
+
+  const [header, ...rows] = parseCsv(body);
+  const keys = (header || []).map(headerKey);
+  if (!keys.includes('title') && !keys.includes('isrc') && !keys.includes('uri')) {
+    throw new Error('The CSV needs a header row with a title, ISRC or Spotify URI column.');
+  }
+  return rows.map(cells => {
+    const raw = {};
+    keys.forEach((k, i) => { if (k && raw[k] === undefined) raw[k] = cells[i]; });
+    return toEntry(raw);
+  }).filter(Boolean);
+}
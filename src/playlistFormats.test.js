@@ -0,0 +1,39 @@
+import { exportTracks, parseTrackList, parseCsv } from './playlistFormats';
+
+const tracks = [
+  { id: '1', uri: 'spotify:track:1', name: 'Hello, "World"', artists: ['A', 'B'], album: 'Album & Co', isrc: 'USAAA0000001', durationMs: 200000 },
+  { id: '2', uri: 'spotify:track:2', name: 'Plain', artists: ['C'], album: '', isrc: null, durationMs: 0 },
+];
+
+test('CSV export round-trips through import', () => {
+  const csv = exportTracks(tracks, 'csv');
+  expect(csv.split('\r\n')[0]).toBe('title,artists,album,isrc,duration_ms,spotify_uri');
+  expect(csv).toContain('"Hello, ""World"""');
+  const entries = parseTrackList(csv, 'list.csv');
+  expect(entries).toEqual([
+    { title: 'Hello, "World"', artists: ['A', 'B'], album: 'Album & Co', isrc: 'USAAA0000001', uri: 'spotify:track:1', durationMs: 200000 },
+    { title: 'Plain', artists: ['C'], album: '', isrc: null, uri: 'spotify:track:2', durationMs: 0 },
+  ]);
+});
+
+test('JSON export round-trips through import', () => {
+  const entries = parseTrackList(exportTracks(tracks, 'json', { name: 'Mine' }), 'list.json');
+  expect(entries.map(e => e.uri)).toEqual(['spotify:track:1', 'spotify:track:2']);
+  expect(entries[0].artists).toEqual(['A', 'B']);
+});
+
+test('M3U and XSPF exports', () => {
+  const m3u = exportTracks(tracks, 'm3u', { name: 'Mine' });
+  expect(m3u.split('\n').slice(0, 4)).toEqual(['#EXTM3U', '#PLAYLIST:Mine', '#EXTINF:200,A, B - Hello, "World"', 'https://open.spotify.com/track/1']);
+  const xspf = exportTracks(tracks, 'xspf', { name: 'Mine' });
+  expect(xspf).toContain('<title>Hello, &quot;World&quot;</title>');
+  expect(xspf).toContain('<album>Album &amp; Co</album>');
+  expect((xspf.match(/<track>/g) || []).length).toBe(2);
+});
+
+test('CSV import accepts header aliases and skips rows without a title, ISRC or URI', () => {
+  const entries = parseTrackList('Track Name,Artist Name(s),ISRC\nSong,Someone,usbbb0000002\n,,\n,Nobody,\n');
+  expect(entries).toEqual([{ title: 'Song', artists: ['Someone'], album: '', isrc: 'USBBB0000002', uri: null, durationMs: 0 }]);
+  expect(parseCsv('a,"b\nc"\r\nd,e')).toEqual([['a', 'b\nc'], ['d', 'e']]);
+  expect(() => parseTrackList('foo,bar\n1,2')).toThrow(/header row/);
+});
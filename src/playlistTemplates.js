@@ -0,0 +1,71 @@
+// src/playlistTemplates.js
+// Playlist names and descriptions from templates, filled in from a preview.
+// Placeholders: {mood} {Mood} {date} {params} {length} {minutes} {artists} {people}.
+// Text in [brackets] is dropped when a placeholder inside it comes out empty,
+// e.g. "[With {artists}.]" disappears when there are no artists to name.
+
+export const DEFAULT_NAME_TEMPLATE = 'MoodPlayl.ist: {Mood} Vibe';
+export const DEFAULT_DESCRIPTION_TEMPLATE = '{Mood} mix from {date}, {length} tracks. [{params}.] [With {artists}.]';
+export const GROUP_DESCRIPTION_TEMPLATE = 'Group mix for {people} from {date}, {length} tracks. [{params}.]';
+
+// Spotify's limits
+export const MAX_NAME_LENGTH = 100;
+export const MAX_DESCRIPTION_LENGTH = 300;
+
+const capitalize = (s) => (s ? s.charAt(0).toUpperCase() + s.slice(1) : s);
+
+/* Readable summary of the targets, e.g. "energy 0.4, valence 0.7, up to 110 bpm" */
+export function describeTargets(targets) {
+  if (!targets) return '';
+  const parts = [];
+  if (targets.target_energy !== undefined) parts.push(`energy ${targets.target_energy}`);
+  if (targets.target_valence !== undefined) parts.push(`valence ${targets.target_valence}`);
+  if (targets.min_tempo !== undefined && targets.max_tempo !== undefined) parts.push(`${targets.min_tempo}-${targets.max_tempo} bpm`);
+  else if (targets.min_tempo !== undefined) parts.push(`from ${targets.min_tempo} bpm`);
+  else if (targets.max_tempo !== undefined) parts.push(`up to ${targets.max_tempo} bpm`);
+  return parts.join(', ');
+}
+
+/* Seed artists the user picked, else the three artists that appear most in the tracks */
+function featuredArtists(preview) {
+  const seeded = (preview.options?.seeds || []).filter(s => s.type === 'artist').map(s => s.name);
+  if (seeded.length) return seeded;
+  const counts = new Map();
+  (preview.tracks || []).forEach(t => (t.artists || []).slice(0, 1).forEach(a => counts.set(a, (counts.get(a) || 0) + 1)));
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([name]) => name);
+}
+
+/* Placeholder values for a preview ({ mood, targets, tracks, options, arc }) */
+export function templateValues(preview, now = new Date()) {
+  const mood = String(preview.mood || 'custom');
+  const totalMs = (preview.tracks || []).reduce((sum, t) => sum + (t.durationMs || 0), 0);
+  const arc = preview.arc || preview.options?.arc;
+  return {
+    mood,
+    Mood: capitalize(mood),
+    date: now.toISOString().slice(0, 10),
+    params: arc ? `Energy arc from ${arc.start} to ${arc.end}` : capitalize(describeTargets(preview.targets)),
+    length: String((preview.tracks || []).length),
+    minutes: String(Math.round(totalMs / 60000)),
+    artists: featuredArtists(preview).join(', '),
+    people: (preview.options?.group?.participants || []).map(p => p.name).join(', '),
+  };
+}
+
+export function renderTemplate(template, values) {
+  const fill = (text) => text.replace(/\{(\w+)\}/g, (_, key) => values[key] ?? '');
+  const hasEmpty = (text) => Array.from(text.matchAll(/\{(\w+)\}/g)).some(([, key]) => !values[key]);
+  const kept = String(template || '').replace(/\[([^\]]*)\]/g, (_, inner) => (hasEmpty(inner) ? '' : inner));
+  return fill(kept).replace(/\s+/g, ' ').trim();
+}
+
+/* { name, description } for a preview, within Spotify's length limits; group previews get the group description */
+export function playlistMetadata(preview, options = {}) {
+  const { now, nameTemplate = DEFAULT_NAME_TEMPLATE } = options;
+  const descriptionTemplate = options.descriptionTemplate || (preview.options?.group ? GROUP_DESCRIPTION_TEMPLATE : DEFAULT_DESCRIPTION_TEMPLATE);
+  const values = templateValues(preview, now);
+  return {
+    name: renderTemplate(nameTemplate, values).slice(0, MAX_NAME_LENGTH),
+    description: renderTemplate(descriptionTemplate, values).slice(0, MAX_DESCRIPTION_LENGTH),
+  };
+}
@@ -0,0 +1,32 @@
+import { renderTemplate, playlistMetadata, describeTargets, MAX_DESCRIPTION_LENGTH } from './playlistTemplates';
+
+const track = (name, artist) => ({ uri: `spotify:track:${name}`, name, artists: [artist], durationMs: 180000 });
+
+test('fills placeholders and drops optional groups with empty values', () => {
+  const values = { Mood: 'Chill', artists: '', params: 'Energy 0.4' };
+  expect(renderTemplate('{Mood} mix. [{params}.] [With {artists}.]', values)).toBe('Chill mix. Energy 0.4.');
+  expect(renderTemplate('{Mood} {unknown}!', values)).toBe('Chill !');
+});
+
+test('names and describes a preview from its mood, date, targets and artists', () => {
+  const preview = {
+    mood: 'chill',
+    targets: { target_energy: 0.4, target_valence: 0.7, max_tempo: 110 },
+    tracks: [track('a', 'Low Orbit'), track('b', 'Mara Quill'), track('c', 'Low Orbit')],
+    options: { seeds: [] },
+  };
+  const meta = playlistMetadata(preview, { now: new Date('2026-03-01T10:00:00Z') });
+  expect(meta.name).toBe('MoodPlayl.ist: Chill Vibe');
+  expect(meta.description).toBe('Chill mix from 2026-03-01, 3 tracks. Energy 0.4, valence 0.7, up to 110 bpm. With Low Orbit, Mara Quill.');
+
+  const seeded = playlistMetadata({ ...preview, options: { seeds: [{ type: 'artist', id: 'x', name: 'Neon Tide' }] } }, { now: new Date('2026-03-01T10:00:00Z') });
+  expect(seeded.description).toMatch(/With Neon Tide\.$/);
+});
+
+test('arcs are described by their moods and long text is cut to Spotify limits', () => {
+  const arc = { mood: 'chill → pumped', targets: null, tracks: [], arc: { start: 'chill', end: 'pumped' } };
+  expect(playlistMetadata(arc).description).toContain('Energy arc from chill to pumped.');
+  expect(describeTargets({ min_tempo: 120 })).toBe('from 120 bpm');
+  const long = playlistMetadata(arc, { descriptionTemplate: 'x'.repeat(400) });
+  expect(long.description).toHaveLength(MAX_DESCRIPTION_LENGTH);
+});
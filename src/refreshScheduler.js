@@ -0,0 +1,349 @@
+// src/refreshScheduler.js
+// Scheduled auto-refresh of mood playlists ("daily chill", "Monday pumped").
+// A schedule re-runs generation for a mood preset on a cron-like schedule (see cronSchedule.js)
+// and replaces the tracks of the same Spotify playlist, keeping some of the user's liked tracks
+// from it and avoiding tracks used in the last few runs.
+// - schedules are kept in localStorage under 'refresh_schedules'
+// - startRefreshScheduler() runs what is due once a minute while the app is open, and on start so
+//   runs missed while it was closed catch up (once, not once per missed slot). Runs are serialized
+//   across tabs with Web Locks where available.
+// - registerPeriodicRefresh() adds public/refresh-sw.js with a periodic background sync where the
+//   browser supports it. The worker cannot refresh by itself (the session lives in the page), so
+//   it wakes the open tabs, which run what is due.
+// - a schedule whose playlist was deleted or unfollowed is paused and forgets the playlist; resumed,
+//   it starts a new one
+//
+// Schedule: { id, mood, options, cron, keepPercent, avoidRuns, enabled, playlistId, playlistName,
+//   historyId, createdAt, lastRunAt, nextRunAt, lastError, recentUris: [[uri, ...] per run, newest first] }
+
+import { generatePlaylist, getPlaylistTracks, getLikedTrackUris, isFollowingPlaylist } from './spotifyService';
+import { addHistoryEntry, updateHistoryEntry } from './historyStore';
+import { getCustomMood } from './moodStore';
+import { normalizeGenerationOptions } from './generationOptions';
+import { nextRun } from './cronSchedule';
+import { AuthExpiredError, NotFoundError, isAbortError } from './spotifyErrors';
+
+const STORAGE_KEY = 'refresh_schedules';
+const LOCK_NAME = 'moodplaylist_schedule_run';
+const SYNC_TAG = 'moodplaylist-refresh';
+const DUE_MESSAGE = 'moodplaylist-refresh-due';
+const CHECK_INTERVAL_MS = 60 * 1000;
+const PLAYLIST_GONE = 'The playlist is no longer in your Spotify library, so this schedule was paused. Resume it to start a new playlist.';
+
+// at least one track per refresh is new
+export const MAX_KEEP_PERCENT = 90;
+export const MAX_AVOID_RUNS = 10;
+
+const clampInt = (v, min, max, fallback) => {
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/* ---------- Store ---------- */
+
+const listeners = new Set();
+
+function readAll() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed.filter(s => s && s.id && s.mood && s.cron) : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeAll(schedules) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(schedules));
+  listeners.forEach(l => l(schedules));
+}
+
+export function listSchedules() {
+  return readAll();
+}
+
+export function getSchedule(id) {
+  return readAll().find(s => s.id === id) || null;
+}
+
+/**
+ * Create or update a schedule ({ id } updates). Throws on a bad cron expression.
+ * nextRunAt is recomputed for new schedules and when the cron changes or a schedule is resumed.
+ */
+export function saveSchedule(input, now = new Date()) {
+  const all = readAll();
+  const existing = all.find(s => s.id === input.id);
+  const schedule = {
+    id: newId(),
+    createdAt: now.getTime(),
+    playlistId: null,
+    playlistName: null,
+    historyId: null,
+    lastRunAt: null,
+    lastError: null,
+    recentUris: [],
+    ...existing,
+    ...input,
+  };
+  schedule.mood = String(schedule.mood || '').toLowerCase();
+  if (!schedule.mood) throw new Error('A schedule needs a mood.');
+  schedule.options = normalizeGenerationOptions(schedule.options);
+  schedule.keepPercent = clampInt(schedule.keepPercent, 0, MAX_KEEP_PERCENT, 0);
+  schedule.avoidRuns = clampInt(schedule.avoidRuns, 0, MAX_AVOID_RUNS, 3);
+  schedule.enabled = schedule.enabled !== false;
+  const resumed = existing && !existing.enabled && schedule.enabled;
+  if (!existing || existing.cron !== schedule.cron || resumed || !schedule.nextRunAt) {
+    const next = nextRun(schedule.cron, now);
+    if (!next) throw new Error('That schedule never runs.');
+    schedule.nextRunAt = next.getTime();
+  }
+  writeAll(existing ? all.map(s => (s.id === schedule.id ? schedule : s)) : all.concat(schedule));
+  return schedule;
+}
+
+export function deleteSchedule(id) {
+  writeAll(readAll().filter(s => s.id !== id));
+}
+
+/* listener(schedules) on every change, from this tab or another; returns an unsubscribe function */
+export function subscribeSchedules(listener) {
+  const onStorage = (e) => { if (e.key === STORAGE_KEY) listener(readAll()); };
+  listeners.add(listener);
+  window.addEventListener('storage', onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+}
+
+/* ---------- Running ---------- */
+
+// best-effort, like the history written by a manual save
+async function recordRun(schedule, res) {
+  const entry = {
+    mood: schedule.mood,
+    targets: res.preview.targets || null,
+    source: res.preview.source,
+    options: res.preview.options,
+    name: res.name,
+    playlistId: res.id,
+    playlistUrl: res.url,
+    tracks: res.preview.tracks,
+  };
+  try {
+    if (schedule.historyId) {
+      await updateHistoryEntry(schedule.historyId, entry);
+      return schedule.historyId;
+    }
+    return (await addHistoryEntry(entry)).id;
+  } catch (err) {
+    console.warn('Could not record the scheduled refresh in history:', err?.message || err);
+    return schedule.historyId;
+  }
+}
+
+/**
+ * Run one schedule now: the first run creates the playlist, later runs replace its tracks.
+ * Liked tracks from the current playlist are kept (up to keepPercent of the length) and the tracks
+ * of the last avoidRuns runs are not picked again. The outcome (or error) is saved on the schedule.
+ * When the playlist was deleted or unfollowed the schedule is paused and the playlist forgotten
+ * (rejects with a NotFoundError saying so).
+ * options: { debugCallback, signal, now }. Resolves to { schedule, result } (savePlaylist's result).
+ */
+export async function runSchedule(token, id, options = {}) {
+  const { debugCallback, signal, now = new Date() } = options;
+  const schedule = getSchedule(id);
+  if (!schedule) throw new Error('Schedule not found.');
+  const opts = normalizeGenerationOptions(schedule.options);
+
+  try {
+    let keepTracks = [];
+    let excludeUris = schedule.avoidRuns ? (schedule.recentUris || []).flat() : [];
+    if (schedule.playlistId) {
+      // Spotify keeps serving (and accepting writes to) an unfollowed playlist, so ask
+      if (!(await isFollowingPlaylist(token, schedule.playlistId, debugCallback, signal))) {
+        throw new NotFoundError('The playlist was unfollowed.', { status: 404, endpoint: `/playlists/${schedule.playlistId}` });
+      }
+      const current = await getPlaylistTracks(token, schedule.playlistId, debugCallback, signal);
+      if (schedule.avoidRuns) excludeUris = excludeUris.concat(current.map(t => t.uri));
+      if (schedule.keepPercent) {
+        let liked = [];
+        try {
+          liked = await getLikedTrackUris(token, current.map(t => t.uri), debugCallback, signal);
+        } catch (err) {
+          if (isAbortError(err)) throw err;
+          console.warn('Could not check liked tracks; refreshing without keeping any:', err?.message || err);
+        }
+        const keep = new Set(liked);
+        keepTracks = current.filter(t => keep.has(t.uri)).slice(0, Math.floor((opts.length * schedule.keepPercent) / 100));
+      }
+    }
+
+    // custom mood presets bring their saved seeds unless the schedule pins its own
+    const seeds = opts.seeds.length ? opts.seeds : getCustomMood(schedule.mood)?.seeds;
+    const result = await generatePlaylist(token, schedule.mood, {
+      ...opts,
+      seeds,
+      keepTracks,
+      excludeUris,
+      mode: schedule.playlistId ? 'replace' : 'create',
+      playlistId: schedule.playlistId,
+      debugCallback,
+      signal,
+    });
+
+    const kept = new Set(keepTracks.map(t => t.uri));
+    const fresh = result.preview.tracks.map(t => t.uri).filter(u => !kept.has(u));
+    const saved = saveSchedule({
+      ...getSchedule(id),
+      playlistId: result.id,
+      playlistName: result.name,
+      historyId: await recordRun(schedule, result),
+      lastRunAt: now.getTime(),
+      nextRunAt: nextRun(schedule.cron, now)?.getTime() ?? null,
+      lastError: null,
+      recentUris: [fresh].concat(schedule.recentUris || []).slice(0, Math.max(1, schedule.avoidRuns)),
+    }, now);
+    return { schedule: saved, result };
+  } catch (err) {
+    const gone = err instanceof NotFoundError && schedule.playlistId
+      && String(err.endpoint || '').startsWith(`/playlists/${schedule.playlistId}`);
+    if (gone && getSchedule(id)) {
+      saveSchedule({
+        ...getSchedule(id),
+        enabled: false,
+        playlistId: null,
+        playlistName: null,
+        historyId: null,
+        lastRunAt: now.getTime(),
+        lastError: PLAYLIST_GONE,
+      }, now);
+      throw new NotFoundError(PLAYLIST_GONE, { status: 404, endpoint: err.endpoint, cause: err });
+    }
+    if (!isAbortError(err) && getSchedule(id)) {
+      // move on to the next slot rather than retrying every minute
+      saveSchedule({
+        ...getSchedule(id),
+        lastRunAt: now.getTime(),
+        nextRunAt: nextRun(schedule.cron, now)?.getTime() ?? null,
+        lastError: err?.message || String(err),
+      }, now);
+    }
+    throw err;
+  }
+}
+
+function withRunLock(fn) {
+  const locks = window.navigator?.locks;
+  return locks?.request ? locks.request(LOCK_NAME, fn) : fn();
+}
+
+let running = null;
+
+/**
+ * Run every enabled schedule whose nextRunAt has passed, one after the other.
+ * A failing schedule does not stop the others, except for an expired session.
+ * Resolves to [{ id, result } | { id, error }].
+ */
+export function runDueSchedules(token, options = {}) {
+  if (running) return running;
+  running = withRunLock(async () => {
+    const now = options.now || new Date();
+    // re-read inside the lock: another tab may have just run them
+    const due = readAll().filter(s => s.enabled && s.nextRunAt && s.nextRunAt <= now.getTime());
+    const outcomes = [];
+    for (const s of due) {
+      try {
+        const { result } = await runSchedule(token, s.id, { ...options, now });
+        outcomes.push({ id: s.id, result });
+      } catch (err) {
+        if (err instanceof AuthExpiredError || isAbortError(err)) throw err;
+        console.warn(`Scheduled refresh of ${s.mood} failed:`, err?.message || err);
+        outcomes.push({ id: s.id, error: err });
+      }
+    }
+    return outcomes;
+  }).finally(() => { running = null; });
+  return running;
+}
+
+/* ---------- Background ---------- */
+
+let registrationPromise = null;
+
+/* public/refresh-sw.js, registered once per page; resolves to the registration or null */
+function registerRefreshWorker() {
+  const sw = window.navigator?.serviceWorker;
+  if (!sw) return Promise.resolve(null);
+  if (!registrationPromise) {
+    registrationPromise = sw.register(`${process.env.PUBLIC_URL}/refresh-sw.js`)
+      .catch(err => { registrationPromise = null; throw err; });
+  }
+  return registrationPromise;
+}
+
+/**
+ * Register (enabled = true) or drop the periodic background sync. Resolves to whether the browser
+ * will wake the app on its own; without support schedules only run while the app is open.
+ */
+export async function registerPeriodicRefresh(enabled = true) {
+  const registration = await registerRefreshWorker();
+  if (!registration?.periodicSync) return false;
+  if (!enabled) {
+    await registration.periodicSync.unregister(SYNC_TAG);
+    return false;
+  }
+  const permission = await window.navigator.permissions?.query({ name: 'periodic-background-sync' }).catch(() => null);
+  if (permission?.state !== 'granted') return false;
+  // the browser decides the real interval (often no more than daily); runs catch up when it fires
+  await registration.periodicSync.register(SYNC_TAG, { minInterval: 60 * 60 * 1000 });
+  return true;
+}
+
+/**
+ * Keep running due schedules while the app is open: now, every minute, when the tab becomes
+ * visible again and when the service worker says a periodic sync fired.
+ * options: { getToken: () => access token or null, debugCallback, onRun(outcomes), intervalMs }.
+ * Returns a stop function.
+ */
+export function startRefreshScheduler(options) {
+  const { getToken, debugCallback, onRun, intervalMs = CHECK_INTERVAL_MS } = options;
+
+  const tick = () => {
+    const token = getToken();
+    if (!token || !readAll().some(s => s.enabled)) return;
+    runDueSchedules(token, { debugCallback })
+      .then(outcomes => { if (outcomes.length && onRun) onRun(outcomes); })
+      .catch(err => console.warn('Scheduled refresh stopped:', err?.message || err));
+  };
+
+  // the periodic sync only changes when schedules get enabled or all get paused/deleted
+  let backgroundEnabled = null;
+  const syncBackground = (schedules = readAll()) => {
+    const enabled = schedules.some(s => s.enabled);
+    if (enabled === backgroundEnabled) return;
+    backgroundEnabled = enabled;
+    registerPeriodicRefresh(enabled).catch(err => {
+      backgroundEnabled = null;
+      console.warn('Background refresh unavailable:', err?.message || err);
+    });
+  };
+
+  const onMessage = (e) => { if (e.data?.type === DUE_MESSAGE) tick(); };
+  const onVisible = () => { if (document.visibilityState === 'visible') tick(); };
+
+  const timer = setInterval(tick, intervalMs);
+  const unsubscribe = subscribeSchedules(syncBackground);
+  window.navigator?.serviceWorker?.addEventListener('message', onMessage);
+  document.addEventListener('visibilitychange', onVisible);
+  syncBackground();
+  tick();
+
+  return () => {
+    clearInterval(timer);
+    unsubscribe();
+    window.navigator?.serviceWorker?.removeEventListener('message', onMessage);
+    document.removeEventListener('visibilitychange', onVisible);
+  };
+}
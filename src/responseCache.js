@@ -0,0 +1,137 @@
+// src/responseCache.js
+// Cache for Spotify GETs that barely change within a session (profile, top items, audio features,
+// artist genres, genre seeds), used by spotifyFetch.
+// - per-endpoint TTLs (TTL_RULES); other endpoints are only cached when the caller asks (paginate)
+// - expired entries that came with an ETag are revalidated with If-None-Match; a 304 renews them
+// - memory first, backed by IndexedDB ('moodplaylist_cache' db, 'responses' store) so a reload
+//   keeps them. Only with the shared 'local' token storage: per-tab sessions may be different
+//   accounts, so those keep their cache in memory.
+// - configureResponseCache({ persist }): true / false forces IndexedDB on or off (demo mode), null
+//   goes back to following the token storage
+// - cleared with the session (tokenManager.clearSession: logout, another tab's logout, a refresh
+//   that failed) and on every login
+
+import { getConfig } from './appConfig';
+
+const DB_NAME = 'moodplaylist_cache';
+const STORE = 'responses';
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+// expired entries are kept this long for ETag revalidation, then pruned
+const KEEP_EXPIRED_MS = DAY;
+const MAX_MEMORY_ENTRIES = 300;
+
+// [endpoint path pattern, TTL]
+const TTL_RULES = [
+  [/^\/me$/, HOUR],
+  [/^\/me\/top\//, 6 * HOUR],
+  [/^\/audio-features$/, 7 * DAY],
+  [/^\/artists$/, DAY],
+  [/^\/recommendations\/available-genre-seeds$/, DAY],
+];
+
+/* TTL in ms for an endpoint path (no query, no /v1), 0 when it is not cached by default */
+export function cacheTtlFor(path) {
+  const rule = TTL_RULES.find(([re]) => re.test(path));
+  return rule ? rule[1] : 0;
+}
+
+/* ---------- IndexedDB ---------- */
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser.'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'key' });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.then(pruneExpired).catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+let persistOverride = null;
+
+export function configureResponseCache({ persist } = {}) {
+  if (persist !== undefined) persistOverride = persist;
+}
+
+// without IndexedDB (some private windows) the cache just stays in memory
+const persistent = () => (persistOverride ?? getConfig().tokenStorage === 'local') && typeof indexedDB !== 'undefined';
+
+async function withStore(mode, fn) {
+  if (!persistent()) return undefined;
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function pruneExpired(db) {
+  const tx = db.transaction(STORE, 'readwrite');
+  const req = tx.objectStore(STORE).openCursor();
+  req.onsuccess = () => {
+    const cursor = req.result;
+    if (!cursor) return;
+    if (cursor.value.expiresAt + KEEP_EXPIRED_MS < Date.now()) cursor.delete();
+    cursor.continue();
+  };
+}
+
+/* ---------- Entries ---------- */
+// entry: { key, body, etag, storedAt, expiresAt }
+
+const memory = new Map();
+// reads wait for a running clear, so nothing from the old session comes back out of IndexedDB
+let clearing = Promise.resolve();
+
+function remember(entry) {
+  memory.delete(entry.key);
+  memory.set(entry.key, entry);
+  if (memory.size > MAX_MEMORY_ENTRIES) memory.delete(memory.keys().next().value);
+}
+
+/* The stored entry for key (fresh or not), or null. Storage errors count as a miss. */
+export async function readCachedResponse(key) {
+  if (memory.has(key)) return memory.get(key);
+  await clearing;
+  try {
+    const entry = await withStore('readonly', store => store.get(key));
+    if (!entry) return null;
+    remember(entry);
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+export async function writeCachedResponse(key, { body, etag = null, ttlMs }) {
+  const now = Date.now();
+  const entry = { key, body, etag, storedAt: now, expiresAt: now + ttlMs };
+  remember(entry);
+  try {
+    await withStore('readwrite', store => store.put(entry));
+  } catch (err) {
+    console.warn('Could not persist a cached response:', err?.message || err);
+  }
+  return entry;
+}
+
+export const isFresh = (entry) => Boolean(entry) && entry.expiresAt > Date.now();
+
+export function clearResponseCache() {
+  memory.clear();
+  clearing = withStore('readwrite', store => store.clear()).catch(() => {});
+  return clearing;
+}
@@ -0,0 +1,86 @@
+import { cacheTtlFor, readCachedResponse, writeCachedResponse, isFresh, clearResponseCache } from './responseCache';
+
+const HOUR = 60 * 60 * 1000;
+
+test('only slow-changing endpoints have a TTL', () => {
+  expect(cacheTtlFor('/me')).toBe(HOUR);
+  expect(cacheTtlFor('/me/top/artists')).toBe(6 * HOUR);
+  expect(cacheTtlFor('/audio-features')).toBe(7 * 24 * HOUR);
+  expect(cacheTtlFor('/me/tracks')).toBe(0);
+  expect(cacheTtlFor('/recommendations')).toBe(0);
+});
+
+test('entries expire but stay readable for revalidation until cleared', async () => {
+  await writeCachedResponse('a', { body: { id: 1 }, etag: '"x"', ttlMs: HOUR });
+  expect(isFresh(await readCachedResponse('a'))).toBe(true);
+  await writeCachedResponse('b', { body: { id: 2 }, etag: '"y"', ttlMs: -1 });
+  const stale = await readCachedResponse('b');
+  expect(isFresh(stale)).toBe(false);
+  expect(stale.etag).toBe('"y"');
+  await clearResponseCache();
+  expect(await readCachedResponse('a')).toBeNull();
+});
+
+describe('persistence', () => {
+  // just enough IndexedDB for responseCache; the databases outlive module reloads like a real one
+  const databases = new Map();
+  const later = (request, result) => { request.result = result; setTimeout(() => request.onsuccess?.()); return request; };
+  const fakeIndexedDB = {
+    open(name) {
+      const request = {};
+      setTimeout(() => {
+        const upgrade = !databases.has(name);
+        if (upgrade) databases.set(name, new Map());
+        const stores = databases.get(name);
+        request.result = {
+          createObjectStore: (store, { keyPath }) => stores.set(store, { keyPath, rows: new Map() }),
+          transaction: (store) => {
+            const { keyPath, rows } = stores.get(store);
+            const tx = {
+              objectStore: () => ({
+                get: (key) => later({}, rows.get(key)),
+                put: (value) => { rows.set(value[keyPath], value); return later({}, value[keyPath]); },
+                clear: () => { rows.clear(); return later({}); },
+                openCursor: () => later({}, null),
+              }),
+            };
+            setTimeout(() => tx.oncomplete?.());
+            return tx;
+          },
+        };
+        if (upgrade) request.onupgradeneeded?.();
+        request.onsuccess?.();
+      });
+      return request;
+    },
+  };
+
+  // a page load: fresh modules (empty memory cache) over the same IndexedDB
+  const load = (tokenStorage) => {
+    let cache;
+    jest.isolateModules(() => {
+      require('./appConfig').configureApp({ tokenStorage });
+      cache = require('./responseCache');
+    });
+    return cache;
+  };
+
+  beforeAll(() => { window.indexedDB = fakeIndexedDB; });
+  afterAll(() => { delete window.indexedDB; });
+  beforeEach(() => databases.clear());
+
+  test('with the shared localStorage session entries survive a reload', async () => {
+    await load('local').writeCachedResponse('/me', { body: { id: 'u' }, ttlMs: HOUR });
+    expect(await load('local').readCachedResponse('/me')).toMatchObject({ body: { id: 'u' } });
+  });
+
+  test('per-tab sessions keep their entries in memory only', async () => {
+    for (const tokenStorage of ['session', 'memory']) {
+      const cache = load(tokenStorage);
+      await cache.writeCachedResponse('/me', { body: { id: 'u' }, ttlMs: HOUR });
+      expect(await cache.readCachedResponse('/me')).not.toBeNull();
+      expect(await load(tokenStorage).readCachedResponse('/me')).toBeNull();
+    }
+    expect(databases.size).toBe(0);
+  });
+});
@@ -1,13 +1,16 @@
 // src/spotifyAuth.js
 
+import { AuthExpiredError, AuthFlowError } from './spotifyErrors';
+import { getConfig } from './appConfig';
+import { getSession, storeTokenResponse, clearSession, refreshSession } from './tokenManager';
+
 // --- CONFIGURATION ---
-export const CLIENT_ID = process.env.REACT_APP_SPOTIFY_CLIENT_ID || "df15f24ccf514ad8920d69105c44b84e";
-export const REDIRECT_URI = process.env.REACT_APP_REDIRECT_URI || "https://moodplaylist13.netlify.app/";
-export const SCOPES = "user-read-private playlist-modify-public playlist-modify-private";
+// client id, redirect URI and the accounts service URL come from appConfig.js
+export const SCOPES = "user-read-private playlist-modify-public playlist-modify-private user-top-read user-library-read user-read-recently-played playlist-read-private streaming user-read-email user-read-playback-state user-modify-playback-state ugc-image-upload";
 
 // Spotify endpoints
-const AUTH_URL = "https://accounts.spotify.com/authorize";
-const TOKEN_URL = "https://accounts.spotify.com/api/token";
+const authUrl = () => `${getConfig().accountsUrl}/authorize`;
+const tokenUrl = () => `${getConfig().accountsUrl}/api/token`;
 
 /* ----------------------
    Crypto & helper funcs
@@ -42,24 +45,32 @@ const base64urlencode = (arrayBuffer) => {
 /* ----------------------
    Storage helpers
    ---------------------- */
-export function clearAllTokens() {
-  localStorage.removeItem('access_token');
-  localStorage.removeItem('refresh_token');
-  localStorage.removeItem('token_expiry');
+// tokens live in tokenManager.js; only the PKCE flow state is kept here
+function clearPkceState() {
   localStorage.removeItem('code_verifier');
   localStorage.removeItem('pkce_state');
 }
 
-export function getStoredAccessToken() {
-  return localStorage.getItem('access_token');
+async function clearLoginState() {
+  clearPkceState();
+  await clearSession();
+}
+
+/* Scopes granted with the current token, or null if unknown (token from before scopes were tracked) */
+export function getGrantedScopes() {
+  const raw = getSession()?.scopes;
+  if (raw === null || raw === undefined) return null;
+  return raw.split(' ').filter(Boolean);
 }
 
 /* ----------------------
    Start PKCE flow
    ---------------------- */
-export async function handleSpotifyLogin(forceReconsent = true) {
-  // clear temporary items (keeps other localStorage keys intact)
-  clearAllTokens();
+export async function handleSpotifyLogin(forceReconsent = true, extraScopes = []) {
+  // start from a clean slate (other tabs keep their session until this login completes)
+  await clearLoginState();
+
+  const scope = Array.from(new Set(SCOPES.split(' ').concat(extraScopes))).join(' ');
 
   const codeVerifier = generateRandomString(128);
   localStorage.setItem('code_verifier', codeVerifier);
@@ -70,19 +81,19 @@ export async function handleSpotifyLogin(forceReconsent = true) {
   const state = generateRandomString(16);
   localStorage.setItem('pkce_state', state);
 
+  const { clientId, redirectUri } = getConfig();
   const params = new URLSearchParams({
     response_type: 'code',
-    client_id: CLIENT_ID,
-    scope: SCOPES,
+    client_id: clientId,
+    scope,
     code_challenge_method: 'S256',
     code_challenge: codeChallenge,
-    redirect_uri: REDIRECT_URI,
+    redirect_uri: redirectUri,
     state,
     show_dialog: String(!!forceReconsent) // force consent screen if true
   });
 
-  const authUrl = `${AUTH_URL}?${params.toString()}`;
-  window.location.href = authUrl;
+  window.location.href = `${authUrl()}?${params.toString()}`;
 }
 
 /* ----------------------
@@ -93,25 +104,26 @@ export async function exchangeCodeForToken(code, returnedState) {
   const storedState = localStorage.getItem('pkce_state');
 
   if (!codeVerifier) {
-    clearAllTokens();
-    throw new Error("PKCE verifier missing. Please try logging in again.");
+    await clearLoginState();
+    throw new AuthFlowError("PKCE verifier missing. Please try logging in again.");
   }
 
   // Validate state if present (if mismatch treat as attack)
   if (storedState && returnedState && storedState !== returnedState) {
-    clearAllTokens();
-    throw new Error("State mismatch. Possible CSRF attack. Login again.");
+    await clearLoginState();
+    throw new AuthFlowError("State mismatch. Possible CSRF attack. Login again.");
   }
 
+  const { clientId, redirectUri } = getConfig();
   const body = new URLSearchParams({
-    client_id: CLIENT_ID,
+    client_id: clientId,
     grant_type: "authorization_code",
     code: code,
-    redirect_uri: REDIRECT_URI,
+    redirect_uri: redirectUri,
     code_verifier: codeVerifier,
   });
 
-  const response = await fetch(TOKEN_URL, {
+  const response = await fetch(tokenUrl(), {
     method: "POST",
     headers: { "Content-Type": "application/x-www-form-urlencoded" },
     body: body.toString(),
@@ -119,46 +131,36 @@ export async function exchangeCodeForToken(code, returnedState) {
 
   if (!response.ok) {
     let errText = await response.text().catch(() => response.statusText);
-    clearAllTokens();
-    throw new Error(`Spotify Token Error: ${errText}`);
+    await clearLoginState();
+    throw new AuthFlowError(`Spotify Token Error: ${errText}`, { status: response.status, endpoint: '/api/token' });
   }
 
   const data = await response.json();
   if (!data.access_token) {
-    clearAllTokens();
-    throw new Error("No access token received from Spotify.");
+    await clearLoginState();
+    throw new AuthFlowError("No access token received from Spotify.", { endpoint: '/api/token' });
   }
 
-  // store tokens and expiry
-  localStorage.setItem('access_token', data.access_token);
-  if (data.refresh_token) localStorage.setItem('refresh_token', data.refresh_token);
-  const expiresIn = Number.isFinite(Number(data.expires_in)) ? Number(data.expires_in) : 3600;
-  localStorage.setItem('token_expiry', String(Date.now() + expiresIn * 1000));
-
-  // cleanup
-  localStorage.removeItem('code_verifier');
-  localStorage.removeItem('pkce_state');
-
-  return data.access_token;
+  clearPkceState();
+  return storeTokenResponse(data);
 }
 
 /* ----------------------
    Refresh access token
    ---------------------- */
-export async function refreshAccessToken() {
-  const refreshToken = localStorage.getItem('refresh_token');
-  if (!refreshToken) {
-    clearAllTokens();
-    throw new Error("No refresh token available; re-authorization required.");
-  }
+// single-flight and cross-tab safe, see tokenManager.refreshSession
+export function refreshAccessToken() {
+  return refreshSession(requestRefresh);
+}
 
+async function requestRefresh(refreshToken) {
   const body = new URLSearchParams({
-    client_id: CLIENT_ID,
+    client_id: getConfig().clientId,
     grant_type: "refresh_token",
     refresh_token: refreshToken,
   });
 
-  const response = await fetch(TOKEN_URL, {
+  const response = await fetch(tokenUrl(), {
     method: "POST",
     headers: { "Content-Type": "application/x-www-form-urlencoded" },
     body: body.toString(),
@@ -166,17 +168,21 @@ export async function refreshAccessToken() {
 
   if (!response.ok) {
     let errText = await response.text().catch(() => response.statusText);
-    clearAllTokens();
-    throw new Error(`Refresh token failed: ${errText}`);
+    await clearSession();
+    throw new AuthExpiredError(`Refresh token failed: ${errText}`, { status: response.status, endpoint: '/api/token' });
   }
 
   const data = await response.json();
-  if (!data.access_token) { clearAllTokens(); throw new Error("No access token returned when refreshing."); }
-
-  localStorage.setItem('access_token', data.access_token);
-  if (data.refresh_token) localStorage.setItem('refresh_token', data.refresh_token);
-  const expiresIn = Number.isFinite(Number(data.expires_in)) ? Number(data.expires_in) : 3600;
-  localStorage.setItem('token_expiry', String(Date.now() + expiresIn * 1000));
+  if (!data.access_token) { await clearSession(); throw new AuthExpiredError("No access token returned when refreshing.", { endpoint: '/api/token' }); }
+  return data;
+}
 
-  return data.access_token;
+/* ----------------------
+   Incremental consent
+   ---------------------- */
+// Re-run the login flow asking for the extra scopes a feature needs.
+// Spotify has no true incremental grant, so the full scope set is requested again.
+export function requestAdditionalScopes(scopes = []) {
+  const granted = getGrantedScopes() || [];
+  return handleSpotifyLogin(true, granted.concat(scopes));
 }
@@ -0,0 +1,65 @@
+// src/spotifyErrors.js
+// Typed errors thrown by spotifyAuth.js / spotifyService.js.
+// Messages are unchanged from the old plain Errors; the extra fields let the UI react per type:
+// - status:    HTTP status (null for network / client-side errors)
+// - reason:    Spotify's error.reason when present (e.g. PREMIUM_REQUIRED)
+// - endpoint:  request path without query, e.g. /me/top/tracks
+// - retryable: whether trying the same call again later can succeed
+
+export class SpotifyError extends Error {
+  constructor(message, { status = null, reason = null, endpoint = null, retryable = false, cause } = {}) {
+    super(message);
+    this.status = status;
+    this.reason = reason;
+    this.endpoint = endpoint;
+    this.retryable = retryable;
+    if (cause !== undefined) this.cause = cause;
+  }
+}
+
+/* Token missing, expired or refresh failed: the user has to log in again */
+export class AuthExpiredError extends SpotifyError {}
+
+/* Something went wrong inside the PKCE login flow itself (state mismatch, verifier missing, token exchange) */
+export class AuthFlowError extends SpotifyError {}
+
+/* The token lacks scopes for this call; offer re-consent with err.missingScopes */
+export class ScopeMissingError extends SpotifyError {
+  constructor(message, { missingScopes = [], ...rest } = {}) {
+    super(message, { status: 403, ...rest });
+    this.missingScopes = missingScopes;
+  }
+}
+
+/* 403 that is not about scopes (e.g. premium required, app not allowed) */
+export class ForbiddenError extends SpotifyError {}
+
+export class NotFoundError extends SpotifyError {}
+
+/* 429 that outlasted the scheduler's retries; retryAfterMs says when to try again */
+export class RateLimitedError extends SpotifyError {
+  constructor(message, { retryAfterMs = 1000, ...rest } = {}) {
+    super(message, { status: 429, retryable: true, ...rest });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class ServerError extends SpotifyError {
+  constructor(message, opts = {}) {
+    super(message, { retryable: true, ...opts });
+  }
+}
+
+export class NetworkError extends SpotifyError {
+  constructor(message, opts = {}) {
+    super(message, { retryable: true, ...opts });
+  }
+}
+
+// explicit names: constructor.name does not survive minification
+Object.entries({
+  SpotifyError, AuthExpiredError, AuthFlowError, ScopeMissingError, ForbiddenError,
+  NotFoundError, RateLimitedError, ServerError, NetworkError,
+}).forEach(([name, cls]) => { cls.prototype.name = name; });
+
+export const isAbortError = (err) => err?.name === 'AbortError';
@@ -0,0 +1,465 @@
+import { createFakeSpotifyApi, makeFakeTrack, FAKE_SCOPES } from './fakeSpotifyApi';
+import {
+  getRecommendedTracks, savePlaylist, previewPlaylist, getCurrentUserId, configureScheduler, toTrackSummary, getGroupContribution,
+  unfollowPlaylist, getReplacementTrack,
+  paginate, collectPages,
+} from './spotifyService';
+import { clearResponseCache } from './responseCache';
+import { clearSession, storeTokenResponse } from './tokenManager';
+import { AuthExpiredError, NetworkError, ForbiddenError } from './spotifyErrors';
+import { saveSchedule, getSchedule, deleteSchedule, runSchedule, runDueSchedules, startRefreshScheduler } from './refreshScheduler';
+
+let api;
+let restore;
+
+// a logged-in session as exchangeCodeForToken would leave it
+const login = ({ expiresInMs = 3600000 } = {}) => {
+  localStorage.setItem('access_token', api.issueToken());
+  localStorage.setItem('refresh_token', 'fake-refresh');
+  localStorage.setItem('token_expiry', String(Date.now() + expiresInMs));
+  localStorage.setItem('granted_scopes', FAKE_SCOPES);
+};
+
+const token = () => localStorage.getItem('access_token');
+
+const setup = (options) => {
+  api = createFakeSpotifyApi(options);
+  restore = api.install();
+  login();
+};
+
+beforeAll(() => configureScheduler({ baseDelayMs: 1, maxDelayMs: 10 }));
+
+beforeEach(() => {
+  localStorage.clear();
+  clearResponseCache();
+  jest.spyOn(console, 'debug').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  restore();
+  jest.restoreAllMocks();
+});
+
+describe('getRecommendedTracks fallback chain', () => {
+  test('recommendations seeded by top artists', async () => {
+    setup();
+    const res = await getRecommendedTracks(token(), 'chill');
+    expect(res.source).toBe('recommendations:artists');
+    expect(res.tracks).toHaveLength(25);
+    const [rec] = api.requestsTo('GET', '/recommendations');
+    expect(rec.query.seed_artists).toBe('artist0,artist1,artist2,artist3,artist4');
+    expect(rec.query.target_energy).toBe('0.4');
+  });
+
+  test('pinned seeds are tried first', async () => {
+    setup();
+    const res = await getRecommendedTracks(token(), 'chill', { seeds: [{ type: 'genre', id: 'acoustic', name: 'acoustic' }] });
+    expect(res.source).toBe('recommendations:pinned');
+    expect(api.requestsTo('GET', '/recommendations')[0].query.seed_genres).toBe('acoustic');
+  });
+
+  test('falls through to top tracks when there are no top artists', async () => {
+    setup({ topArtists: 0 });
+    const res = await getRecommendedTracks(token(), 'sad');
+    expect(res.source).toBe('recommendations:tracks');
+  });
+
+  test('ranks the library by audio features when /recommendations is gone', async () => {
+    setup();
+    api.fail('GET /recommendations', 404, { times: Infinity });
+    const res = await getRecommendedTracks(token(), 'excited', { length: 10 });
+    expect(res.source).toBe('library:audio-features');
+    expect(res.tracks).toHaveLength(10);
+    expect(api.requestsTo('GET', '/audio-features').length).toBeGreaterThan(0);
+  });
+
+  test('uses the genre heuristic when /audio-features is forbidden too', async () => {
+    setup();
+    api.fail('GET /recommendations', 404, { times: Infinity });
+    api.fail('GET /audio-features', 403, { times: Infinity });
+    const res = await getRecommendedTracks(token(), 'excited', { length: 10 });
+    expect(res.source).toBe('library:heuristic');
+    expect(api.requestsTo('GET', '/artists').length).toBeGreaterThan(0);
+  });
+
+  test('ends at the static list when nothing else is available', async () => {
+    setup({ topArtists: 0, topTracks: 0, savedTracks: 0, recentTracks: 0 });
+    api.fail('GET /recommendations', 404, { times: Infinity });
+    const res = await getRecommendedTracks(token(), 'chill');
+    expect(res.source).toBe('static');
+    expect(res.tracks.length).toBeGreaterThan(0);
+  });
+
+  test('a 429 is retried after Retry-After and a dropped GET is retried', async () => {
+    setup();
+    api.fail('GET /recommendations', 429);
+    api.fail('GET /me/top/artists', 'network');
+    const res = await getRecommendedTracks(token(), 'chill');
+    expect(res.source).toBe('recommendations:artists');
+    expect(api.requestsTo('GET', '/me/top/artists')).toHaveLength(2);
+    expect(api.requestsTo('GET', '/recommendations')).toHaveLength(2);
+  });
+
+  test('reports each fallback step it tries', async () => {
+    setup({ topArtists: 0 });
+    const events = [];
+    await getRecommendedTracks(token(), 'sad', { length: 10, onProgress: e => events.push(e) });
+    expect(events.filter(e => e.stage === 'source').map(e => e.source)).toEqual(['recommendations:artists', 'recommendations:tracks']);
+    expect(events[events.length - 1]).toEqual({ stage: 'tracks', source: 'recommendations:tracks', count: 10, target: 10 });
+  });
+
+  test('a cancel ends the chain instead of falling through', async () => {
+    setup();
+    const controller = new AbortController();
+    const run = getRecommendedTracks(token(), 'chill', {
+      signal: controller.signal,
+      onProgress: e => { if (e.source === 'recommendations:artists') controller.abort(); },
+    });
+    await expect(run).rejects.toHaveProperty('name', 'AbortError');
+    expect(api.requestsTo('GET', '/recommendations')).toHaveLength(0);
+    expect(api.requestsTo('GET', '/me/top/tracks')).toHaveLength(0);
+  });
+});
+
+describe('paginate', () => {
+  test('follows next links and stops fetching at maxItems', async () => {
+    setup();
+    const all = await collectPages('/me/tracks?limit=50', token());
+    expect(all).toHaveLength(120);
+    expect(api.requestsTo('GET', '/me/tracks')).toHaveLength(3);
+
+    const seen = [];
+    for await (const item of paginate('/me/tracks?limit=20', token(), { maxItems: 30 })) seen.push(item.track.id);
+    expect(seen).toHaveLength(30);
+    expect(seen[20]).toBe('track70');
+    expect(api.requestsTo('GET', '/me/tracks')).toHaveLength(5);
+  });
+
+  test('cached pages are reused until the cache is cleared', async () => {
+    setup();
+    await collectPages('/me/top/tracks?limit=50', token(), { cache: true });
+    await collectPages('/me/top/tracks?limit=50', token(), { cache: true });
+    expect(api.requestsTo('GET', '/me/top/tracks')).toHaveLength(1);
+    clearResponseCache();
+    await collectPages('/me/top/tracks?limit=50', token(), { cache: true });
+    expect(api.requestsTo('GET', '/me/top/tracks')).toHaveLength(2);
+  });
+
+  test('an abort between pages stops the walk', async () => {
+    setup();
+    const controller = new AbortController();
+    const walk = async () => {
+      for await (const item of paginate('/me/tracks?limit=50', token(), { signal: controller.signal })) {
+        if (item.track.id === 'track60') controller.abort();
+      }
+    };
+    await expect(walk()).rejects.toHaveProperty('name', 'AbortError');
+    expect(api.requestsTo('GET', '/me/tracks')).toHaveLength(1);
+  });
+
+  test('the library fallback reads the whole saved library', async () => {
+    setup({ savedTracks: 200 });
+    api.fail('GET /recommendations', 404, { times: Infinity });
+    await getRecommendedTracks(token(), 'chill');
+    expect(api.requestsTo('GET', '/me/tracks')).toHaveLength(4);
+  });
+});
+
+describe('response cache', () => {
+  test('a second run reuses the profile and top items and logs cache hits', async () => {
+    setup();
+    await getRecommendedTracks(token(), 'chill');
+    const stages = [];
+    await getRecommendedTracks(token(), 'chill', { debugCallback: e => stages.push(e.stage) });
+    expect(api.requestsTo('GET', '/me/top/artists')).toHaveLength(1);
+    expect(stages).toContain('cache:hit');
+    expect(stages).not.toContain('cache:miss');
+  });
+
+  test('an expired entry is revalidated with its ETag, and a 304 renews it', async () => {
+    setup();
+    login({ expiresInMs: 24 * 3600000 });
+    await getCurrentUserId(token());
+    const later = Date.now() + 2 * 3600000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    const stages = [];
+    await expect(getCurrentUserId(token(), e => stages.push(e.stage))).resolves.toBe('fake-user');
+    const [first, second] = api.requestsTo('GET', '/me');
+    expect(first.headers['If-None-Match']).toBeUndefined();
+    expect(second.headers['If-None-Match']).toMatch(/^"\w+"$/);
+    expect(stages).toContain('cache:revalidated');
+
+    // the 304 had no body: the cached one is served, and it is fresh for another hour
+    Date.now.mockReturnValue(later + 30 * 60000);
+    await expect(getCurrentUserId(token())).resolves.toBe('fake-user');
+    expect(api.requestsTo('GET', '/me')).toHaveLength(2);
+  });
+
+  test('ending the session empties the cache', async () => {
+    setup();
+    await getCurrentUserId(token());
+    await clearSession();
+    login();
+    await getCurrentUserId(token());
+    expect(api.requestsTo('GET', '/me')).toHaveLength(2);
+  });
+
+  test('signing in as someone else drops the previous account\'s responses', async () => {
+    setup();
+    await getCurrentUserId(token());
+    api.state.user = { id: 'other-user', display_name: 'Other User' };
+    // a login from the OAuth callback while the old session is still stored
+    await storeTokenResponse({ access_token: api.issueToken(), refresh_token: 'fake-refresh', expires_in: 3600, scope: FAKE_SCOPES });
+    await expect(getCurrentUserId(token())).resolves.toBe('other-user');
+  });
+});
+
+describe('token refresh', () => {
+  test('refreshes before a request when the token is about to expire', async () => {
+    api = createFakeSpotifyApi();
+    restore = api.install();
+    login({ expiresInMs: 1000 });
+    const before = token();
+    await expect(getCurrentUserId(before)).resolves.toBe('fake-user');
+    expect(token()).not.toBe(before);
+    expect(api.requests.filter(r => r.path === '/api/token')).toHaveLength(1);
+  });
+
+  test('a 401 mid-session refreshes once and replays the request', async () => {
+    setup();
+    api.expireTokens();
+    await expect(getCurrentUserId(token())).resolves.toBe('fake-user');
+    expect(api.requestsTo('GET', '/me')).toHaveLength(2);
+  });
+
+  test('a revoked refresh token ends the session', async () => {
+    setup();
+    api.expireTokens();
+    api.revokeRefreshTokens();
+    await expect(getCurrentUserId(token())).rejects.toBeInstanceOf(AuthExpiredError);
+    expect(localStorage.getItem('access_token')).toBeNull();
+    expect(localStorage.getItem('refresh_token')).toBeNull();
+  });
+
+  test('403 keeps the session', async () => {
+    setup();
+    api.fail('GET /me', 403);
+    await expect(getCurrentUserId(token())).rejects.toBeInstanceOf(ForbiddenError);
+    expect(localStorage.getItem('access_token')).not.toBeNull();
+  });
+});
+
+describe('re-rolls', () => {
+  test('a replacement reuses the excluded playlist fetched for the preview and asks for a few candidates', async () => {
+    setup();
+    const earlier = await savePlaylist(token(), await previewPlaylist(token(), 'chill', { length: 30 }));
+    const preview = await previewPlaylist(token(), 'chill', { length: 10, excludePlaylistId: earlier.id });
+    expect(preview.excludedPlaylistUris).toHaveLength(30);
+    const fetches = api.requestsTo('GET', `/playlists/${earlier.id}/tracks`).length;
+
+    const taken = preview.tracks.map(t => t.uri).concat(preview.excludedPlaylistUris);
+    const track = await getReplacementTrack(token(), 'chill', taken, preview.options);
+    expect(taken).not.toContain(track.uri);
+    expect(api.requestsTo('GET', `/playlists/${earlier.id}/tracks`)).toHaveLength(fetches);
+    expect(api.requestsTo('GET', '/recommendations').pop().query.limit).toBe('20');
+  });
+});
+
+describe('savePlaylist', () => {
+  const previewOf = (count) => ({ mood: 'chill', name: 'MoodPlayl.ist: Chill Vibe', tracks: Array.from({ length: count }, (_, i) => toTrackSummary(makeFakeTrack(i))) });
+
+  test('adds tracks in chunks of 100', async () => {
+    setup();
+    const res = await savePlaylist(token(), previewOf(250));
+    expect(res).toMatchObject({ mode: 'create', tracks: 250 });
+    const adds = api.requestsTo('POST', `/playlists/${res.id}/tracks`);
+    expect(adds.map(r => JSON.parse(r.body).uris.length)).toEqual([100, 100, 50]);
+    expect(api.state.playlists.get(res.id).uris).toHaveLength(250);
+  });
+
+  test('replace mode rewrites the earlier playlist for the mood', async () => {
+    setup();
+    const first = await savePlaylist(token(), previewOf(30));
+    const res = await savePlaylist(token(), previewOf(150), { mode: 'replace' });
+    expect(res).toMatchObject({ id: first.id, mode: 'replace', tracks: 150 });
+    expect(api.requestsTo('PUT', `/playlists/${first.id}/tracks`)).toHaveLength(1);
+    expect(api.state.playlists.get(first.id).uris).toHaveLength(150);
+  });
+
+  test('a dropped create is not retried (it may have landed)', async () => {
+    setup();
+    api.fail('POST /me/playlists', 'network');
+    await expect(savePlaylist(token(), previewOf(5))).rejects.toBeInstanceOf(NetworkError);
+    expect(api.requestsTo('POST', '/me/playlists')).toHaveLength(1);
+  });
+
+  test('preview + save end to end', async () => {
+    setup();
+    const preview = await previewPlaylist(token(), 'pumped', { length: 40, maxPerArtist: 3 });
+    expect(preview.tracks).toHaveLength(40);
+    const res = await savePlaylist(token(), preview);
+    expect(api.state.playlists.get(res.id).uris).toEqual(preview.tracks.map(t => t.uri));
+  });
+
+  test('new playlists get the edited name, description and cover', async () => {
+    setup();
+    const preview = { ...previewOf(5), name: 'Rainy Sunday', description: 'For reading by the window' };
+    const res = await savePlaylist(token(), preview, { cover: 'AAAA' });
+    expect(res).toMatchObject({ name: 'Rainy Sunday', coverUploaded: true });
+    const saved = api.state.playlists.get(res.id);
+    expect(saved.description).toBe('For reading by the window [moodplaylist:chill]');
+    expect(saved.image).toBe('AAAA');
+  });
+
+  test('without ugc-image-upload the playlist is saved without a cover', async () => {
+    setup();
+    localStorage.setItem('granted_scopes', FAKE_SCOPES.replace(' ugc-image-upload', ''));
+    const res = await savePlaylist(token(), previewOf(5), { cover: 'AAAA' });
+    expect(res.coverUploaded).toBe(false);
+    expect(api.requestsTo('PUT', `/playlists/${res.id}/images`)).toHaveLength(0);
+    expect(api.state.playlists.get(res.id).uris).toHaveLength(5);
+  });
+
+  test('a cancel after the playlist was created removes the partial playlist', async () => {
+    setup();
+    const controller = new AbortController();
+    const events = [];
+    const run = savePlaylist(token(), previewOf(250), {
+      signal: controller.signal,
+      onProgress: e => { events.push(e); if (e.stage === 'add') controller.abort(); },
+    });
+    await expect(run).rejects.toHaveProperty('name', 'AbortError');
+    expect(events.map(e => e.stage)).toEqual(['profile', 'create', 'add', 'cleanup']);
+    expect(api.requestsTo('POST', '/me/playlists')).toHaveLength(1);
+    expect(api.requestsTo('DELETE', `/playlists/${events[3].id}/followers`)).toHaveLength(1);
+    expect(api.state.playlists.size).toBe(0);
+  });
+});
+
+describe('group sessions', () => {
+  const friend = { name: 'Sam', mood: 'pumped', targets: { target_energy: 0.9, target_valence: 0.8 }, weight: 3, topTracks: [{ id: 'track7', name: 'Track 7' }] };
+
+  test('each person gets a share seeded by their taste and the playlist is saved collaborative', async () => {
+    setup();
+    const me = await getGroupContribution(token(), { mood: 'chill' });
+    expect(me).toMatchObject({ name: 'Fake User', mood: 'chill', topArtists: expect.any(Array) });
+    expect(me.topArtists).toHaveLength(5);
+
+    const preview = await previewPlaylist(token(), 'group', { length: 20, group: { mode: 'weighted', participants: [me, friend] } });
+    expect(preview.group.shares).toEqual([{ name: 'Fake User', tracks: 6 }, { name: 'Sam', tracks: 14 }]);
+    expect(preview.tracks).toHaveLength(20);
+    expect(preview.tracks.slice(0, 2).map(t => t.contributor)).toEqual(['Fake User', 'Sam']);
+    expect(preview.description).toMatch(/^Group mix for Fake User, Sam/);
+    const recs = api.requestsTo('GET', '/recommendations');
+    expect(recs.some(r => r.query.seed_tracks === 'track7')).toBe(true);
+    expect(recs.every(r => r.query.target_energy === '0.78')).toBe(true);
+
+    const res = await savePlaylist(token(), preview);
+    expect(api.state.playlists.get(res.id)).toMatchObject({ collaborative: true, public: false });
+  });
+
+  test('a group needs at least two people', async () => {
+    setup();
+    await expect(previewPlaylist(token(), 'group', { group: { participants: [friend] } })).rejects.toThrow(/two people/);
+  });
+});
+
+describe('scheduled refreshes', () => {
+  const now = new Date(2024, 2, 4, 7, 0);
+
+  test('the first run creates the playlist, later runs replace it keeping liked tracks', async () => {
+    setup();
+    const { id } = saveSchedule({ mood: 'chill', cron: '0 7 * * *', keepPercent: 20, avoidRuns: 2, options: { length: 10 } }, now);
+
+    const first = await runSchedule(token(), id, { now });
+    const playlistId = first.schedule.playlistId;
+    const before = api.state.playlists.get(playlistId).uris.slice();
+    expect(before).toHaveLength(10);
+    expect(first.schedule).toMatchObject({ lastError: null, nextRunAt: new Date(2024, 2, 5, 7, 0).getTime() });
+
+    // every track the fake recommends is also in the fake's liked tracks
+    const second = await runSchedule(token(), id, { now: new Date(2024, 2, 5, 7, 0) });
+    expect(second.result).toMatchObject({ id: playlistId, mode: 'replace' });
+    expect(api.state.playlists.size).toBe(1);
+    const after = api.state.playlists.get(playlistId).uris;
+    expect(after).toHaveLength(10);
+    expect(after.slice(0, 2)).toEqual(before.slice(0, 2));
+    expect(after.slice(2).filter(u => before.includes(u))).toEqual([]);
+    expect(getSchedule(id).recentUris.map(r => r.length)).toEqual([8, 10]);
+  });
+
+  test('only due schedules run, and a failure is recorded and moves to the next slot', async () => {
+    setup();
+    const due = saveSchedule({ mood: 'sad', cron: '0 7 * * *', options: { length: 5 } }, new Date(2024, 2, 3, 12, 0));
+    const later = saveSchedule({ mood: 'chill', cron: '0 9 * * *', options: { length: 5 } }, new Date(2024, 2, 3, 12, 0));
+
+    api.fail('POST /me/playlists', 403, { times: Infinity });
+    const outcomes = await runDueSchedules(token(), { now });
+    expect(outcomes.map(o => o.id)).toEqual([due.id]);
+    expect(getSchedule(due.id).lastError).toMatch(/403/);
+    expect(getSchedule(due.id).enabled).toBe(true);
+    expect(getSchedule(due.id).nextRunAt).toBe(new Date(2024, 2, 5, 7, 0).getTime());
+    expect(getSchedule(later.id).lastRunAt).toBeNull();
+    expect(api.state.playlists.size).toBe(0);
+  });
+
+  test('a schedule whose playlist was unfollowed or deleted is paused and forgets it', async () => {
+    setup();
+    const { id } = saveSchedule({ mood: 'chill', cron: '0 7 * * *', options: { length: 10 } }, now);
+    const { schedule } = await runSchedule(token(), id, { now });
+    api.state.playlists.get(schedule.playlistId).followed = false;
+
+    await expect(runSchedule(token(), id, { now: new Date(2024, 2, 5, 7, 0) })).rejects.toThrow(/no longer in your Spotify library/);
+    expect(api.requestsTo('PUT', '/playlists')).toHaveLength(0);
+    expect(getSchedule(id)).toMatchObject({ enabled: false, playlistId: null, lastError: expect.stringMatching(/paused/) });
+
+    // resumed, it starts a new playlist; a deleted one is treated the same
+    saveSchedule({ ...getSchedule(id), enabled: true }, now);
+    const again = await runSchedule(token(), id, { now });
+    expect(again.result.id).not.toBe(schedule.playlistId);
+    await unfollowPlaylist(token(), again.result.id);
+    await expect(runSchedule(token(), id, { now })).rejects.toThrow(/no longer in your Spotify library/);
+    expect(getSchedule(id)).toMatchObject({ enabled: false, playlistId: null });
+  });
+
+  test('the refresh worker is registered once and periodic sync only toggles with enabled schedules', async () => {
+    const periodicSync = { register: jest.fn(() => Promise.resolve()), unregister: jest.fn(() => Promise.resolve()) };
+    const serviceWorker = {
+      register: jest.fn(() => Promise.resolve({ periodicSync })),
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+    };
+    const permissions = { query: jest.fn(() => Promise.resolve({ state: 'granted' })) };
+    Object.defineProperty(window.navigator, 'serviceWorker', { value: serviceWorker, configurable: true });
+    Object.defineProperty(window.navigator, 'permissions', { value: permissions, configurable: true });
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    const stop = startRefreshScheduler({ getToken: () => null });
+    try {
+      await flush();
+      expect(serviceWorker.register).toHaveBeenCalledTimes(1);
+      expect(periodicSync.unregister).toHaveBeenCalledTimes(1);
+
+      const a = saveSchedule({ mood: 'chill', cron: '0 7 * * *' }, now);
+      const b = saveSchedule({ mood: 'sad', cron: '0 9 * * *' }, now);
+      saveSchedule({ ...a, keepPercent: 50 }, now);
+      await flush();
+      expect(periodicSync.register).toHaveBeenCalledTimes(1);
+
+      deleteSchedule(a.id);
+      await flush();
+      expect(periodicSync.unregister).toHaveBeenCalledTimes(1);
+      deleteSchedule(b.id);
+      await flush();
+      expect(periodicSync.unregister).toHaveBeenCalledTimes(2);
+      expect(serviceWorker.register).toHaveBeenCalledTimes(1);
+    } finally {
+      stop();
+      delete window.navigator.serviceWorker;
+      delete window.navigator.permissions;
+    }
+  });
+});
@@ -1,16 +1,38 @@
 // src/spotifyService.js
 // Final updated Spotify service for MoodPlayl.ist
 // - recommendations-first (seed_artists -> seed_tracks -> seed_genres)
-// - automatic fallbacks to user's top tracks / saved tracks / static list
+// - mood-aware fallback: user's top/saved/recent tracks ranked by audio features (or a genre heuristic), then a static list
 // - safe URL building (no double-encoding)
 // - token auto-refresh, helpful error messages
+// - scope-aware: calls the token has no scope for are skipped, never a logout
+// - request scheduler: concurrency cap, Retry-After on 429, backoff with jitter for 5xx/network, AbortSignal
+// - response cache for profile, top items and audio features, with ETag revalidation (see responseCache.js)
 // - create playlist (private by default) and add tracks in chunks (100 max)
-// - optional debugCallback(stage, { request, response })
+// - optional debugCallback({ stage, request, response }) with per-request timing (see debugLog.js)
+// - two-phase flow: previewPlaylist() returns track objects to review, savePlaylist() writes them
 
-import { refreshAccessToken, clearAllTokens, getStoredAccessToken } from './spotifyAuth';
+import { refreshAccessToken } from './spotifyAuth';
+import { getAccessToken, isSessionExpiring, clearSession } from './tokenManager';
+import { getConfig } from './appConfig';
+import { cacheTtlFor, readCachedResponse, writeCachedResponse, isFresh } from './responseCache';
+import { getCustomMood } from './moodStore';
+import { inferAutoMood, summarizeListening } from './autoMood';
+import { normalizeArc, arcLabel, planArcSegments, orderSegmentTracks } from './moodArc';
+import { estimateFeatures, rankTracks } from './moodScoring';
+import { getMissingScopes, getMissingScopesFor, requiredScopesFor } from './capabilities';
+import { normalizeGenerationOptions, createTrackCollector, seedsToParams, MAX_SEEDS } from './generationOptions';
+import { playlistMetadata, MAX_DESCRIPTION_LENGTH } from './playlistTemplates';
+import {
+  normalizeContribution, mergeTargets, planGroupShares, participantSeeds, interleaveGroupTracks, GROUP_MERGE_MODES,
+} from './groupPlaylist';
+import {
+  AuthExpiredError, ScopeMissingError, ForbiddenError, NotFoundError,
+  RateLimitedError, ServerError, NetworkError, SpotifyError, isAbortError
+} from './spotifyErrors';
 
-let API_BASE_URL = "https://api.spotify.com/v1";
-API_BASE_URL = API_BASE_URL.replace(/\/+$/, '');
+// Web API base (no trailing slash), from appConfig.js so it can point at a proxy or local stub
+const apiBase = () => getConfig().apiBaseUrl;
+const SPOTIFY_API_BASE_URL = 'https://api.spotify.com/v1';
 
 const moodMap = {
   excited: { target_valence: 0.85, target_energy: 0.9, target_danceability: 0.7, min_tempo: 120 },
@@ -19,6 +41,18 @@ const moodMap = {
   pumped:  { target_valence: 0.5,  target_energy: 0.95, target_danceability: 0.6, min_tempo: 140 },
 };
 
+export const BUILT_IN_MOODS = Object.keys(moodMap);
+
+/* Built-in moods win; otherwise look the name up among the user's saved custom moods */
+export function resolveMoodTargets(mood) {
+  if (!mood || typeof mood !== 'string') throw new Error('Mood required.');
+  const key = mood.toLowerCase();
+  if (moodMap[key]) return moodMap[key];
+  const custom = getCustomMood(key);
+  if (custom) return custom.targets;
+  throw new Error(`Invalid mood: ${mood}`);
+}
+
 // Final fallback list of URIs (used only if all else fails)
 const STATIC_FALLBACK_URIS = [
   "spotify:track:3n3Ppam7vgaVa1iaRUc9Lp",
@@ -29,17 +63,160 @@ const STATIC_FALLBACK_URIS = [
 ];
 
 function buildFullUrl(url) {
-  if (!url) return API_BASE_URL;
+  const base = apiBase();
+  if (!url) return base;
+  // paging `next` links point at the real API; keep them on the configured base (proxy / stub)
+  if (url.startsWith(SPOTIFY_API_BASE_URL)) return base + url.slice(SPOTIFY_API_BASE_URL.length);
   if (/^https?:\/\//i.test(url)) return url;
   if (/^api\.spotify\.com/i.test(url)) return 'https://' + url.replace(/^\/+/, '');
-  if (url.startsWith('/')) return API_BASE_URL + url;
-  return API_BASE_URL + '/' + url;
+  if (url.startsWith('/')) return base + url;
+  return base + '/' + url;
+}
+
+const endpointOf = (url) => String(url || '').replace(apiBase(), '').split('?')[0];
+
+/* Error for calls the current token lacks scopes for; callers can offer re-consent via err.missingScopes */
+function scopeError(url, missingScopes) {
+  return new ScopeMissingError(`Missing Spotify permission (${missingScopes.join(', ')}) for ${endpointOf(url)}.`, { missingScopes, endpoint: endpointOf(url) });
+}
+
+/* ---------- Request scheduler ---------- */
+// Every Spotify call goes through scheduledFetch():
+// - at most maxConcurrent requests in flight, the rest wait in FIFO order
+// - 429 pauses the whole queue for Retry-After, then retries
+// - 5xx and network errors retry with exponential backoff + jitter (idempotent methods only,
+//   so a POST that may have landed is never sent twice)
+// - options.signal (AbortSignal) cancels both waiting and in-flight requests
+
+const schedulerConfig = { maxConcurrent: 4, maxRetries: 4, baseDelayMs: 500, maxDelayMs: 30000 };
+let activeRequests = 0;
+const slotQueue = [];
+let pausedUntil = 0;
+
+export function configureScheduler(overrides = {}) {
+  Object.assign(schedulerConfig, overrides);
+}
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+function abortError(signal) {
+  if (signal?.reason instanceof Error) return signal.reason;
+  const err = new Error('Request aborted.');
+  err.name = 'AbortError';
+  return err;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError(signal));
+    const onAbort = () => { clearTimeout(timer); reject(abortError(signal)); };
+    const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, Math.max(0, ms));
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function acquireSlot(signal) {
+  if (signal?.aborted) return Promise.reject(abortError(signal));
+  if (activeRequests < schedulerConfig.maxConcurrent) {
+    activeRequests++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const entry = {
+      resolve: () => { signal?.removeEventListener('abort', onAbort); activeRequests++; resolve(); },
+    };
+    const onAbort = () => {
+      const idx = slotQueue.indexOf(entry);
+      if (idx !== -1) slotQueue.splice(idx, 1);
+      reject(abortError(signal));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    slotQueue.push(entry);
+  });
+}
+
+function releaseSlot() {
+  activeRequests = Math.max(0, activeRequests - 1);
+  const next = slotQueue.shift();
+  if (next) next.resolve();
+}
+
+/* Retry-After is either delta-seconds or an HTTP date */
+function parseRetryAfter(value) {
+  if (!value) return 1000;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : 1000;
+}
+
+function backoffDelay(attempt) {
+  const exp = Math.min(schedulerConfig.maxDelayMs, schedulerConfig.baseDelayMs * 2 ** attempt);
+  return Math.round(exp / 2 + Math.random() * exp / 2); // "equal jitter"
+}
+
+async function scheduledFetch(fullUrl, fetchOptions, onRetry) {
+  const { signal } = fetchOptions;
+  const canRetryFailure = IDEMPOTENT_METHODS.includes(fetchOptions.method);
+
+  for (let attempt = 0; ; attempt++) {
+    // a 429 elsewhere pauses everyone
+    while (Date.now() < pausedUntil) await sleep(pausedUntil - Date.now(), signal);
+
+    await acquireSlot(signal);
+    let response = null;
+    let networkErr = null;
+    try {
+      response = await fetch(fullUrl, fetchOptions);
+    } catch (e) {
+      networkErr = e;
+    } finally {
+      releaseSlot();
+    }
+
+    if (networkErr && (isAbortError(networkErr) || signal?.aborted)) throw abortError(signal);
+
+    const rateLimited = response?.status === 429;
+    const retryable = rateLimited || (canRetryFailure && (networkErr || response.status >= 500));
+    if (!retryable || attempt >= schedulerConfig.maxRetries) {
+      if (networkErr) throw networkErr;
+      return response;
+    }
+
+    let delayMs;
+    if (rateLimited) {
+      delayMs = Math.min(schedulerConfig.maxDelayMs, parseRetryAfter(response.headers?.get('Retry-After')));
+      pausedUntil = Math.max(pausedUntil, Date.now() + delayMs);
+    } else {
+      delayMs = backoffDelay(attempt);
+    }
+    onRetry({ attempt: attempt + 1, delayMs, reason: networkErr ? `network: ${networkErr.message || networkErr}` : `HTTP ${response.status}` }, rateLimited);
+    await sleep(delayMs, signal);
+  }
 }
 
 function safeJSONParse(text) {
   try { return JSON.parse(text); } catch { return null; }
 }
 
+/**
+ * The given (or stored) access token, refreshed first if it is missing or about to expire.
+ * Also used as the Web Playback SDK's getOAuthToken source.
+ */
+export async function getValidAccessToken(token) {
+  // the stored token wins: another tab may have refreshed since the caller read it
+  let currentToken = getAccessToken() || token;
+  if (!currentToken) {
+    try { currentToken = await refreshAccessToken(); } catch (e) { await clearSession(); throw new AuthExpiredError('No access token available. Please sign in.', { cause: e }); }
+  }
+
+  // refresh shortly before expiry
+  if (getAccessToken() && isSessionExpiring()) {
+    try { currentToken = await refreshAccessToken(); } catch (e) { await clearSession(); throw new AuthExpiredError('Session expired. Please log in again.', { cause: e }); }
+  }
+  return currentToken;
+}
+
 async function spotifyFetch(url, token, options = {}, retries = 0, debugCallback) {
   // debug helper — non-blocking
   const pushDebug = (stage, req, resp) => {
@@ -51,15 +228,13 @@ async function spotifyFetch(url, token, options = {}, retries = 0, debugCallback
     }
   };
 
-  let currentToken = token || getStoredAccessToken();
-  if (!currentToken) {
-    try { currentToken = await refreshAccessToken(); } catch (e) { clearAllTokens(); throw new Error('No access token available. Please sign in.'); }
-  }
+  const currentToken = await getValidAccessToken(token);
 
-  // refresh shortly before expiry
-  const expiry = localStorage.getItem('token_expiry');
-  if (expiry && Date.now() > parseInt(expiry, 10) - 5000) {
-    try { currentToken = await refreshAccessToken(); } catch (e) { clearAllTokens(); throw new Error('Session expired. Please log in again.'); }
+  // skip calls the token was not granted scopes for (they would only 403)
+  const missingScopes = getMissingScopesFor(url, options.method);
+  if (missingScopes.length) {
+    pushDebug('request:skipped-scope', { method: options.method || 'GET', url, missingScopes }, null);
+    throw scopeError(url, missingScopes);
   }
 
   const fullUrl = buildFullUrl(url);
@@ -71,65 +246,157 @@ async function spotifyFetch(url, token, options = {}, retries = 0, debugCallback
       Accept: 'application/json',
       ...(options.headers || {})
     },
-    body: options.body ?? null
+    body: options.body ?? null,
+    signal: options.signal
   };
 
-  const reqDebug = { method: finalOptions.method, url: fullUrl, body: finalOptions.body };
+  const startedAt = Date.now();
+  const reqDebug = { method: finalOptions.method, url: fullUrl, body: finalOptions.body, startedAt: new Date(startedAt).toISOString() };
+
+  // response cache (see responseCache.js): fresh entries skip the network, stale ones with an ETag are revalidated
+  const cacheTtl = finalOptions.method === 'GET' ? cacheTtlFor(endpointOf(url)) || options.cacheTtlMs || 0 : 0;
+  const cached = cacheTtl ? await readCachedResponse(fullUrl) : null;
+  if (isFresh(cached)) {
+    if (options.signal?.aborted) throw abortError(options.signal);
+    pushDebug('cache:hit', reqDebug, { status: 200, statusText: 'cached', bodyJson: cached.body, ageMs: Date.now() - cached.storedAt, durationMs: 0 });
+    return cached.body;
+  }
+  if (cacheTtl) pushDebug('cache:miss', reqDebug, cached?.etag ? { revalidating: true } : null);
+  if (cached?.etag) finalOptions.headers['If-None-Match'] = cached.etag;
   pushDebug('request:prepare', reqDebug, null);
-  console.debug('[spotifyFetch] FINAL URL ->', fullUrl);
+
+  const onRetry = (info, rateLimited) => {
+    pushDebug(rateLimited ? 'retry:rate-limited' : 'retry:backoff', reqDebug, info);
+    console.warn(`[spotifyFetch] retry #${info.attempt} in ${info.delayMs}ms (${info.reason})`);
+  };
 
   let response;
   try {
     // IMPORTANT: do not re-encode the URL (URLSearchParams already encodes). Use fullUrl as-is.
-    response = await fetch(fullUrl, finalOptions);
+    response = await scheduledFetch(fullUrl, finalOptions, onRetry);
   } catch (networkErr) {
-    const respErr = { status: null, statusText: String(networkErr), bodyText: null, bodyJson: null };
+    if (isAbortError(networkErr)) throw networkErr;
+    const respErr = { status: null, statusText: String(networkErr), bodyText: null, bodyJson: null, durationMs: Date.now() - startedAt };
     pushDebug('response:error', reqDebug, respErr);
     console.error('[spotifyFetch] Network error:', networkErr);
-    throw new Error('Network error while contacting Spotify API.');
+    throw new NetworkError('Network error while contacting Spotify API.', { endpoint: endpointOf(url), cause: networkErr });
   }
 
   let bodyText = null;
   try { bodyText = await response.text(); } catch {}
   const bodyJson = safeJSONParse(bodyText);
-  const respDebug = { status: response.status, statusText: response.statusText, bodyText, bodyJson };
+  const respDebug = { status: response.status, statusText: response.statusText, bodyText, bodyJson, durationMs: Date.now() - startedAt };
   pushDebug('response:received', reqDebug, respDebug);
 
-  console.debug('[spotifyFetch] RESPONSE TEXT ->', bodyText);
-
   // 401: try refresh once
   if (response.status === 401 && retries === 0) {
     try {
       const newToken = await refreshAccessToken();
       return spotifyFetch(url, newToken, options, retries + 1, debugCallback);
     } catch (e) {
-      clearAllTokens();
-      throw new Error('Session expired. Please log in again.');
+      await clearSession();
+      throw new AuthExpiredError('Session expired. Please log in again.', { status: 401, endpoint: endpointOf(url), cause: e });
     }
   }
 
+  if (response.status === 304 && cached) {
+    await writeCachedResponse(fullUrl, { body: cached.body, etag: cached.etag, ttlMs: cacheTtl });
+    pushDebug('cache:revalidated', reqDebug, { status: 304, statusText: 'not modified', ageMs: Date.now() - cached.storedAt, durationMs: Date.now() - startedAt });
+    return cached.body;
+  }
+
   if (response.status === 204) return {};
 
   if (!response.ok) {
     const msg = (bodyJson && (bodyJson.error?.message || bodyJson.message)) || bodyText || response.statusText || `HTTP ${response.status}`;
+    const errOpts = { status: response.status, reason: bodyJson?.error?.reason ?? null, endpoint: endpointOf(url) };
     pushDebug('response:error-final', reqDebug, respDebug);
     console.error(`[spotifyFetch] ERROR ${response.status} ->`, msg);
-    if (response.status === 403) { clearAllTokens(); throw new Error(`Spotify 403: ${msg}`); }
-    if (response.status === 404) { throw new Error(`Spotify 404: ${msg}`); }
-    throw new Error(`Spotify API Error ${response.status}: ${msg}`);
+    if (response.status === 403) {
+      // usually a missing scope or a feature the app is not allowed to use: keep the session
+      if (/scope/i.test(msg)) throw new ScopeMissingError(`Spotify 403: ${msg}`, { ...errOpts, missingScopes: requiredScopesFor(url, finalOptions.method) });
+      throw new ForbiddenError(`Spotify 403: ${msg}`, errOpts);
+    }
+    if (response.status === 404) { throw new NotFoundError(`Spotify 404: ${msg}`, errOpts); }
+    if (response.status === 429) {
+      throw new RateLimitedError(`Spotify API Error 429: ${msg}`, { ...errOpts, retryAfterMs: parseRetryAfter(response.headers?.get('Retry-After')) });
+    }
+    if (response.status >= 500) throw new ServerError(`Spotify API Error ${response.status}: ${msg}`, errOpts);
+    throw new SpotifyError(`Spotify API Error ${response.status}: ${msg}`, errOpts);
   }
 
   // success: return parsed json if possible
+  if (bodyJson !== null && cacheTtl) await writeCachedResponse(fullUrl, { body: bodyJson, etag: response.headers?.get('ETag') || null, ttlMs: cacheTtl });
   if (bodyJson !== null) return bodyJson;
   try { return bodyText ? JSON.parse(bodyText) : {}; } catch { return bodyText; }
 }
 
+/*
+ * Progress events for multi-request operations: onProgress({ stage, ...detail }).
+ * Stages: exclude, source { source }, tracks { source, count, target }, segment { index, count },
+ * participant { index, count, name }, ordering, profile, lookup, create, add { added, total }, cover,
+ * cleanup { id }. Events of nested runs carry segment / participant.
+ * Listener errors are ignored, like debugCallback's.
+ */
+function reportProgress(onProgress, stage, detail = {}) {
+  try {
+    if (typeof onProgress === 'function') onProgress({ stage, ...detail });
+  } catch (e) {
+    console.warn('onProgress failed', e);
+  }
+}
+
+/* The fallback chain swallows step failures; a cancel must still end the whole run */
+function rethrowAbort(err) {
+  if (isAbortError(err)) throw err;
+}
+
 /* ---------- Public API ---------- */
 
-export async function getCurrentUserId(token, debugCallback) {
-  const profile = await spotifyFetch('/me', token, {}, 0, debugCallback);
+/* The signed-in user's profile (/me, cached for an hour); throws when it has no id */
+export async function getCurrentUser(token, debugCallback, signal) {
+  const profile = await spotifyFetch('/me', token, { signal }, 0, debugCallback);
   if (!profile || !profile.id) throw new Error('Unable to fetch user profile.');
-  return profile.id;
+  return profile;
+}
+
+export async function getCurrentUserId(token, debugCallback) {
+  return (await getCurrentUser(token, debugCallback)).id;
+}
+
+/* Normalise a Spotify track object into what the preview UI needs */
+export function toTrackSummary(track) {
+  if (!track || !track.uri) return null;
+  const images = track.album?.images || [];
+  return {
+    id: track.id ?? null,
+    uri: track.uri,
+    name: track.name || 'Unknown track',
+    artists: (track.artists || []).map(a => a?.name).filter(Boolean),
+    artistIds: (track.artists || []).map(a => a?.id).filter(Boolean),
+    album: track.album?.name || '',
+    imageUrl: (images[images.length - 1] || images[0])?.url ?? null,
+    durationMs: Number(track.duration_ms) || 0,
+    explicit: Boolean(track.explicit),
+    isrc: track.external_ids?.isrc ?? null,
+  };
+}
+
+const toTrackSummaries = (tracks) => (tracks || []).map(toTrackSummary).filter(Boolean);
+
+/* Resolve the static fallback URIs into full track objects (bare summaries if /tracks fails) */
+async function getStaticFallbackTracks(token, debugCallback, signal) {
+  const uris = STATIC_FALLBACK_URIS.slice(0, 25);
+  try {
+    const ids = uris.map(u => u.split(':').pop()).join(',');
+    const data = await spotifyFetch(`/tracks?ids=${encodeURIComponent(ids)}`, token, { signal }, 0, debugCallback);
+    const tracks = toTrackSummaries(data?.tracks);
+    if (tracks.length) return tracks;
+  } catch (e) {
+    rethrowAbort(e);
+    console.warn('/tracks lookup for static fallback failed:', e?.message || e);
+  }
+  return uris.map(uri => ({ id: uri.split(':').pop(), uri, name: 'Unknown track', artists: [], artistIds: [], album: '', imageUrl: null, durationMs: 0, explicit: false, isrc: null }));
 }
 
 /* Helper to build params object from targets */
@@ -141,135 +408,900 @@ function applyTargetsToParams(params, targets) {
   });
 }
 
+/* ---------- Seed search ---------- */
+
+// Used when /recommendations/available-genre-seeds is unavailable
+const FALLBACK_GENRE_SEEDS = [
+  'acoustic', 'ambient', 'blues', 'chill', 'classical', 'country', 'dance', 'disco', 'edm', 'electronic',
+  'folk', 'funk', 'hip-hop', 'house', 'indie', 'jazz', 'latin', 'metal', 'piano', 'pop', 'punk',
+  'r-n-b', 'reggae', 'rock', 'sad', 'soul', 'study', 'techno', 'work-out',
+];
+
+/**
+ * Search artists and tracks for the seed picker.
+ * Resolves to [{ type: 'artist' | 'track', id, name, subtitle, imageUrl }].
+ */
+export async function searchSeeds(token, query, options = {}) {
+  const q = String(query || '').trim();
+  if (!q) return [];
+  const params = new URLSearchParams({ q, type: 'artist,track', limit: String(options.limit || 5) });
+  const data = await spotifyFetch(`/search?${params.toString()}`, token, { signal: options.signal }, 0, options.debugCallback);
+  const smallest = (images) => (images?.[images.length - 1] || images?.[0])?.url ?? null;
+  const artists = (data?.artists?.items || []).filter(a => a?.id).map(a => ({
+    type: 'artist', id: a.id, name: a.name, subtitle: (a.genres || []).slice(0, 2).join(', ') || 'Artist', imageUrl: smallest(a.images),
+  }));
+  const tracks = (data?.tracks?.items || []).filter(t => t?.id).map(t => ({
+    type: 'track', id: t.id, name: t.name, subtitle: (t.artists || []).map(a => a?.name).filter(Boolean).join(', '), imageUrl: smallest(t.album?.images),
+  }));
+  return artists.concat(tracks);
+}
+
+export async function getGenreSeeds(token, debugCallback) {
+  try {
+    const data = await spotifyFetch('/recommendations/available-genre-seeds', token, {}, 0, debugCallback);
+    if (Array.isArray(data?.genres) && data.genres.length) return data.genres;
+  } catch (e) {
+    console.warn('genre seeds unavailable, using built-in list:', e?.message || e);
+  }
+  return FALLBACK_GENRE_SEEDS;
+}
+
+/* ---------- Mood-aware local fallback ---------- */
+
+// Where the tracks of a result came from, for the UI
+export const TRACK_SOURCES = {
+  'recommendations:pinned': 'Spotify recommendations (seeded by your picked seeds)',
+  'recommendations:artists': 'Spotify recommendations (seeded by your top artists)',
+  'recommendations:tracks': 'Spotify recommendations (seeded by your top tracks)',
+  'recommendations:genres': 'Spotify recommendations (seeded by genres)',
+  'library:audio-features': 'Your library, ranked by audio features',
+  'library:heuristic': 'Your library, ranked by genre (audio features unavailable)',
+  static: 'A fixed fallback list (nothing else was available)',
+  import: 'An imported track list',
+};
+
+// Scopes the personalised parts of the chain rely on
+const LIBRARY_SCOPES = ['user-top-read', 'user-library-read', 'user-read-recently-played'];
+
+/* ---------- Pagination ---------- */
+
+// stop runaway walks (a `next` loop or a huge library) even without maxItems
+const MAX_PAGES = 100;
+// paginate({ cache: true }) pages of endpoints without their own TTL (see responseCache.js)
+const PAGE_CACHE_TTL_MS = 10 * 60 * 1000;
+
+/* The paging object of a response: the body itself, or a wrapper's single one ({ artists: { items, next } }) */
+function pagingObject(data) {
+  if (Array.isArray(data?.items)) return data;
+  const inner = Object.values(data || {}).filter(v => Array.isArray(v?.items));
+  return inner.length === 1 ? inner[0] : null;
+}
+
+/**
+ * Walk a paged Spotify collection item by item, following `next` links:
+ *   for await (const item of paginate('/me/tracks?limit=50', token, { maxItems: 200 })) ...
+ * Pages go through spotifyFetch, so scheduling, retries and 429 handling apply per page, and only
+ * the pages actually consumed are fetched (breaking out of the loop stops the walk).
+ * options:
+ * - maxItems: stop after this many items (default: everything, up to 100 pages)
+ * - signal: AbortSignal, checked before every page
+ * - cache: reuse pages fetched earlier in this session (the endpoint's TTL in responseCache.js, else
+ *   10 minutes) - for the user's library and top items, not for playlists this app edits
+ * - debugCallback: see spotifyFetch
+ */
+export async function* paginate(url, token, options = {}) {
+  const { maxItems = Infinity, signal, cache = false, debugCallback } = options;
+  let nextUrl = url;
+  let count = 0;
+  for (let page = 0; nextUrl && count < maxItems && page < MAX_PAGES; page++) {
+    if (signal?.aborted) throw abortError(signal);
+    const paging = pagingObject(await spotifyFetch(nextUrl, token, { signal, cacheTtlMs: cache ? PAGE_CACHE_TTL_MS : 0 }, 0, debugCallback));
+    if (!paging) return;
+    for (const item of paging.items) {
+      if (count >= maxItems) return;
+      count++;
+      yield item;
+    }
+    nextUrl = paging.next || null;
+  }
+}
+
+/* Collect paginate() into an array */
+export async function collectPages(url, token, options = {}) {
+  const items = [];
+  for await (const item of paginate(url, token, options)) items.push(item);
+  return items;
+}
+
+/* Gather the user's top, saved and recently-played tracks (deduped raw track objects) */
+async function collectTrackPool(token, debugCallback, signal) {
+  const sources = [
+    { url: '/me/top/tracks?limit=50&time_range=medium_term', maxItems: 100, pick: i => i },
+    { url: '/me/tracks?limit=50', maxItems: 500, pick: i => i?.track },
+    { url: '/me/player/recently-played?limit=50', maxItems: 50, pick: i => i?.track },
+  ];
+
+  const byUri = new Map();
+  for (const src of sources) {
+    try {
+      const items = await collectPages(src.url, token, { maxItems: src.maxItems, cache: true, debugCallback, signal });
+      items.map(src.pick).forEach(t => { if (t?.uri && t?.id && !byUri.has(t.uri)) byUri.set(t.uri, t); });
+    } catch (e) {
+      rethrowAbort(e);
+      console.warn(`${src.url} pool fetch failed (non-fatal):`, e?.message || e);
+    }
+  }
+  return Array.from(byUri.values());
+}
+
+/* id -> audio features, chunked 100 ids per request. Empty object if the endpoint is unavailable. */
+async function getAudioFeatures(token, ids, debugCallback, signal) {
+  const out = {};
+  for (let i = 0; i < ids.length; i += 100) {
+    const chunk = ids.slice(i, i + 100);
+    const data = await spotifyFetch(`/audio-features?ids=${encodeURIComponent(chunk.join(','))}`, token, { signal }, 0, debugCallback);
+    (data?.audio_features || []).forEach(f => { if (f?.id) out[f.id] = f; });
+  }
+  return out;
+}
+
+/* id -> estimated features, using artist genres from /artists (50 ids per request) */
+async function getHeuristicFeatures(token, tracks, debugCallback, signal) {
+  const artistIds = Array.from(new Set(tracks.flatMap(t => (t.artists || []).map(a => a?.id)).filter(Boolean)));
+  const genresByArtist = {};
+  for (let i = 0; i < artistIds.length; i += 50) {
+    try {
+      const chunk = artistIds.slice(i, i + 50);
+      const data = await spotifyFetch(`/artists?ids=${encodeURIComponent(chunk.join(','))}`, token, { signal }, 0, debugCallback);
+      (data?.artists || []).forEach(a => { if (a?.id) genresByArtist[a.id] = a.genres || []; });
+    } catch (e) {
+      rethrowAbort(e);
+      console.warn('/artists genre lookup failed (non-fatal):', e?.message || e);
+      break;
+    }
+  }
+
+  const out = {};
+  tracks.forEach(t => {
+    const genres = (t.artists || []).flatMap(a => genresByArtist[a?.id] || []);
+    out[t.id] = estimateFeatures(t, genres);
+  });
+  return out;
+}
+
+/**
+ * Rank the user's own library against the mood targets.
+ * Resolves to { tracks, source } (all ranked tracks, best first) or null when the library is empty/unreachable.
+ */
+async function getScoredLibraryTracks(token, targets, debugCallback, signal) {
+  const pool = await collectTrackPool(token, debugCallback, signal);
+  if (!pool.length) return null;
+
+  let featuresById = {};
+  let source = 'library:audio-features';
+  try {
+    featuresById = await getAudioFeatures(token, pool.map(t => t.id), debugCallback, signal);
+  } catch (e) {
+    rethrowAbort(e);
+    console.warn('/audio-features unavailable, using heuristic model:', e?.message || e);
+  }
+  if (Object.keys(featuresById).length < pool.length / 2) {
+    featuresById = { ...(await getHeuristicFeatures(token, pool, debugCallback, signal)), ...featuresById };
+    source = 'library:heuristic';
+  }
+
+  const ranked = rankTracks(pool, featuresById, targets);
+  if (!ranked.length) return null;
+  return { tracks: toTrackSummaries(ranked.map(r => r.track)), source };
+}
+
+/* Tracks of the generation options' excludePlaylistId, or [] */
+async function getExcludedPlaylistUris(token, opts, { onProgress, debugCallback, signal } = {}) {
+  if (!opts.excludePlaylistId) return [];
+  reportProgress(onProgress, 'exclude');
+  return getPlaylistTrackUris(token, opts.excludePlaylistId, debugCallback, signal);
+}
+
 /**
  * Recommendations-first function:
+ * 0) If the user pinned seeds (options.seeds), try /recommendations with those first
  * 1) Try /recommendations with seed_artists from user's top artists
  * 2) Then try seed_tracks (user's top tracks)
  * 3) Then try a small safe seed_genres list
- * 4) If recommendations fail or return empty -> fallback to /me/top/tracks -> /me/tracks -> STATIC_FALLBACK_URIS
+ * 4) If recommendations fail or return empty -> rank the user's top/saved/recent tracks against the mood
+ * 5) Final fallback -> STATIC_FALLBACK_URIS
+ * Each recommendation step runs as many rounds as needed to fill the requested length; later steps
+ * top up what earlier ones could not fill. Every candidate passes the generation constraints
+ * (see generationOptions.js).
+ *
+ * options: generation options plus
+ * - targets:       explicit mood targets (e.g. inferred from text); mood is then only a label
+ * - arc:           { start, end, shape } energy arc; delegates to getArcTracks (mood is ignored)
+ * - group:         { mode, participants } group session; delegates to getGroupTracks (mood is ignored)
+ * - excludeUris:   URIs that must not be returned (e.g. tracks already in the preview)
+ * - candidateLimit: tracks asked of /recommendations per round (default 100)
+ * - signal:        AbortSignal; cancels the whole chain (rejects with an AbortError)
+ * - onProgress:    see reportProgress
+ * - debugCallback: see spotifyFetch
+ *
+ * Resolves to { tracks, source, missingScopes, excludedPlaylistUris } where tracks are track summaries
+ * (see toTrackSummary), source is a key of TRACK_SOURCES (the first step that contributed),
+ * missingScopes lists scopes that would have improved the result and excludedPlaylistUris are the
+ * tracks of options.excludePlaylistId (kept on the preview so re-rolls need not fetch them again).
  */
-export async function getRecommendedTracks(token, mood, debugCallback) {
-  if (!mood || typeof mood !== 'string') throw new Error('Mood required.');
-  const targets = moodMap[mood.toLowerCase()];
-  if (!targets) throw new Error(`Invalid mood: ${mood}`);
+export async function getRecommendedTracks(token, mood, options = {}) {
+  if (options.arc) return getArcTracks(token, options.arc, options);
+  if (options.group) return getGroupTracks(token, options.group, options);
+  const { debugCallback, signal, onProgress, excludeUris = [] } = options;
+  const targets = options.targets || resolveMoodTargets(mood);
+  const missingScopes = getMissingScopes(LIBRARY_SCOPES);
 
-  // helper to call /recommendations with provided seed params (object)
-  const tryRecommendations = async (seedObj) => {
-    try {
-      const params = new URLSearchParams();
-      params.set('limit', '25');
-      Object.entries(seedObj || {}).forEach(([k, v]) => { if (v) params.set(k, v); });
-      applyTargetsToParams(params, targets);
-      const url = `/recommendations?${params.toString()}`;
-      console.debug('[getRecommendedTracks] requesting', url);
-      const data = await spotifyFetch(url, token, {}, 0, debugCallback);
-      if (data && Array.isArray(data.tracks) && data.tracks.length) {
-        return data.tracks.map(t => t?.uri).filter(Boolean);
+  const opts = normalizeGenerationOptions(options);
+  const excludedPlaylistUris = await getExcludedPlaylistUris(token, opts, options);
+  const collector = createTrackCollector(opts, excludeUris.concat(excludedPlaylistUris));
+  let source = null;
+  const collect = (tracks, stepSource) => {
+    if (collector.add(tracks) > 0 && !source) source = stepSource;
+    reportProgress(onProgress, 'tracks', { source: stepSource, count: collector.size, target: opts.length });
+  };
+  const result = () => ({ tracks: collector.tracks, source, missingScopes, excludedPlaylistUris });
+
+  // helper to call /recommendations with provided seed params (object), in rounds until full
+  const tryRecommendations = async (seedObj, stepSource) => {
+    const maxRounds = Math.min(10, Math.ceil(opts.length / 50) + 1);
+    let emptyRounds = 0;
+    for (let round = 0; round < maxRounds && !collector.isFull() && emptyRounds < 2; round++) {
+      try {
+        const params = new URLSearchParams();
+        params.set('limit', String(options.candidateLimit || 100));
+        Object.entries(seedObj || {}).forEach(([k, v]) => { if (v) params.set(k, v); });
+        applyTargetsToParams(params, targets);
+        const url = `/recommendations?${params.toString()}`;
+        const data = await spotifyFetch(url, token, { signal }, 0, debugCallback);
+        const tracks = toTrackSummaries(data?.tracks);
+        if (!tracks.length) return;
+        const before = collector.size;
+        collect(tracks, stepSource);
+        emptyRounds = collector.size === before ? emptyRounds + 1 : 0;
+      } catch (err) {
+        rethrowAbort(err);
+        console.warn('recommendations request failed:', err?.message || err);
+        return;
       }
-      return null;
-    } catch (err) {
-      console.warn('recommendations request failed:', err?.message || err);
-      return null;
     }
   };
 
+  // 0) seeds picked by the user
+  if (opts.seeds.length) {
+    reportProgress(onProgress, 'source', { source: 'recommendations:pinned' });
+    await tryRecommendations(seedsToParams(opts.seeds), 'recommendations:pinned');
+    if (collector.isFull()) return result();
+  }
+
   // 1) seed_artists from /me/top/artists
+  reportProgress(onProgress, 'source', { source: 'recommendations:artists' });
   try {
-    const topArtists = await spotifyFetch('/me/top/artists?limit=5', token, {}, 0, debugCallback);
-    if (topArtists && Array.isArray(topArtists.items) && topArtists.items.length) {
-      const artistSeeds = topArtists.items.map(a => a.id).filter(Boolean).slice(0,5).join(',');
-      const res = await tryRecommendations({ seed_artists: artistSeeds });
-      if (Array.isArray(res) && res.length) return res;
+    const topArtists = await collectPages('/me/top/artists?limit=5', token, { maxItems: MAX_SEEDS, cache: true, debugCallback, signal });
+    if (topArtists.length) {
+      const artistSeeds = topArtists.map(a => a?.id).filter(Boolean).join(',');
+      await tryRecommendations({ seed_artists: artistSeeds }, 'recommendations:artists');
+      if (collector.isFull()) return result();
     }
   } catch (e) {
+    rethrowAbort(e);
     console.warn('top artists fetch failed (non-fatal):', e?.message || e);
   }
 
   // 2) seed_tracks from /me/top/tracks
+  reportProgress(onProgress, 'source', { source: 'recommendations:tracks' });
   try {
-    const topTracks = await spotifyFetch('/me/top/tracks?limit=5', token, {}, 0, debugCallback);
-    if (topTracks && Array.isArray(topTracks.items) && topTracks.items.length) {
-      const trackSeeds = topTracks.items.map(t => t.id).filter(Boolean).slice(0,5).join(',');
-      const res2 = await tryRecommendations({ seed_tracks: trackSeeds });
-      if (Array.isArray(res2) && res2.length) return res2;
+    const topTracks = await collectPages('/me/top/tracks?limit=5', token, { maxItems: MAX_SEEDS, cache: true, debugCallback, signal });
+    if (topTracks.length) {
+      const trackSeeds = topTracks.map(t => t?.id).filter(Boolean).join(',');
+      await tryRecommendations({ seed_tracks: trackSeeds }, 'recommendations:tracks');
+      if (collector.isFull()) return result();
     }
   } catch (e) {
+    rethrowAbort(e);
     console.warn('top tracks fetch failed (non-fatal):', e?.message || e);
   }
 
   // 3) Safe genre fallback
+  const safeGenres = 'pop,rock,edm,chill';
+  reportProgress(onProgress, 'source', { source: 'recommendations:genres' });
+  await tryRecommendations({ seed_genres: safeGenres }, 'recommendations:genres');
+  if (collector.size > 0) return result();
+
+  // 4) /recommendations is blocked or empty: rank the user's own library against the mood
+  reportProgress(onProgress, 'source', { source: 'library' });
   try {
-    const safeGenres = 'pop,rock,edm,chill';
-    const res3 = await tryRecommendations({ seed_genres: safeGenres });
-    if (Array.isArray(res3) && res3.length) return res3;
+    const scored = await getScoredLibraryTracks(token, targets, debugCallback, signal);
+    if (scored) collect(scored.tracks, scored.source);
+    if (collector.size > 0) return result();
   } catch (e) {
-    console.warn('genre-based recs attempt failed:', e?.message || e);
+    rethrowAbort(e);
+    console.warn('library scoring fallback failed:', e?.message || e);
+  }
+
+  // 5) Final static fallback
+  console.warn('Using static fallback URIs (final fallback).');
+  reportProgress(onProgress, 'source', { source: 'static' });
+  collect(await getStaticFallbackTracks(token, debugCallback, signal), 'static');
+  return result();
+}
+
+/**
+ * Energy-arc tracks: one getRecommendedTracks() run per segment with interpolated targets
+ * (see moodArc.js), in segment order, then ordered within each segment so energy and tempo
+ * follow the curve (when /audio-features is available).
+ * arc: { start, end, shape, startTargets?, endTargets? }; options: as getRecommendedTracks.
+ * The generation constraints are enforced across the whole playlist, so a segment can come up
+ * a track or two short when the artist limit is tight.
+ * Resolves to getRecommendedTracks()'s shape plus segments (planArcSegments output); each track
+ * carries arcSegment, the index of the segment it was picked for.
+ */
+export async function getArcTracks(token, arc, options = {}) {
+  const { debugCallback, signal, onProgress, excludeUris = [] } = options;
+  const spec = normalizeArc(arc);
+  if (!spec) throw new Error('Energy arc needs a start and an end mood.');
+  spec.startTargets = spec.startTargets || resolveMoodTargets(spec.start);
+  spec.endTargets = spec.endTargets || resolveMoodTargets(spec.end);
+
+  const opts = normalizeGenerationOptions(options);
+  const excludedPlaylistUris = await getExcludedPlaylistUris(token, opts, options);
+  const excluded = excludeUris.concat(excludedPlaylistUris);
+
+  const segments = planArcSegments(spec, opts);
+  const collector = createTrackCollector(opts, excluded);
+  let source = null;
+  let missingScopes = [];
+  for (const segment of segments) {
+    reportProgress(onProgress, 'segment', { index: segment.index, count: segments.length });
+    const res = await getRecommendedTracks(token, spec.start, {
+      ...opts,
+      excludePlaylistId: null,
+      length: segment.length,
+      targetMinutes: segment.targetMinutes,
+      targets: segment.targets,
+      excludeUris: excluded.concat(collector.tracks.map(t => t.uri)),
+      debugCallback,
+      signal,
+      // per-segment events, tagged so the listener can tell them from the arc's own
+      onProgress: onProgress && (event => onProgress({ ...event, segment: segment.index })),
+    });
+    if (!source) source = res.source;
+    if (!missingScopes.length) missingScopes = res.missingScopes;
+    collector.add(res.tracks.map(t => ({ ...t, arcSegment: segment.index })));
   }
 
-  // 4) Fallbacks if /recommendations is blocked or returns empty:
-  // 4a: Try returning user's top tracks directly
+  reportProgress(onProgress, 'ordering');
+  let featuresById = {};
   try {
-    const fallbackTop = await spotifyFetch('/me/top/tracks?limit=25', token, {}, 0, debugCallback);
-    if (fallbackTop && Array.isArray(fallbackTop.items) && fallbackTop.items.length) {
-      return fallbackTop.items.map(t => t?.uri).filter(Boolean);
-    }
+    featuresById = await getAudioFeatures(token, collector.tracks.map(t => t.id), debugCallback, signal);
   } catch (e) {
-    console.warn('/me/top/tracks fallback failed:', e?.message || e);
+    rethrowAbort(e);
+    console.warn('/audio-features unavailable, keeping arc segment order:', e?.message || e);
+  }
+  const tracks = segments.flatMap(segment => orderSegmentTracks(
+    collector.tracks.filter(t => t.arcSegment === segment.index), featuresById, segment, spec.shape));
+
+  return { tracks, source, missingScopes, segments, excludedPlaylistUris };
+}
+
+/**
+ * Group session tracks: one shared set of targets (mergeTargets) and, per person, a share of the
+ * playlist (planGroupShares) picked with that person's own taste as seeds, then interleaved.
+ * group: { mode: key of GROUP_MERGE_MODES, participants: contributions (see groupPlaylist.js) };
+ * options: as getRecommendedTracks. Each track carries contributor, the name it was picked for.
+ * Resolves to getRecommendedTracks()'s shape plus targets (the merged targets) and
+ * shares ([{ name, tracks }], how many tracks each person got).
+ */
+export async function getGroupTracks(token, group, options = {}) {
+  const { debugCallback, signal, onProgress, excludeUris = [] } = options;
+  const participants = (group?.participants || []).map(normalizeContribution);
+  if (participants.length < 2) throw new Error('A group playlist needs at least two people.');
+  const mode = GROUP_MERGE_MODES[group.mode] ? group.mode : 'average';
+  const targets = mergeTargets(participants, mode);
+
+  const opts = normalizeGenerationOptions(options);
+  const excludedPlaylistUris = await getExcludedPlaylistUris(token, opts, options);
+  const excluded = excludeUris.concat(excludedPlaylistUris);
+
+  const shares = planGroupShares(participants, opts.length, mode);
+  const collector = createTrackCollector(opts, excluded);
+  const buckets = [];
+  let source = null;
+  let missingScopes = [];
+  for (const [index, p] of participants.entries()) {
+    reportProgress(onProgress, 'participant', { index, count: participants.length, name: p.name });
+    if (!shares[index]) { buckets.push([]); continue; }
+    const res = await getRecommendedTracks(token, p.mood, {
+      ...opts,
+      excludePlaylistId: null,
+      length: shares[index],
+      targetMinutes: Math.round((opts.targetMinutes * shares[index]) / opts.length),
+      targets,
+      seeds: participantSeeds(p),
+      excludeUris: excluded.concat(collector.tracks.map(t => t.uri)),
+      debugCallback,
+      signal,
+      onProgress: onProgress && (event => onProgress({ ...event, participant: index })),
+    });
+    if (!source) source = res.source;
+    if (!missingScopes.length) missingScopes = res.missingScopes;
+    const before = collector.size;
+    collector.add(res.tracks.map(t => ({ ...t, contributor: p.name })));
+    buckets.push(collector.tracks.slice(before));
   }
 
-  // 4b: Try user's saved tracks (/me/tracks)
+  return {
+    tracks: interleaveGroupTracks(buckets),
+    source,
+    missingScopes,
+    targets,
+    shares: participants.map((p, i) => ({ name: p.name, tracks: buckets[i].length })),
+    excludedPlaylistUris,
+  };
+}
+
+/**
+ * Pick a single track for the mood that is not already in excludeUris.
+ * Used by the preview to re-roll one slot. Resolves to null when nothing new is available.
+ */
+export async function getReplacementTrack(token, mood, excludeUris = [], options = {}) {
+  // a handful of candidates is plenty; the excluded playlist's tracks come in with excludeUris
+  const { tracks } = await getRecommendedTracks(token, mood, {
+    ...options, arc: null, group: null, excludePlaylistId: null, length: 10, targetMinutes: 0, candidateLimit: 20, excludeUris,
+  });
+  if (!tracks.length) return null;
+  return tracks[Math.floor(Math.random() * tracks.length)];
+}
+
+/* ---------- Auto mood ---------- */
+
+/**
+ * Listening profile of the last 50 played tracks (see autoMood.summarizeListening).
+ * Resolves to null when recently-played is not granted or empty; never throws for that.
+ */
+export async function getRecentListeningProfile(token, debugCallback) {
+  if (getMissingScopes(['user-read-recently-played']).length) return null;
+  let tracks = [];
   try {
-    const saved = await spotifyFetch('/me/tracks?limit=25', token, {}, 0, debugCallback);
-    if (saved && Array.isArray(saved.items) && saved.items.length) {
-      return saved.items.map(i => i?.track?.uri).filter(Boolean);
-    }
+    const data = await spotifyFetch('/me/player/recently-played?limit=50', token, {}, 0, debugCallback);
+    tracks = (data?.items || []).map(i => i?.track).filter(t => t?.id);
   } catch (e) {
-    console.warn('/me/tracks fallback failed:', e?.message || e);
+    if (e instanceof AuthExpiredError) throw e;
+    console.warn('recently-played unavailable for auto mood (non-fatal):', e?.message || e);
+    return null;
   }
+  if (!tracks.length) return null;
 
-  // 4c: Final static fallback
-  console.warn('Using static fallback URIs (final fallback).');
-  return STATIC_FALLBACK_URIS.slice(0, 25);
+  let featuresById = {};
+  try {
+    featuresById = await getAudioFeatures(token, Array.from(new Set(tracks.map(t => t.id))), debugCallback);
+  } catch (e) {
+    console.warn('/audio-features unavailable, using heuristic model:', e?.message || e);
+  }
+  if (Object.keys(featuresById).length < tracks.length / 2) {
+    featuresById = { ...(await getHeuristicFeatures(token, tracks, debugCallback)), ...featuresById };
+  }
+  return summarizeListening(tracks.map(t => featuresById[t.id]));
+}
+
+/**
+ * Pick mood targets from the time of day and recent listening (see autoMood.js).
+ * options: { now, rules, debugCallback }. Resolves to inferAutoMood()'s result.
+ */
+export async function detectAutoMood(token, options = {}) {
+  const profile = await getRecentListeningProfile(token, options.debugCallback);
+  return inferAutoMood({ profile, now: options.now, rules: options.rules });
+}
+
+/**
+ * The signed-in user's contribution to a group session (see groupPlaylist.js): their mood and
+ * top 5 artists / tracks. options: { name (default: Spotify display name), mood, targets, weight,
+ * debugCallback }. Missing top-read access just leaves the taste out.
+ */
+export async function getGroupContribution(token, options = {}) {
+  const { mood = 'chill', weight = 1, debugCallback } = options;
+  let name = options.name;
+  if (!name) {
+    const me = await getCurrentUser(token, debugCallback);
+    name = me.display_name || me.id;
+  }
+  const topItems = async (url) => {
+    try {
+      const items = await collectPages(url, token, { maxItems: 5, cache: true, debugCallback });
+      return items.map(i => ({ id: i?.id, name: i?.name }));
+    } catch (e) {
+      console.warn(`${url} unavailable for the group contribution:`, e?.message || e);
+      return [];
+    }
+  };
+  return normalizeContribution({
+    name,
+    mood,
+    targets: options.targets || resolveMoodTargets(mood),
+    weight,
+    topArtists: await topItems('/me/top/artists?limit=5'),
+    topTracks: await topItems('/me/top/tracks?limit=5'),
+  });
+}
+
+/* ---------- Playback ---------- */
+
+const withDevice = (path, deviceId) => (deviceId ? `${path}${path.includes('?') ? '&' : '?'}device_id=${encodeURIComponent(deviceId)}` : path);
+
+export async function getPlaybackDevices(token, debugCallback) {
+  const data = await spotifyFetch('/me/player/devices', token, {}, 0, debugCallback);
+  return Array.isArray(data?.devices) ? data.devices : [];
+}
+
+/**
+ * Start playback on a device (e.g. the in-browser SDK player).
+ * what: { uris } to play a track list, or { contextUri } for a playlist; offset is the start index.
+ */
+export async function startPlayback(token, deviceId, what = {}, debugCallback) {
+  const body = what.contextUri ? { context_uri: what.contextUri } : { uris: (what.uris || []).slice(0, 100) };
+  if (what.offset) body.offset = { position: what.offset };
+  await spotifyFetch(withDevice('/me/player/play', deviceId), token, { method: 'PUT', body: JSON.stringify(body) }, 0, debugCallback);
+}
+
+/**
+ * Queue-only mode: add tracks to the user's active device queue, no playlist is created.
+ * Queue calls are one URI each, so they go through the scheduler one after another to keep order.
+ * Resolves to the number of tracks queued.
+ */
+export async function queueTracks(token, trackUris, options = {}) {
+  const { deviceId, debugCallback, signal } = options;
+  let queued = 0;
+  for (const uri of trackUris || []) {
+    await spotifyFetch(withDevice(`/me/player/queue?uri=${encodeURIComponent(uri)}`, deviceId), token, { method: 'POST', signal }, 0, debugCallback);
+    queued++;
+  }
+  return queued;
 }
 
 /* ---------- Playlist helpers ---------- */
 
-export async function createNewPlaylist(token, userId, mood, isPublic = false, debugCallback) {
+// Stable marker stored in the description so the app can find its own playlists per mood
+export function getPlaylistMarker(mood) {
+  const key = String(mood || 'custom').trim().toLowerCase().replace(/\s+/g, '-');
+  return `[moodplaylist:${key}]`;
+}
+
+export function getPlaylistName(mood) {
   const moodTitle = (typeof mood === 'string' && mood.length) ? mood.charAt(0).toUpperCase() + mood.slice(1) : 'Custom';
-  const bodyObj = { name: `MoodPlayl.ist: ${moodTitle} Vibe`, description: 'Generated by MoodPlayl.ist', public: Boolean(isPublic) };
+  return `MoodPlayl.ist: ${moodTitle} Vibe`;
+}
+
+/* The marker always survives: the user's description is cut to leave room for it */
+function playlistDescription(mood, description) {
+  const marker = getPlaylistMarker(mood);
+  const text = String(description || 'Generated by MoodPlayl.ist').trim().slice(0, MAX_DESCRIPTION_LENGTH - marker.length - 1);
+  return `${text} ${marker}`;
+}
+
+/* Collaborative playlists are always private (Spotify rejects public + collaborative) */
+export async function createNewPlaylist(token, userId, mood, isPublic = false, debugCallback, name = getPlaylistName(mood), description = '', collaborative = false) {
+  const bodyObj = { name, description: playlistDescription(mood, description), public: collaborative ? false : Boolean(isPublic) };
+  if (collaborative) bodyObj.collaborative = true;
   const playlist = await spotifyFetch('/me/playlists', token, { method: 'POST', body: JSON.stringify(bodyObj) }, 0, debugCallback);
   if (!playlist || !playlist.id) throw new Error('Failed to create playlist.');
   return { id: playlist.id, url: playlist.external_urls?.spotify ?? null, raw: playlist };
 }
 
-export async function addTracksToPlaylist(token, playlistId, trackUris, debugCallback) {
+/* Playlist URI or id -> URL-safe id */
+function cleanPlaylistId(playlistId) {
+  if (!playlistId) throw new Error('playlistId required.');
+  let id = playlistId;
+  if (typeof id === 'string' && id.startsWith('spotify:playlist:')) id = id.split(':').pop();
+  return encodeURIComponent(String(id));
+}
+
+/* options: { signal, onProgress } - 'add' is reported after every chunk of 100 */
+export async function addTracksToPlaylist(token, playlistId, trackUris, debugCallback, options = {}) {
   if (!playlistId) throw new Error('playlistId required.');
   if (!Array.isArray(trackUris) || trackUris.length === 0) return;
+  const { signal, onProgress, offset = 0, total = trackUris.length } = options;
 
   // Convert playlist URI -> id if needed
-  let id = playlistId;
-  if (typeof id === 'string' && id.startsWith('spotify:playlist:')) id = id.split(':').pop();
-  const cleanedId = encodeURIComponent(String(id));
+  const cleanedId = cleanPlaylistId(playlistId);
 
   const chunkSize = 100;
   for (let i = 0; i < trackUris.length; i += chunkSize) {
     const chunk = trackUris.slice(i, i + chunkSize);
-    await spotifyFetch(`/playlists/${cleanedId}/tracks`, token, { method: 'POST', body: JSON.stringify({ uris: chunk }) }, 0, debugCallback);
+    await spotifyFetch(`/playlists/${cleanedId}/tracks`, token, { method: 'POST', body: JSON.stringify({ uris: chunk }), signal }, 0, debugCallback);
+    reportProgress(onProgress, 'add', { added: offset + i + chunk.length, total });
+  }
+}
+
+/**
+ * Replace all items of an existing playlist (PUT takes max 100, the rest are appended).
+ * options: as addTracksToPlaylist.
+ */
+export async function replacePlaylistTracks(token, playlistId, trackUris, debugCallback, options = {}) {
+  const cleanedId = cleanPlaylistId(playlistId);
+  const uris = Array.isArray(trackUris) ? trackUris : [];
+  const { signal, onProgress } = options;
+  await spotifyFetch(`/playlists/${cleanedId}/tracks`, token, { method: 'PUT', body: JSON.stringify({ uris: uris.slice(0, 100) }), signal }, 0, debugCallback);
+  reportProgress(onProgress, 'add', { added: Math.min(uris.length, 100), total: uris.length });
+  if (uris.length > 100) await addTracksToPlaylist(token, playlistId, uris.slice(100), debugCallback, { signal, onProgress, offset: 100, total: uris.length });
+}
+
+/**
+ * The app's earlier playlists for this mood, owned by userId, in library order.
+ * Matched by the description marker, so renamed playlists are still found.
+ */
+export async function findMoodPlaylists(token, userId, mood, debugCallback, signal) {
+  const marker = getPlaylistMarker(mood);
+  const playlists = await collectPages('/me/playlists?limit=50', token, { maxItems: 1000, debugCallback, signal });
+  return playlists.filter(p => p?.id && p.owner?.id === userId && String(p.description || '').includes(marker));
+}
+
+/* All track URIs currently in a playlist */
+export async function getPlaylistTrackUris(token, playlistId, debugCallback, signal) {
+  const url = `/playlists/${cleanPlaylistId(playlistId)}/tracks?limit=100&fields=${encodeURIComponent('items(track(uri)),next')}`;
+  const items = await collectPages(url, token, { maxItems: 5000, debugCallback, signal });
+  return items.map(i => i?.track?.uri).filter(Boolean);
+}
+
+/* All tracks currently in a playlist, as track summaries (local / unavailable items are dropped) */
+export async function getPlaylistTracks(token, playlistId, debugCallback, signal) {
+  const items = await collectPages(`/playlists/${cleanPlaylistId(playlistId)}/tracks?limit=100`, token, { maxItems: 5000, debugCallback, signal });
+  return toTrackSummaries(items.map(i => i?.track));
+}
+
+/* The subset of uris the user has saved (liked), in the given order; needs user-library-read */
+export async function getLikedTrackUris(token, uris, debugCallback, signal) {
+  const list = Array.from(new Set((uris || []).filter(u => String(u).startsWith('spotify:track:'))));
+  const liked = [];
+  for (let i = 0; i < list.length; i += 50) {
+    const chunk = list.slice(i, i + 50);
+    const ids = chunk.map(u => u.split(':').pop()).join(',');
+    const flags = await spotifyFetch(`/me/tracks/contains?ids=${encodeURIComponent(ids)}`, token, { signal }, 0, debugCallback);
+    chunk.forEach((u, j) => { if (Array.isArray(flags) && flags[j]) liked.push(u); });
   }
+  return liked;
+}
+
+/* base64 JPEG (no data: prefix, max 256 KB) as the playlist's cover; needs ugc-image-upload */
+export async function uploadPlaylistCover(token, playlistId, base64Jpeg, debugCallback) {
+  await spotifyFetch(`/playlists/${cleanPlaylistId(playlistId)}/images`, token, { method: 'PUT', body: base64Jpeg, headers: { 'Content-Type': 'image/jpeg' } }, 0, debugCallback);
+}
+
+/* Whether the playlist is still in the user's library (unfollowed = "deleted" in the Spotify apps) */
+export async function isFollowingPlaylist(token, playlistId, debugCallback, signal) {
+  const flags = await spotifyFetch(`/playlists/${cleanPlaylistId(playlistId)}/followers/contains`, token, { signal }, 0, debugCallback);
+  return !Array.isArray(flags) || Boolean(flags[0]);
+}
+
+/* Spotify has no playlist delete: unfollowing removes it from the user's library */
+export async function unfollowPlaylist(token, playlistId, debugCallback) {
+  await spotifyFetch(`/playlists/${cleanPlaylistId(playlistId)}/followers`, token, { method: 'DELETE' }, 0, debugCallback);
+}
+
+/**
+ * Phase 1: fetch recommended tracks for review. Nothing is written to Spotify.
+ * options: see getRecommendedTracks. They are kept on the preview so re-rolls use the same constraints.
+ * Resolves to { mood, name, description, targets, tracks, source, missingScopes, options } where tracks
+ * are track summaries; name and description come from the templates in playlistTemplates.js.
+ * With options.arc the mood argument is ignored and the preview also carries arc (see previewArcPlaylist).
+ */
+export async function previewPlaylist(token, mood, options = {}) {
+  if (options.arc) return previewArcPlaylist(token, options);
+  if (options.group) return previewGroupPlaylist(token, options);
+  const targets = options.targets || resolveMoodTargets(mood);
+  const { tracks, source, missingScopes, excludedPlaylistUris } = await getRecommendedTracks(token, mood, { ...options, targets });
+  if (!Array.isArray(tracks) || tracks.length === 0) throw new Error('No tracks available to add.');
+  const keptOptions = { ...normalizeGenerationOptions(options), ...(options.targets ? { targets } : {}) };
+  const preview = { mood, targets, tracks, source, missingScopes, excludedPlaylistUris, options: keptOptions };
+  return { ...preview, ...playlistMetadata(preview) };
+}
+
+/*
+ * Energy-arc preview: mood is "start → end", targets is null and arc holds the resolved arc
+ * ({ start, end, shape, startTargets, endTargets, segments }) for the chart and per-slot re-rolls.
+ */
+async function previewArcPlaylist(token, options) {
+  const spec = normalizeArc(options.arc);
+  if (!spec) throw new Error('Energy arc needs a start and an end mood.');
+  const startTargets = spec.startTargets || resolveMoodTargets(spec.start);
+  const endTargets = spec.endTargets || resolveMoodTargets(spec.end);
+  const { tracks, source, missingScopes, segments, excludedPlaylistUris } = await getRecommendedTracks(token, spec.start, { ...options, arc: { ...spec, startTargets, endTargets } });
+  if (!Array.isArray(tracks) || tracks.length === 0) throw new Error('No tracks available to add.');
+  const preview = {
+    mood: arcLabel(spec),
+    targets: null,
+    tracks,
+    source,
+    missingScopes,
+    excludedPlaylistUris,
+    arc: { ...spec, startTargets, endTargets, segments },
+    options: { ...normalizeGenerationOptions(options), arc: spec },
+  };
+  return { ...preview, ...playlistMetadata(preview) };
+}
+
+/*
+ * Group session preview: mood is 'group', targets are the merged targets, group holds
+ * { mode, shares } for the UI and the playlist is saved as a collaborative playlist.
+ */
+async function previewGroupPlaylist(token, options) {
+  const { tracks, source, missingScopes, targets, shares, excludedPlaylistUris } = await getGroupTracks(token, options.group, options);
+  if (!tracks.length) throw new Error('No tracks available to add.');
+  const mode = GROUP_MERGE_MODES[options.group.mode] ? options.group.mode : 'average';
+  const preview = {
+    mood: 'group',
+    targets,
+    tracks,
+    source,
+    missingScopes,
+    excludedPlaylistUris,
+    collaborative: true,
+    group: { mode, shares },
+    options: { ...normalizeGenerationOptions(options), group: { mode, participants: options.group.participants.map(normalizeContribution) } },
+  };
+  return { ...preview, ...playlistMetadata(preview) };
 }
 
-export async function generatePlaylist(token, mood, makePublic = false, debugCallback) {
+export const SAVE_MODES = ['create', 'replace', 'append'];
+
+/**
+ * Phase 2: write the (possibly edited) preview tracks to Spotify, in order.
+ * options:
+ * - makePublic: for newly created playlists (default false)
+ * - mode: 'create' (default) a new playlist, or 'replace' / 'append' the most recent
+ *   earlier playlist for this mood (falls back to 'create' if there is none).
+ *   Append skips tracks already in the playlist.
+ * - playlistId: for replace / append, write to this playlist instead of looking one up
+ *   (NotFoundError when it is gone; there is no fallback to 'create').
+ * - signal: AbortSignal. A cancel after a new playlist was created unfollows it again, so no
+ *   half-filled playlist is left behind; replace / append are not rolled back.
+ * - cover: base64 JPEG (see coverArt.renderCoverJpeg) for newly created playlists. Uploading it is
+ *   best-effort: without ugc-image-upload or on failure the playlist is kept without a cover.
+ * - onProgress: see reportProgress
+ * - debugCallback: see spotifyFetch
+ * preview.name / preview.description are used for new playlists; preview.collaborative makes them
+ * collaborative (and private).
+ * Resolves to { id, name, url, tracks, mode, skipped, coverUploaded } where tracks is the number written.
+ */
+export async function savePlaylist(token, preview, options = {}) {
+  const { makePublic = false, mode = 'create', cover = null, debugCallback, signal, onProgress } = options;
+  const trackUris = Array.from(new Set((preview?.tracks || []).map(t => t?.uri).filter(Boolean)));
+  if (trackUris.length === 0) throw new Error('No tracks available to add.');
+
   // validate /me first
-  const me = await spotifyFetch('/me', token, {}, 0, debugCallback);
-  if (!me || !me.id) throw new Error('Unable to fetch user profile.');
+  reportProgress(onProgress, 'profile');
+  const me = await getCurrentUser(token, debugCallback, signal);
 
-  // get recommended tracks (recommendations-first)
-  const trackUris = await getRecommendedTracks(token, mood, debugCallback);
-  if (!Array.isArray(trackUris) || trackUris.length === 0) throw new Error('No tracks available to add.');
+  if (mode === 'replace' || mode === 'append') {
+    reportProgress(onProgress, 'lookup');
+    const [existing] = options.playlistId
+      ? [await spotifyFetch(`/playlists/${cleanPlaylistId(options.playlistId)}?fields=${encodeURIComponent('id,name,external_urls')}`, token, { signal }, 0, debugCallback)]
+      : await findMoodPlaylists(token, me.id, preview.mood, debugCallback, signal);
+    if (existing) {
+      const result = { id: existing.id, name: existing.name, url: existing.external_urls?.spotify ?? null, mode, skipped: 0, coverUploaded: false };
+      if (mode === 'replace') {
+        await replacePlaylistTracks(token, existing.id, trackUris, debugCallback, { signal, onProgress });
+        return { ...result, tracks: trackUris.length };
+      }
+      const present = new Set(await getPlaylistTrackUris(token, existing.id, debugCallback, signal));
+      const fresh = trackUris.filter(u => !present.has(u));
+      await addTracksToPlaylist(token, existing.id, fresh, debugCallback, { signal, onProgress });
+      return { ...result, tracks: fresh.length, skipped: trackUris.length - fresh.length };
+    }
+  }
 
   // create playlist and add tracks
-  const { id: playlistId, url: playlistUrl } = await createNewPlaylist(token, me.id, mood, makePublic, debugCallback);
-  await addTracksToPlaylist(token, playlistId, trackUris, debugCallback);
+  // the create POST gets no signal: aborting it mid-flight could leave a playlist we have no id for
+  const name = preview.name || getPlaylistName(preview.mood);
+  reportProgress(onProgress, 'create');
+  const { id: playlistId, url: playlistUrl } = await createNewPlaylist(token, me.id, preview.mood, makePublic, debugCallback, name, preview.description, Boolean(preview.collaborative));
+  try {
+    if (signal?.aborted) throw abortError(signal);
+    await addTracksToPlaylist(token, playlistId, trackUris, debugCallback, { signal, onProgress });
+  } catch (err) {
+    if (isAbortError(err)) {
+      reportProgress(onProgress, 'cleanup', { id: playlistId });
+      await unfollowPlaylist(token, playlistId, debugCallback)
+        .catch(e => console.warn('Could not remove the cancelled playlist:', e?.message || e));
+    }
+    throw err;
+  }
+
+  let coverUploaded = false;
+  if (cover) {
+    reportProgress(onProgress, 'cover');
+    try {
+      await uploadPlaylistCover(token, playlistId, cover, debugCallback);
+      coverUploaded = true;
+    } catch (e) {
+      console.warn('Could not upload the playlist cover (non-fatal):', e?.message || e);
+    }
+  }
+
+  return { id: playlistId, name, url: playlistUrl, tracks: trackUris.length, mode: 'create', skipped: 0, coverUploaded };
+}
+
+/* ---------- Import ---------- */
 
-  return { name: `MoodPlayl.ist: ${mood.charAt(0).toUpperCase() + mood.slice(1)} Vibe`, url: playlistUrl, tracks: trackUris.length };
+/* First search hit for q, as a track summary (null when nothing matches) */
+async function searchTrack(token, q, debugCallback) {
+  const params = new URLSearchParams({ q, type: 'track', limit: '1' });
+  const data = await spotifyFetch(`/search?${params.toString()}`, token, {}, 0, debugCallback);
+  return toTrackSummary(data?.tracks?.items?.[0]);
+}
+
+/**
+ * Resolve imported entries (see playlistFormats.parseTrackList) to Spotify tracks, in order:
+ * Spotify URI, then ISRC search, then title + artist search.
+ * Resolves to { tracks, unmatched } where unmatched are the entries nothing was found for.
+ */
+export async function matchImportedTracks(token, entries, debugCallback) {
+  const byId = {};
+  const ids = Array.from(new Set((entries || []).filter(e => e?.uri).map(e => e.uri.split(':').pop())));
+  for (let i = 0; i < ids.length; i += 50) {
+    const chunk = ids.slice(i, i + 50);
+    const data = await spotifyFetch(`/tracks?ids=${encodeURIComponent(chunk.join(','))}`, token, {}, 0, debugCallback);
+    toTrackSummaries(data?.tracks).forEach(t => { byId[t.id] = t; });
+  }
+
+  const clean = (v) => String(v || '').replace(/[":]/g, ' ').trim();
+  const tracks = [];
+  const unmatched = [];
+  for (const entry of entries || []) {
+    let match = entry.uri ? byId[entry.uri.split(':').pop()] : null;
+    if (!match && entry.isrc) match = await searchTrack(token, `isrc:${entry.isrc}`, debugCallback);
+    if (!match && entry.title) {
+      const artist = clean(entry.artists?.[0]);
+      match = await searchTrack(token, `track:${clean(entry.title)}${artist ? ` artist:${artist}` : ''}`, debugCallback);
+      // field filters are strict about punctuation and featured artists; retry as free text
+      if (!match) match = await searchTrack(token, `${clean(entry.title)} ${artist}`.trim(), debugCallback);
+    }
+    if (match) tracks.push(match);
+    else unmatched.push(entry);
+  }
+  return { tracks, unmatched };
+}
+
+/**
+ * Turn an imported track list into a preview that savePlaylist() can write.
+ * options: { name, debugCallback }. The preview's mood is 'imported' and it carries unmatched.
+ */
+export async function previewImportedTracks(token, entries, options = {}) {
+  const { tracks, unmatched } = await matchImportedTracks(token, entries, options.debugCallback);
+  if (!tracks.length) throw new Error('None of the imported tracks could be found on Spotify.');
+  const preview = {
+    mood: 'imported',
+    targets: null,
+    tracks,
+    source: 'import',
+    missingScopes: [],
+    unmatched,
+    options: normalizeGenerationOptions({ length: tracks.length }),
+  };
+  const meta = playlistMetadata(preview);
+  return { ...preview, ...meta, name: options.name || meta.name };
+}
+
+/**
+ * One-shot preview + save; options are shared by both phases (generation options, makePublic, mode,
+ * playlistId, cover, signal, onProgress, debugCallback).
+ * keepTracks: track summaries to keep at the top of the playlist (e.g. favourites on a scheduled
+ * refresh); only the rest of length / targetMinutes is generated, never repeating them.
+ * Resolves to savePlaylist()'s result plus the saved preview.
+ */
+export async function generatePlaylist(token, mood, options = {}) {
+  const keepTracks = (options.keepTracks || []).filter(t => t?.uri);
+  const opts = normalizeGenerationOptions(options);
+  const keptMinutes = Math.round(keepTracks.reduce((sum, t) => sum + (t.durationMs || 0), 0) / 60000);
+  const generated = await previewPlaylist(token, mood, {
+    ...options,
+    length: Math.max(1, opts.length - keepTracks.length),
+    targetMinutes: opts.targetMinutes ? Math.max(1, opts.targetMinutes - keptMinutes) : 0,
+    excludeUris: (options.excludeUris || []).concat(keepTracks.map(t => t.uri)),
+  });
+  const preview = keepTracks.length ? { ...generated, tracks: keepTracks.concat(generated.tracks) } : generated;
+  return { ...(await savePlaylist(token, preview, options)), preview };
 }
@@ -0,0 +1,305 @@
+// src/tokenManager.js
+// Owns the Spotify session (access token, expiry, granted scopes, refresh token).
+// - pluggable storage (configureTokenStorage / appConfig tokenStorage):
+//   'local'   localStorage, shared by all tabs (default, the original behaviour)
+//   'memory'  this page only; a reload needs a new login
+//   'session' sessionStorage; the refresh token is AES-GCM encrypted with a non-extractable
+//             WebCrypto key kept in IndexedDB, so a copied sessionStorage is useless elsewhere
+// - refreshSession(exchange): single-flight refresh, serialized across tabs with Web Locks (or,
+//   without them, claims on the BroadcastChannel) so two tabs never spend the same rotating refresh token
+// - logout(): clears the session and tells the other tabs (BroadcastChannel) to do the same
+// - cached API responses (responseCache.js) go with the session: cleared with it and on every login,
+//   also in the other tabs when they share the session (the new login may be another account)
+
+import { AuthExpiredError } from './spotifyErrors';
+import { getConfig } from './appConfig';
+import { clearResponseCache } from './responseCache';
+
+const EXPIRY_MARGIN_MS = 5000;
+const LOCK_NAME = 'moodplaylist_token_refresh';
+const CHANNEL_NAME = 'moodplaylist_auth';
+// BroadcastChannel lock: how long to collect competing claims, and when a claim counts as abandoned
+const CLAIM_WINDOW_MS = 100;
+const CLAIM_TIMEOUT_MS = 10000;
+const PLAIN_KEYS = ['access_token', 'refresh_token', 'token_expiry', 'granted_scopes'];
+
+/* ---------- Storage backends ---------- */
+// Every backend has:
+// - read():             { accessToken, expiresAt, scopes } or null, synchronously
+// - readRefreshToken(): Promise<string | null>
+// - write(session):     Promise; refreshToken / scopes left undefined keep their stored values
+// - clear():            Promise
+// - shared:             true when every tab of the origin sees the same session
+
+function readPlain(store) {
+  const accessToken = store.getItem('access_token');
+  if (!accessToken) return null;
+  return { accessToken, expiresAt: Number(store.getItem('token_expiry')) || null, scopes: store.getItem('granted_scopes') };
+}
+
+function writePlain(store, { accessToken, expiresAt, scopes }) {
+  store.setItem('access_token', accessToken);
+  store.setItem('token_expiry', String(expiresAt));
+  if (typeof scopes === 'string') store.setItem('granted_scopes', scopes);
+}
+
+export function createLocalTokenStorage(store = window.localStorage) {
+  return {
+    read: () => readPlain(store),
+    readRefreshToken: async () => store.getItem('refresh_token'),
+    write: async (session) => {
+      writePlain(store, session);
+      if (session.refreshToken) store.setItem('refresh_token', session.refreshToken);
+    },
+    clear: async () => PLAIN_KEYS.forEach(k => store.removeItem(k)),
+    shared: true,
+  };
+}
+
+export function createMemoryTokenStorage() {
+  let session = null;
+  let refreshToken = null;
+  return {
+    read: () => (session ? { ...session } : null),
+    readRefreshToken: async () => refreshToken,
+    write: async ({ refreshToken: rt, ...rest }) => {
+      session = { ...rest, scopes: typeof rest.scopes === 'string' ? rest.scopes : session?.scopes ?? null };
+      if (rt) refreshToken = rt;
+    },
+    clear: async () => { session = null; refreshToken = null; },
+  };
+}
+
+/* ---------- Encrypted sessionStorage ---------- */
+
+const KEY_DB = 'moodplaylist_keys';
+const KEY_STORE = 'keys';
+const KEY_ID = 'refresh_token';
+const ENCRYPTED_KEY = 'refresh_token_enc';
+
+function keyRequest(mode, fn) {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB is not available in this browser.')); return; }
+    const open = indexedDB.open(KEY_DB, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(KEY_STORE);
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const tx = open.result.transaction(KEY_STORE, mode);
+      const req = fn(tx.objectStore(KEY_STORE));
+      tx.oncomplete = () => { open.result.close(); resolve(req.result); };
+      tx.onerror = () => { open.result.close(); reject(tx.error); };
+      tx.onabort = () => { open.result.close(); reject(tx.error); };
+    };
+  });
+}
+
+/* The origin's refresh-token key; created on first use. add() loses cleanly if another tab got there first. */
+async function getRefreshKey() {
+  const existing = await keyRequest('readonly', s => s.get(KEY_ID));
+  if (existing) return existing;
+  const key = await window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  try {
+    await keyRequest('readwrite', s => s.add(key, KEY_ID));
+    return key;
+  } catch {
+    return keyRequest('readonly', s => s.get(KEY_ID));
+  }
+}
+
+const toBase64 = (buf) => btoa(String.fromCharCode(...new Uint8Array(buf)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+export function createEncryptedSessionTokenStorage(store = window.sessionStorage) {
+  return {
+    read: () => readPlain(store),
+    readRefreshToken: async () => {
+      const [iv, data] = String(store.getItem(ENCRYPTED_KEY) || '').split('.');
+      if (!iv || !data) return null;
+      try {
+        const plain = await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, await getRefreshKey(), fromBase64(data));
+        return new TextDecoder().decode(plain);
+      } catch (e) {
+        // key was cleared with the site data: the session cannot be refreshed any more
+        console.warn('Could not decrypt the stored refresh token:', e?.message || e);
+        return null;
+      }
+    },
+    write: async (session) => {
+      writePlain(store, session);
+      if (!session.refreshToken) return;
+      const iv = window.crypto.getRandomValues(new Uint8Array(12));
+      const data = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await getRefreshKey(), new TextEncoder().encode(session.refreshToken));
+      store.setItem(ENCRYPTED_KEY, `${toBase64(iv)}.${toBase64(data)}`);
+    },
+    clear: async () => PLAIN_KEYS.concat(ENCRYPTED_KEY).forEach(k => store.removeItem(k)),
+  };
+}
+
+const STORAGES = {
+  local: createLocalTokenStorage,
+  memory: createMemoryTokenStorage,
+  session: createEncryptedSessionTokenStorage,
+};
+
+let storage = null;
+
+/* Swap the token storage (one of the create*TokenStorage backends); null goes back to appConfig's choice */
+export function configureTokenStorage(next) {
+  storage = next;
+}
+
+function currentStorage() {
+  if (!storage) {
+    const kind = getConfig().tokenStorage;
+    if (!STORAGES[kind]) console.warn(`Unknown tokenStorage "${kind}", using localStorage.`);
+    storage = (STORAGES[kind] || createLocalTokenStorage)();
+  }
+  return storage;
+}
+
+/* ---------- Session ---------- */
+
+/* { accessToken, expiresAt, scopes } or null when signed out */
+export function getSession() {
+  return currentStorage().read();
+}
+
+export function getAccessToken() {
+  return getSession()?.accessToken || null;
+}
+
+/* True when the token is missing its expiry or is about to expire */
+export function isSessionExpiring(session = getSession()) {
+  if (!session) return true;
+  return Boolean(session.expiresAt) && Date.now() > session.expiresAt - EXPIRY_MARGIN_MS;
+}
+
+/* Store a /api/token response, a login unless { refresh: true }; resolves to the new access token */
+export async function storeTokenResponse(data, { refresh = false } = {}) {
+  // a login may be another account: nothing cached for the previous one may show up
+  if (!refresh) clearResponseCache();
+  const expiresIn = Number.isFinite(Number(data.expires_in)) ? Number(data.expires_in) : 3600;
+  await currentStorage().write({
+    accessToken: data.access_token,
+    expiresAt: Date.now() + expiresIn * 1000,
+    // Spotify omits `scope` on some refresh responses; keep what we had in that case
+    scopes: typeof data.scope === 'string' ? data.scope : undefined,
+    refreshToken: data.refresh_token || undefined,
+  });
+  if (!refresh && currentStorage().shared) getChannel()?.postMessage({ type: 'login' });
+  return data.access_token;
+}
+
+/* Forget the session (and its cached responses) in this tab only */
+export function clearSession() {
+  clearResponseCache();
+  return currentStorage().clear();
+}
+
+/* ---------- Refresh ---------- */
+
+let inflight = null;
+
+// refresh claims of other tabs: id -> { at: when it was made, seenAt: when it arrived here }
+const remoteClaims = new Map();
+let claimWaiters = [];
+
+function onClaimMessage(data) {
+  if (data.type === 'refresh-claim') remoteClaims.set(data.id, { at: data.at, seenAt: Date.now() });
+  else remoteClaims.delete(data.id);
+  const waiters = claimWaiters;
+  claimWaiters = [];
+  waiters.forEach(w => w());
+}
+
+const waitForClaims = (ms) => new Promise(resolve => {
+  const timer = setTimeout(done, ms);
+  function done() { clearTimeout(timer); resolve(); }
+  claimWaiters.push(done);
+});
+
+/*
+ * Without Web Locks: announce a claim, give the other tabs CLAIM_WINDOW_MS to announce theirs and go
+ * once every earlier claim is released (or abandoned, e.g. its tab was closed mid-refresh).
+ */
+async function withChannelLock(channel, fn) {
+  const mine = { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`, at: Date.now() };
+  channel.postMessage({ type: 'refresh-claim', ...mine });
+  await new Promise(resolve => setTimeout(resolve, CLAIM_WINDOW_MS));
+  const ahead = () => Array.from(remoteClaims).filter(([id, c]) => {
+    if (Date.now() - c.seenAt > CLAIM_TIMEOUT_MS) { remoteClaims.delete(id); return false; }
+    return c.at < mine.at || (c.at === mine.at && id < mine.id);
+  });
+  for (let claims = ahead(); claims.length; claims = ahead()) {
+    const oldest = Math.min(...claims.map(([, c]) => c.seenAt));
+    await waitForClaims(oldest + CLAIM_TIMEOUT_MS - Date.now() + 1);
+  }
+  try {
+    return await fn();
+  } finally {
+    channel.postMessage({ type: 'refresh-done', id: mine.id });
+  }
+}
+
+function withRefreshLock(fn) {
+  const locks = window.navigator?.locks;
+  if (locks?.request) return locks.request(LOCK_NAME, fn);
+  const channel = getChannel();
+  return channel ? withChannelLock(channel, fn) : fn();
+}
+
+/**
+ * Refresh the session with exchange(refreshToken) -> /api/token response.
+ * Concurrent callers in this tab share one refresh; other tabs wait on the lock and then find
+ * the token this tab stored instead of spending the (already rotated) refresh token again.
+ * Resolves to the new access token.
+ */
+export function refreshSession(exchange) {
+  if (inflight) return inflight;
+  const stale = getAccessToken();
+  inflight = withRefreshLock(async () => {
+    const session = getSession();
+    if (session && session.accessToken !== stale && !isSessionExpiring(session)) return session.accessToken;
+    const refreshToken = await currentStorage().readRefreshToken();
+    if (!refreshToken) {
+      await clearSession();
+      throw new AuthExpiredError('No refresh token available; re-authorization required.');
+    }
+    return storeTokenResponse(await exchange(refreshToken), { refresh: true });
+  }).finally(() => { inflight = null; });
+  return inflight;
+}
+
+/* ---------- Cross-tab channel: logout, login, refresh claims ---------- */
+
+const listeners = new Set();
+let channel;
+
+function getChannel() {
+  if (channel === undefined) {
+    channel = typeof window.BroadcastChannel === 'function' ? new window.BroadcastChannel(CHANNEL_NAME) : null;
+    if (channel) {
+      channel.onmessage = async (e) => {
+        if (e.data?.type === 'refresh-claim' || e.data?.type === 'refresh-done') { onClaimMessage(e.data); return; }
+        if (e.data?.type === 'login') { clearResponseCache(); return; }
+        if (e.data?.type !== 'logout') return;
+        await clearSession();
+        listeners.forEach(l => l({ type: 'logout' }));
+      };
+    }
+  }
+  return channel;
+}
+
+/* Clear the session here and in every other open tab */
+export async function logout() {
+  await clearSession();
+  getChannel()?.postMessage({ type: 'logout' });
+}
+
+/* listener({ type: 'logout' }) when another tab logs out; returns an unsubscribe function */
+export function subscribeSession(listener) {
+  getChannel();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,130 @@
+import {
+  configureTokenStorage, createMemoryTokenStorage, createLocalTokenStorage, storeTokenResponse,
+  getSession, getAccessToken, refreshSession, logout, subscribeSession,
+} from './tokenManager';
+import { readCachedResponse, writeCachedResponse } from './responseCache';
+
+// BroadcastChannel stand-in: every channel with the same name hears the others
+const channels = [];
+class FakeChannel {
+  constructor(name) { this.name = name; channels.push(this); }
+  postMessage(data) { channels.filter(c => c !== this && c.name === this.name).forEach(c => c.onmessage?.({ data })); }
+}
+
+beforeAll(() => { window.BroadcastChannel = FakeChannel; });
+afterAll(() => { delete window.BroadcastChannel; });
+
+beforeEach(() => {
+  localStorage.clear();
+  configureTokenStorage(createMemoryTokenStorage());
+});
+
+afterEach(() => {
+  configureTokenStorage(null);
+  delete window.navigator.locks;
+});
+
+const tokenResponse = (n, extra = {}) => ({ access_token: `access-${n}`, refresh_token: `refresh-${n}`, expires_in: 3600, ...extra });
+
+test('concurrent refreshes in one tab share a single exchange', async () => {
+  await storeTokenResponse(tokenResponse(1, { scope: 'user-top-read' }));
+  const exchange = jest.fn(async (rt) => ({ access_token: `after-${rt}`, expires_in: 3600 }));
+
+  const results = await Promise.all([refreshSession(exchange), refreshSession(exchange), refreshSession(exchange)]);
+
+  expect(exchange).toHaveBeenCalledTimes(1);
+  expect(exchange).toHaveBeenCalledWith('refresh-1');
+  expect(results).toEqual(['after-refresh-1', 'after-refresh-1', 'after-refresh-1']);
+  // scope missing from the refresh response: the granted scopes are kept
+  expect(getSession().scopes).toBe('user-top-read');
+});
+
+test('a tab that waited on the lock uses the token the other tab stored', async () => {
+  configureTokenStorage(createLocalTokenStorage());
+  await storeTokenResponse(tokenResponse(1));
+  // the other tab holds the lock and rotates the refresh token before releasing it
+  window.navigator.locks = {
+    request: async (name, fn) => {
+      localStorage.setItem('access_token', 'access-other-tab');
+      localStorage.setItem('refresh_token', 'refresh-other-tab');
+      localStorage.setItem('token_expiry', String(Date.now() + 3600000));
+      return fn();
+    },
+  };
+  const exchange = jest.fn();
+
+  await expect(refreshSession(exchange)).resolves.toBe('access-other-tab');
+  expect(exchange).not.toHaveBeenCalled();
+});
+
+test('without Web Locks a refresh waits for an earlier claim on the channel', async () => {
+  configureTokenStorage(createLocalTokenStorage());
+  await storeTokenResponse(tokenResponse(1, { expires_in: 1 }));
+  const otherTab = new FakeChannel('moodplaylist_auth');
+  const heard = [];
+  otherTab.onmessage = (e) => heard.push(e.data.type);
+  subscribeSession(() => {})(); // opens this tab's channel
+  otherTab.postMessage({ type: 'refresh-claim', id: 'other', at: Date.now() - 50 });
+  const exchange = jest.fn();
+
+  const refreshed = refreshSession(exchange);
+  await new Promise(resolve => setTimeout(resolve, 150));
+  expect(heard).toEqual(['refresh-claim']);
+  // the other tab finishes its refresh and releases its claim
+  localStorage.setItem('access_token', 'access-other-tab');
+  localStorage.setItem('token_expiry', String(Date.now() + 3600000));
+  otherTab.postMessage({ type: 'refresh-done', id: 'other' });
+
+  await expect(refreshed).resolves.toBe('access-other-tab');
+  expect(exchange).not.toHaveBeenCalled();
+  expect(heard).toEqual(['refresh-claim', 'refresh-done']);
+});
+
+test('a missing refresh token ends the session', async () => {
+  await storeTokenResponse({ access_token: 'a', expires_in: 1 });
+  await expect(refreshSession(jest.fn())).rejects.toHaveProperty('name', 'AuthExpiredError');
+  expect(getAccessToken()).toBeNull();
+});
+
+test('logout is broadcast to the other tabs', async () => {
+  await storeTokenResponse(tokenResponse(1));
+  const listener = jest.fn();
+  const unsubscribe = subscribeSession(listener);
+  const otherTab = new FakeChannel('moodplaylist_auth');
+  const heard = [];
+  otherTab.onmessage = (e) => heard.push(e.data);
+
+  await logout();
+  expect(getAccessToken()).toBeNull();
+  expect(heard).toEqual([{ type: 'logout' }]);
+
+  // and the other way round
+  await storeTokenResponse(tokenResponse(2));
+  otherTab.postMessage({ type: 'logout' });
+  await new Promise(resolve => setTimeout(resolve, 0));
+  expect(listener).toHaveBeenCalledWith({ type: 'logout' });
+  expect(getAccessToken()).toBeNull();
+  unsubscribe();
+});
+
+test('a login clears cached responses here and in the tabs sharing the session, a refresh keeps them', async () => {
+  configureTokenStorage(createLocalTokenStorage());
+  subscribeSession(() => {})();
+  const otherTab = new FakeChannel('moodplaylist_auth');
+  const heard = [];
+  otherTab.onmessage = (e) => heard.push(e.data.type);
+
+  await storeTokenResponse(tokenResponse(1, { expires_in: 1 }));
+  await writeCachedResponse('/me', { body: { id: 'first-user' }, ttlMs: 60000 });
+  await refreshSession(async () => tokenResponse(2));
+  expect(await readCachedResponse('/me')).not.toBeNull();
+
+  await storeTokenResponse(tokenResponse(3));
+  expect(await readCachedResponse('/me')).toBeNull();
+  expect(heard.filter(type => type === 'login')).toHaveLength(2);
+
+  // another tab's login
+  await writeCachedResponse('/me', { body: { id: 'first-user' }, ttlMs: 60000 });
+  otherTab.postMessage({ type: 'login' });
+  expect(await readCachedResponse('/me')).toBeNull();
+});